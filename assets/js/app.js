@@ -1,9 +1,25 @@
 /**
  * Main QR Code Generator Application
  */
+import './modules/builtinTypes.js';
 import { UIController } from './modules/uiController.js';
 import { QRGenerator } from './modules/qrGenerator.js';
 import { DataProcessor } from './modules/dataProcessor.js';
+import { Utils } from './modules/utils.js';
+import { TypeRegistry } from './modules/typeRegistry.js';
+import { detectPayload } from './modules/payloadParser.js';
+import { CHARACTER_SETS, resolveCharacterSet, encodeText } from './modules/characterSet.js';
+import { SYMBOLOGIES, normalizeSymbology, validateSymbologyData, getDefaultMargin } from './modules/symbology.js';
+import { inspectQRCode, QR_MODES, ERROR_CORRECTION_RECOVERY } from './modules/qrEncoding.js';
+import { generateSigningKey, exportVerificationKey, signPayload, verifyEnvelope } from './modules/signing.js';
+import { decryptText } from './modules/encryption.js';
+import { generateSecret, decodeBase32, generateHotp, generateTotp } from './modules/otp.js';
+
+// Segments listed by name in the inspector before the rest are summarized
+const MAX_LISTED_SEGMENTS = 6;
+
+// Typing pause before the inspector re-encodes; a long payload takes several hundred milliseconds
+const INSPECTOR_DELAY_MS = 150;
 
 export class QRCodeGeneratorApp {
     constructor() {
@@ -12,6 +28,8 @@ export class QRCodeGeneratorApp {
         this.currentCanvas = null;
         this.currentSVG = null;
         this.lastGeneratedData = null;
+        this.lastOptions = null;
+        this.scheduleInspectorUpdate = Utils.debounce(() => this.updateInspector(), INSPECTOR_DELAY_MS);
         
         this.bindAppEvents();
     }
@@ -38,12 +56,109 @@ export class QRCodeGeneratorApp {
             });
         }
 
-        // Auto-regenerate on customization change
+        if (this.ui.downloadPhysicalBtn) {
+            this.ui.downloadPhysicalBtn.addEventListener('click', () => {
+                this.downloadPhysicalSVG();
+            });
+        }
+
+        // Smart paste: detect an existing payload and load it into its form
+        if (this.ui.smartPaste.button) {
+            this.ui.smartPaste.button.addEventListener('click', () => {
+                this.importPayload();
+            });
+        }
+
+        // EMVCo payload inspector
+        if (this.ui.emvcoInspector.button) {
+            this.ui.emvcoInspector.button.addEventListener('click', () => {
+                this.ui.showEmvcoResult(DataProcessor.parseEmvco(this.ui.emvcoInspector.input.value));
+            });
+        }
+
+        // GS1 Digital Link converter
+        if (this.ui.gs1Converter.button) {
+            this.ui.gs1Converter.button.addEventListener('click', () => {
+                this.ui.showDigitalLinkConversion(DataProcessor.convertDigitalLink(this.ui.gs1Converter.input.value));
+            });
+        }
+
+        // Signing key generation and verification key export
+        if (this.ui.signing.generate) {
+            this.ui.signing.generate.addEventListener('click', () => {
+                this.generateSigningKey();
+            });
+            this.ui.signing.key.addEventListener('change', () => this.updateVerificationKey());
+            this.ui.signing.format.addEventListener('change', () => this.updateVerificationKey());
+        }
+
+        // Offline verification of signed payloads, pasted or decoded from an image
+        if (this.ui.verifier.button) {
+            this.ui.verifier.button.addEventListener('click', () => {
+                this.verifyPayload();
+            });
+            this.ui.verifier.image.addEventListener('change', () => this.decodeVerifyImage());
+        }
+
+        // Decryption of passphrase-protected text
+        if (this.ui.decryptor.button) {
+            this.ui.decryptor.button.addEventListener('click', () => {
+                this.decryptPayload();
+            });
+        }
+
+        // OTP secret generation and live code preview
+        if (this.ui.otpControls.generate) {
+            this.ui.otpControls.generate.addEventListener('click', () => {
+                this.ui.inputs.otpSecret.value = generateSecret();
+                this.ui.inputs.otpSecret.dispatchEvent(new Event('input', { bubbles: true }));
+            });
+        }
+
+        if (this.ui.inputContainers.otp) {
+            this.ui.inputContainers.otp.addEventListener('input', () => this.updateOtpPreview());
+            this.ui.inputContainers.otp.addEventListener('change', () => this.updateOtpPreview());
+            setInterval(() => {
+                if (this.ui.getCurrentType() === 'otp') {
+                    this.updateOtpPreview();
+                }
+            }, 1000);
+        }
+
+        // Apply per-type encoder requirements when switching types
+        this.ui.typeSelector.addEventListener('click', (e) => {
+            if (e.target.closest('.type-btn')) {
+                this.applyTypeRequirements();
+                this.updateInspector();
+            }
+        });
+
+        // Show only the options the chosen symbology uses
+        this.ui.customization.symbology.addEventListener('change', () => this.applyTypeRequirements());
+
+        // Live payload byte counts for types that grow quickly, delegated so types registered later count too
+        const refreshByteCount = () => {
+            const type = this.ui.getCurrentType();
+            if (this.ui.byteCounters[type]) {
+                this.updateByteCount(type);
+            }
+        };
+        this.ui.typeForms.addEventListener('input', refreshByteCount);
+        this.ui.typeForms.addEventListener('change', refreshByteCount);
+
+        // Live symbol inspector, refreshed once typing pauses
+        this.ui.typeForms.addEventListener('input', () => this.scheduleInspectorUpdate());
+        this.ui.typeForms.addEventListener('change', () => this.scheduleInspectorUpdate());
+        this.ui.signing.algorithm.addEventListener('change', () => this.scheduleInspectorUpdate());
+
+        // Auto-regenerate on customization change, or refresh the inspector until a code was generated
         Object.values(this.ui.customization).forEach(control => {
             if (control && control.addEventListener) {
                 control.addEventListener('change', () => {
                     if (this.lastGeneratedData) {
                         this.generateQRCode();
+                    } else {
+                        this.updateInspector();
                     }
                 });
             }
@@ -55,6 +170,8 @@ export class QRCodeGeneratorApp {
      */
     async generateQRCode() {
         this.ui.clearErrors();
+        // The report of the generated code replaces any pending live update
+        this.scheduleInspectorUpdate.cancel();
 
         try {
             // Get current input values
@@ -68,18 +185,33 @@ export class QRCodeGeneratorApp {
                 return;
             }
 
-            // Process data
-            const data = DataProcessor.processData(type, inputs);
-            this.lastGeneratedData = data;
-
             // Show loading state
             this.ui.showLoading();
 
             // Wait a bit for UI update
             await new Promise(resolve => setTimeout(resolve, 10));
 
-            // Get customization options
-            const options = this.ui.getCustomizationOptions();
+            // Process data, including asynchronous steps such as encryption
+            let data = await DataProcessor.preparePayload(type, inputs);
+
+            // Wrap the payload in a signed envelope when signing is enabled
+            const signing = this.ui.getSigningOptions();
+            if (signing.algorithm !== 'none') {
+                try {
+                    data = await signPayload(data, signing.key, signing.algorithm);
+                } catch (error) {
+                    this.ui.showError('Could not sign the payload: ' + error.message);
+                    return;
+                }
+            }
+            this.lastGeneratedData = data;
+
+            const resolved = this.resolveEncoding(type, data);
+            if (resolved.error) {
+                this.ui.showError(resolved.error);
+                return;
+            }
+            const { options, symbology, encoding, payloadCharacterSet } = resolved;
 
             // Intelligently choose optimization method based on QR complexity and size
             const shouldUseHybrid = data.length > 200 || options.size > 500; // Hybrid for very complex/large QRs
@@ -91,30 +223,22 @@ export class QRCodeGeneratorApp {
             options.rowOptimize = shouldUseRowOptimize && !shouldUseHybrid;
             options.optimize = shouldUsePathOptimize && !shouldUseHybrid && !shouldUseRowOptimize;
 
+            this.lastOptions = options;
+
+            // Encode once; the canvas and every SVG variant draw from the same symbol model
+            const matrix = this.qrGenerator.generateMatrix(data, options);
+
             // Generate QR code as canvas
-            this.currentCanvas = this.qrGenerator.generateCanvas(data, options);
+            this.currentCanvas = this.qrGenerator.renderCanvas(matrix, options);
 
-            // Generate SVG with intelligent optimization
-            const svgResult = this.qrGenerator.generateSVG(data, options);
-            
-            if (svgResult instanceof Promise) {
-                // Handle async hybrid SVG generation
-                this.currentSVG = await svgResult;
-                console.log('💡 Generated ultra-lightweight hybrid SVG (PNG embedded for optimal design tool performance)');
-            } else {
-                // Handle sync optimization
-                this.currentSVG = svgResult;
-                
-                if (shouldUseRowOptimize) {
-                    console.log('💡 Generated block-optimized SVG (adjacent squares merged into larger rectangular blocks for better Illustrator performance while maintaining full editability)');
-                } else if (shouldUsePathOptimize) {
-                    console.log('💡 Generated path-optimized SVG (all elements merged into single path for maximum compression)');
-                }
-            }
+            // Generate SVG with intelligent optimization; hybrid SVGs resolve asynchronously
+            this.currentSVG = await this.qrGenerator.renderSVG(matrix, options);
 
             // Display QR code
             this.ui.displayQRCode(this.currentCanvas);
-            this.ui.updateQRInfo(data, options.size);
+            this.ui.updateQRInfo(data, symbology.label, this.currentCanvas.width, this.currentCanvas.height);
+            this.showEncodingInfo(encoding, payloadCharacterSet, symbology);
+            this.showVersionInfo(this.inspectPayload(data, resolved, { note: validation.warning || null, svg: this.describeSVGOutput() }), options);
 
         } catch (error) {
             this.ui.showError('Error generating QR code: ' + error.message);
@@ -124,6 +248,419 @@ export class QRCodeGeneratorApp {
         }
     }
 
+    /**
+     * Lock or release the settings the current type mandates
+     */
+    applyTypeRequirements() {
+        const requirements = DataProcessor.getEncodingRequirements(this.ui.getCurrentType());
+        const { errorCorrection, characterSet, symbology, segmentation } = this.ui.customization;
+        this.ui.lockSelect(errorCorrection, requirements.errorCorrection || null);
+        this.ui.togglePhysicalDownload(requirements.physicalSizeMm || null);
+        // Formats that fix their own encoding are written as UTF-8
+        this.ui.lockSelect(characterSet, requirements.declareCharacterSet === false ? 'UTF-8' : null);
+        this.ui.lockSelect(symbology, requirements.symbology || null);
+        this.ui.lockSelect(segmentation, requirements.segmentation || null);
+        this.ui.showSymbologyOptions(SYMBOLOGIES[normalizeSymbology(this.ui.customization.symbology.value)]);
+        this.ui.applyDefaultMargin(getDefaultMargin(this.ui.customization.symbology.value));
+    }
+
+    /**
+     * Resolve the options a payload is encoded with: customization, type requirements, symbology and character set
+     * @param {string} type - QR code type
+     * @param {string} data - Payload
+     * @returns {Object} - { options, symbology, encoding, payloadCharacterSet }, or { error } when the symbology cannot hold the payload
+     */
+    resolveEncoding(type, data) {
+        // Get customization options, then apply settings the type mandates
+        const options = {
+            ...this.ui.getCustomizationOptions(),
+            ...DataProcessor.getEncodingRequirements(type)
+        };
+
+        // Check the payload against the symbology, such as digits only for EAN-13
+        options.symbology = normalizeSymbology(options.symbology);
+        const symbology = SYMBOLOGIES[options.symbology];
+        const symbologyValidation = validateSymbologyData(data, options.symbology);
+        if (!symbologyValidation.valid) {
+            return { error: symbologyValidation.message };
+        }
+
+        // Declare the character set the text needs, unless the payload format or symbology fixes its own
+        const payloadCharacterSet = options.declareCharacterSet === false;
+        const encoding = payloadCharacterSet || !symbology.characterSet
+            ? { characterSet: null, detected: false, unrepresentable: [] }
+            : resolveCharacterSet(data, options.characterSet);
+        options.characterSet = encoding.characterSet;
+
+        return { options, symbology, encoding, payloadCharacterSet };
+    }
+
+    /**
+     * Refresh the symbol inspector from the form as it is edited
+     * Encryption and signing only run on generation, so live reports count the payload without them
+     */
+    updateInspector() {
+        const type = this.ui.getCurrentType();
+        const inputs = this.ui.getInputValues();
+        const validation = DataProcessor.validateData(type, inputs);
+        if (!validation.valid) {
+            this.ui.showInspection({ message: validation.message });
+            return;
+        }
+
+        try {
+            const data = DataProcessor.processData(type, inputs);
+            const definition = TypeRegistry.get(type);
+            const finalizes = Boolean(definition && definition.finalize) && (!definition.finalizesWhen || definition.finalizesWhen(inputs));
+            const notes = [validation.warning];
+            if (finalizes || this.ui.getSigningOptions().algorithm !== 'none') {
+                notes.push('Counted before encryption or signing, which are applied on generation. Generate to inspect the final payload.');
+            }
+            this.inspectPayload(data, this.resolveEncoding(type, data), { note: notes.filter(Boolean).join(' ') || null });
+        } catch (error) {
+            this.ui.showInspection({ valid: false, message: error.message });
+        }
+    }
+
+    /**
+     * Show how a payload fits its symbol in the inspector
+     * @param {string} data - Payload
+     * @param {Object} resolved - Result of resolveEncoding
+     * @param {Object} extras - Additional report lines
+     * @param {string|null} extras.note - Remark about what the report leaves out
+     * @param {string|null} extras.svg - Description of the generated SVG
+     * @returns {Object|null} - inspectQRCode result, or null for other symbologies and payloads that do not fit
+     */
+    inspectPayload(data, resolved, { note = null, svg = null } = {}) {
+        const report = { payload: data, byteLength: Utils.getByteLength(data), encoding: 'UTF-8', note, rows: [] };
+        if (resolved.error) {
+            this.ui.showInspection({ ...report, valid: false, message: resolved.error });
+            return null;
+        }
+
+        const { options, symbology, encoding } = resolved;
+        report.rows.push(['Symbology', symbology.label]);
+
+        if (!symbology.versionAndMask) {
+            // The other symbologies hold single-byte text only
+            report.byteLength = data.length;
+            report.encoding = symbology.encodingLabel;
+            if (svg) report.rows.push(['SVG output', svg]);
+            this.ui.showInspection(report);
+            return null;
+        }
+
+        if (encoding.characterSet) {
+            report.byteLength = encodeText(data, encoding.characterSet).length;
+            report.encoding = CHARACTER_SETS[encoding.characterSet].label;
+        }
+
+        let symbol;
+        try {
+            symbol = inspectQRCode(data, { ...options, size: Utils.roundToNearest(options.size, 10) });
+        } catch (error) {
+            this.ui.showInspection({ ...report, valid: false, message: error.message });
+            return null;
+        }
+
+        const room = Object.keys(QR_MODES)
+            .filter(mode => symbol.remaining[mode] !== null)
+            .map(mode => `${symbol.remaining[mode]} ${symbol.remaining[mode] === 1 ? QR_MODES[mode].unit.replace(/s$/, '') : QR_MODES[mode].unit}`)
+            .join(', ');
+
+        report.rows.push(
+            ['Version', `${symbol.version} (${symbol.modules} × ${symbol.modules} modules, ${this.describeVersionSource(symbol, options)})`],
+            ['Error correction', `${symbol.errorCorrection} (${ERROR_CORRECTION_RECOVERY[symbol.errorCorrection]} recovery)`],
+            ['Mask pattern', `${symbol.maskPattern} (${symbol.maskPinned ? 'pinned' : 'auto'})`],
+            ['Encoding mode', this.describeSegments(symbol)],
+            ['Mixed-mode saving', this.describeMixedModeSaving(symbol)],
+            [`Room left in version ${symbol.version}`, room],
+            ['Module size', `${symbol.modulePixels}px`]
+        );
+        if (svg) report.rows.push(['SVG output', svg]);
+
+        this.ui.showInspection({ ...report, meter: { used: symbol.bitsUsed, capacity: symbol.capacityBits } });
+        return symbol;
+    }
+
+    /**
+     * Describe the mode of a symbol, listing the segments when there are several
+     * @param {Object} symbol - Result of inspectQRCode
+     * @returns {string} - Mode label, or the segments with their character counts
+     */
+    describeSegments(symbol) {
+        if (symbol.segments.length === 1) {
+            return QR_MODES[symbol.mode] ? QR_MODES[symbol.mode].label : symbol.mode;
+        }
+
+        const shown = symbol.segments.slice(0, MAX_LISTED_SEGMENTS).map(segment => `${QR_MODES[segment.mode].label} ${segment.letters}`);
+        const hidden = symbol.segments.length - shown.length;
+        return `Mixed: ${shown.join(' + ')}${hidden > 0 ? ` + ${hidden} more` : ''}`;
+    }
+
+    /**
+     * Describe the versions mixed-mode segments save over encoding everything in one mode
+     * @param {Object} symbol - Result of inspectQRCode
+     * @returns {string} - Saving, phrased as a suggestion while single mode is selected
+     */
+    describeMixedModeSaving(symbol) {
+        const { singleVersion, mixedVersion, bits } = symbol.mixedModeSaving;
+        if (singleVersion === null) {
+            return 'Only fits with mixed modes; a single mode needs more than version 40';
+        }
+        if (mixedVersion < singleVersion) {
+            const versions = singleVersion - mixedVersion;
+            const saving = `${versions} version${versions === 1 ? '' : 's'} (${mixedVersion} instead of ${singleVersion}), ${bits} fewer data bits`;
+            return symbol.segmentation === 'mixed' ? saving : `Mixed encoding segments would save ${saving}`;
+        }
+        return bits > 0
+            ? `None; ${bits} fewer data bits, but a single mode also fits version ${singleVersion}`
+            : 'None; the content is a single segment';
+    }
+
+    /**
+     * Describe the optimization applied to the current SVG and its file size
+     * @returns {string} - SVG output description
+     */
+    describeSVGOutput() {
+        const size = `${(new Blob([this.currentSVG]).size / 1024).toFixed(1)} KB`;
+        const stats = this.qrGenerator.lastOptimizationStats;
+
+        if (!stats) {
+            return this.lastOptions.hybrid ? `PNG-in-SVG hybrid, ${size}` : size;
+        }
+
+        const method = stats.method === 'block' ? 'Adjacent modules merged into blocks' : 'Modules merged into a single path';
+        return `${method}, ${size} (${stats.originalElements} → ${stats.optimizedElements} elements, ${stats.reductionPercent}% smaller)`;
+    }
+
+    /**
+     * Describe how the QR version was chosen
+     * @param {Object} symbol - Result of inspectQRCode
+     * @param {Object} options - Generation options
+     * @returns {string} - auto, pinned or the minimum version
+     */
+    describeVersionSource(symbol, options) {
+        if (!symbol.versionPinned) return 'auto';
+        return options.versionMode === 'exact' ? 'pinned' : `at least ${options.version}`;
+    }
+
+    /**
+     * Describe the QR version and mask pattern picked for the last QR code
+     * @param {Object|null} symbol - Result of inspectQRCode, or null for other symbologies
+     * @param {Object} options - Generation options
+     */
+    showVersionInfo(symbol, options) {
+        if (!symbol) {
+            this.ui.updateVersionInfo(null);
+            return;
+        }
+
+        this.ui.updateVersionInfo(
+            `${symbol.version} (${symbol.modules} × ${symbol.modules} modules, ${this.describeVersionSource(symbol, options)}), ` +
+            `mask ${symbol.maskPattern} (${symbol.maskPinned ? 'pinned' : 'auto'})`
+        );
+    }
+
+    /**
+     * Describe the character set used for the last QR code and warn about lost characters
+     * @param {Object} encoding - Result of resolveCharacterSet
+     * @param {boolean} payloadCharacterSet - True when the payload format fixes its own character set
+     * @param {Object} symbology - Entry of SYMBOLOGIES
+     */
+    showEncodingInfo(encoding, payloadCharacterSet, symbology) {
+        if (!symbology.characterSet) {
+            this.ui.updateEncodingInfo(symbology.encodingLabel, null);
+            return;
+        }
+        if (payloadCharacterSet) {
+            this.ui.updateEncodingInfo('UTF-8 (set by the payload format)', null);
+            return;
+        }
+        if (!encoding.characterSet) {
+            this.ui.updateEncodingInfo('ASCII (no character set declared)', null);
+            return;
+        }
+
+        const { label } = CHARACTER_SETS[encoding.characterSet];
+        const missing = encoding.unrepresentable;
+        const warning = missing.length > 0
+            ? `${missing.slice(0, 10).map(char => `"${char}"`).join(', ')}${missing.length > 10 ? ' and more' : ''} ` +
+              `cannot be represented in ${label} and will scan as "?". Choose Auto or UTF-8 to keep them.`
+            : null;
+
+        this.ui.updateEncodingInfo(`${label}${encoding.detected ? ' (auto-detected)' : ''}`, warning);
+    }
+
+    /**
+     * Detect the type of the pasted payload and fill its form
+     */
+    importPayload() {
+        const text = this.ui.smartPaste.input.value;
+        if (!text.trim()) {
+            this.ui.showImportResult({ valid: false, message: 'Please paste a payload to import.' });
+            return;
+        }
+
+        const { type, inputs, recognized } = detectPayload(text);
+        this.ui.fillInputs(type, inputs);
+        this.applyTypeRequirements();
+        this.updateInspector();
+
+        this.ui.showImportResult(recognized
+            ? { valid: true, message: `Detected a ${TypeRegistry.get(type).label} payload and filled in the form.` }
+            : { valid: false, message: 'No known format was recognized, so the payload was imported as plain text.' });
+    }
+
+    /**
+     * Generate a signing key for the selected algorithm and show it with its verification key
+     */
+    async generateSigningKey() {
+        const { algorithm, format } = this.ui.getSigningOptions();
+
+        try {
+            const keys = await generateSigningKey(algorithm === 'HS256' ? 'HS256' : 'ES256', format);
+            this.ui.showSigningKeys(keys.signingKey, keys.verificationKey);
+        } catch (error) {
+            // WebCrypto is only available in secure contexts (HTTPS or localhost)
+            this.ui.showError('Key generation failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Derive the verification key from the signing key the user pasted
+     */
+    async updateVerificationKey() {
+        const { key, format } = this.ui.getSigningOptions();
+        if (!key.trim()) {
+            this.ui.showSigningKeys(null, '');
+            return;
+        }
+
+        try {
+            this.ui.showSigningKeys(null, await exportVerificationKey(key, format));
+        } catch (error) {
+            this.ui.showSigningKeys(null, '');
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Check the payload in the verifier against the pasted key
+     */
+    async verifyPayload() {
+        // Copying a payload often picks up a trailing line break that is not part of it
+        const payload = this.ui.verifier.payload.value.replace(/\n$/, '');
+        if (!payload) {
+            this.ui.showVerifyResult({ valid: false, message: 'Please paste a signed payload or load a barcode image.' });
+            return;
+        }
+
+        this.ui.showVerifyResult(await verifyEnvelope(payload, this.ui.verifier.key.value));
+    }
+
+    /**
+     * Decrypt the payload in the decryptor with the entered passphrase
+     */
+    async decryptPayload() {
+        // Only a trailing line break is dropped, since space is a valid base45 digit
+        const payload = this.ui.decryptor.payload.value.replace(/\n$/, '');
+        if (!payload) {
+            this.ui.showDecryptResult({ valid: false, message: 'Please paste an encrypted payload.' });
+            return;
+        }
+
+        this.ui.showDecryptResult({ valid: true, message: 'Decrypting...' });
+        this.ui.showDecryptResult(await decryptText(payload, this.ui.decryptor.passphrase.value));
+    }
+
+    /**
+     * Decode the barcode image chosen in the verifier and check its payload
+     */
+    async decodeVerifyImage() {
+        const file = this.ui.verifier.image.files[0];
+        if (!file) return;
+        if (typeof ZXing === 'undefined') {
+            this.ui.showVerifyResult({ valid: false, message: 'Reading images needs the ZXing library, which could not be loaded. Paste the payload instead.' });
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            // Signed payloads can be printed in any symbology
+            const result = await new ZXing.BrowserMultiFormatReader().decodeFromImageUrl(url);
+            this.ui.verifier.payload.value = result.getText();
+            if (this.ui.verifier.key.value.trim()) {
+                await this.verifyPayload();
+            }
+        } catch (error) {
+            this.ui.showVerifyResult({ valid: false, message: 'No barcode could be read from this image.' });
+            console.warn('Barcode image decoding failed:', error);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Update the live payload byte count for a type
+     * @param {string} type - QR code type
+     */
+    updateByteCount(type) {
+        try {
+            const data = DataProcessor.processData(type, this.ui.getInputValues());
+            this.ui.updateByteCount(type, Utils.getByteLength(data));
+        } catch (error) {
+            console.warn('Byte count update failed:', error.message);
+        }
+    }
+
+    /**
+     * Refresh the live one-time code preview from the OTP form
+     */
+    async updateOtpPreview() {
+        const inputs = this.ui.getInputValues();
+        const secret = decodeBase32(inputs.otpSecret);
+        if (!secret || secret.length === 0) {
+            this.ui.showOtpPreview(null);
+            return;
+        }
+
+        try {
+            const options = { algorithm: inputs.otpAlgorithm, digits: parseInt(inputs.otpDigits, 10) };
+            if (inputs.otpType === 'hotp') {
+                const counter = parseInt(inputs.otpCounter, 10) || 0;
+                this.ui.showOtpPreview(await generateHotp(secret, counter, options), `counter ${counter}`);
+            } else {
+                const period = parseInt(inputs.otpPeriod, 10) || 30;
+                const { code, remaining } = await generateTotp(secret, { ...options, period });
+                this.ui.showOtpPreview(code, `expires in ${remaining}s`);
+            }
+        } catch (error) {
+            // WebCrypto is only available in secure contexts (HTTPS or localhost)
+            this.ui.showOtpPreview(null);
+            console.warn('OTP preview failed:', error.message);
+        }
+    }
+
+    /**
+     * Download SVG at the physical size the current type mandates
+     */
+    downloadPhysicalSVG() {
+        if (!this.lastGeneratedData || !this.lastOptions || !this.lastOptions.physicalSizeMm) {
+            this.ui.showError('No QR code to download. Please generate one first.');
+            return;
+        }
+
+        try {
+            const svg = this.qrGenerator.generatePhysicalSVG(this.lastGeneratedData, this.lastOptions, this.lastOptions.physicalSizeMm);
+            const filename = `${this.qrGenerator.generateFilename(this.ui.getCurrentType())}-${this.lastOptions.physicalSizeMm}mm`;
+            this.qrGenerator.downloadSVG(svg, filename);
+        } catch (error) {
+            this.ui.showError('Error downloading SVG: ' + error.message);
+            console.error('SVG download error:', error);
+        }
+    }
+
     /**
      * Download QR code as PNG
      */
@@ -0,0 +1,97 @@
+/**
+ * Binary Text Module
+ * Binary-to-text encodings for keys, signatures and other byte strings placed in payloads
+ */
+
+// RFC 9285 alphabet, identical to the QR alphanumeric character set
+const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+/**
+ * Encodes bytes as standard base64 with padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 text
+ */
+export function encodeBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 or base64url text, ignoring whitespace and padding
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array|null} - Decoded bytes or null on invalid characters
+ */
+export function decodeBase64(text) {
+    const normalized = String(text).replace(/\s/g, '').replace(/=+$/, '').replace(/-/g, '+').replace(/_/g, '/');
+    if (!/^[A-Za-z0-9+/]*$/.test(normalized) || normalized.length % 4 === 1) return null;
+
+    const binary = atob(normalized.padEnd(Math.ceil(normalized.length / 4) * 4, '='));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encodes bytes as unpadded base64url (RFC 4648 section 5)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64url text
+ */
+export function encodeBase64Url(bytes) {
+    return encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded base64url text
+ * @param {string} text - Base64url text
+ * @returns {Uint8Array|null} - Decoded bytes or null on invalid characters
+ */
+export function decodeBase64Url(text) {
+    return /^[A-Za-z0-9_-]*$/.test(text) ? decodeBase64(text) : null;
+}
+
+/**
+ * Encodes bytes as base45 (RFC 9285), which QR codes store in compact alphanumeric mode
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base45 text
+ */
+export function encodeBase45(bytes) {
+    let output = '';
+
+    for (let i = 0; i < bytes.length; i += 2) {
+        if (i + 1 < bytes.length) {
+            const value = bytes[i] * 256 + bytes[i + 1];
+            output += BASE45_ALPHABET[value % 45] + BASE45_ALPHABET[Math.floor(value / 45) % 45] + BASE45_ALPHABET[Math.floor(value / 2025)];
+        } else {
+            output += BASE45_ALPHABET[bytes[i] % 45] + BASE45_ALPHABET[Math.floor(bytes[i] / 45)];
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Decodes base45 text (RFC 9285)
+ * @param {string} text - Base45 text
+ * @returns {Uint8Array|null} - Decoded bytes or null when the text is not valid base45
+ */
+export function decodeBase45(text) {
+    if (text.length % 3 === 1) return null;
+
+    const bytes = [];
+    for (let i = 0; i < text.length; i += 3) {
+        const digits = [...text.slice(i, i + 3)].map(char => BASE45_ALPHABET.indexOf(char));
+        if (digits.includes(-1)) return null;
+
+        const value = digits.reduce((sum, digit, index) => sum + digit * 45 ** index, 0);
+        if (digits.length === 3) {
+            if (value > 0xFFFF) return null;
+            bytes.push(value >> 8, value & 0xFF);
+        } else {
+            if (value > 0xFF) return null;
+            bytes.push(value);
+        }
+    }
+
+    return new Uint8Array(bytes);
+}
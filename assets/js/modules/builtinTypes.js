@@ -0,0 +1,502 @@
+/**
+ * Built-in QR content types
+ * Declares the forms of the bundled types and wires them to DataProcessor
+ */
+import { TypeRegistry } from './typeRegistry.js';
+import { DataProcessor } from './dataProcessor.js';
+import {
+    parseUrlPayload, parseEmailPayload, parsePhonePayload, parseSmsPayload, parseWifiPayload, parseVcardPayload,
+    parseSocialPayload, parseEventPayload, parseGeoPayload, parseSepaPayload, parseSwissQrPayload, parseEmvcoPayload,
+    parseCryptoPayload, parseOtpPayload, parseGs1Payload
+} from './payloadParser.js';
+import { encryptText } from './encryption.js';
+import { OTP_ALGORITHMS, OTP_DIGITS } from './otp.js';
+
+/**
+ * Label for an optional field
+ * @param {string} label - Field label without colon
+ * @returns {string} - Label text
+ */
+const optional = label => `${label} (optional):`;
+
+TypeRegistry.register({
+    id: 'url',
+    label: 'URL',
+    icon: 'fas fa-link',
+    fields: [
+        { name: 'url', kind: 'url', label: 'Enter URL:', required: true, requiredMessage: 'Please enter a URL.', placeholder: 'https://example.com', sample: 'https://github.com' },
+        { name: 'urlCanonicalize', kind: 'checkbox', label: 'Canonicalize (strip tracking parameters, lowercase host, drop default port, punycode domain)' },
+        { name: 'urlUppercase', kind: 'checkbox', label: 'Uppercase scheme and host (fits the denser alphanumeric mode)' },
+        { name: 'urlAddUtm', kind: 'checkbox', label: 'Add campaign (UTM) parameters' },
+        { name: 'urlUtmSource', label: 'Campaign Source (utm_source):', placeholder: 'newsletter', sample: 'newsletter', visibleWhen: inputs => inputs.urlAddUtm },
+        { name: 'urlUtmMedium', label: optional('Campaign Medium (utm_medium)'), placeholder: 'email', sample: 'email', visibleWhen: inputs => inputs.urlAddUtm },
+        { name: 'urlUtmCampaign', label: optional('Campaign Name (utm_campaign)'), placeholder: 'spring_sale', sample: 'spring_sale', visibleWhen: inputs => inputs.urlAddUtm },
+        { name: 'urlUtmTerm', label: optional('Campaign Term (utm_term)'), placeholder: 'running shoes', visibleWhen: inputs => inputs.urlAddUtm },
+        { name: 'urlUtmContent', label: optional('Campaign Content (utm_content)'), placeholder: 'poster_a', visibleWhen: inputs => inputs.urlAddUtm }
+    ],
+    byteCount: true,
+    build: inputs => DataProcessor.processUrl(inputs),
+    validate: inputs => DataProcessor.validateUrl(inputs),
+    parse: parseUrlPayload,
+    // Every other type that understands a link wins over a plain URL
+    parsePriority: -1
+});
+
+TypeRegistry.register({
+    id: 'text',
+    label: 'Text',
+    icon: 'fas fa-font',
+    fields: [
+        { name: 'text', kind: 'textarea', label: 'Enter Text:', required: true, requiredMessage: 'Please enter some text.', placeholder: 'Enter your text here...', sample: 'Hello, World! This is a sample QR code.' },
+        { name: 'textEncrypt', kind: 'checkbox', label: 'Encrypt with a passphrase (AES-GCM)' },
+        { name: 'textPassphrase', kind: 'password', label: 'Passphrase:', required: true, requiredMessage: 'Please enter a passphrase.', attributes: { autocomplete: 'new-password' }, visibleWhen: inputs => inputs.textEncrypt },
+        { name: 'textPassphraseConfirm', kind: 'password', label: 'Confirm Passphrase:', attributes: { autocomplete: 'new-password' }, visibleWhen: inputs => inputs.textEncrypt },
+        {
+            name: 'textEnvelopeEncoding',
+            kind: 'select',
+            label: 'Envelope Encoding:',
+            options: [
+                { value: 'B45', label: 'Base45 (smallest QR code)' },
+                { value: 'B64', label: 'Base64url' }
+            ],
+            visibleWhen: inputs => inputs.textEncrypt
+        }
+    ],
+    help: 'Encrypted text can only be read with the passphrase, using Decrypt a Protected Text below the QR code',
+    build: inputs => DataProcessor.processText(inputs.text),
+    validate: inputs => DataProcessor.validateText(inputs),
+    finalize: (payload, inputs) => (inputs.textEncrypt ? encryptText(payload, inputs.textPassphrase, inputs.textEnvelopeEncoding) : payload),
+    finalizesWhen: inputs => inputs.textEncrypt
+});
+
+TypeRegistry.register({
+    id: 'email',
+    label: 'Email',
+    icon: 'fas fa-envelope',
+    fields: [
+        {
+            name: 'emailFormat',
+            kind: 'select',
+            label: 'Format:',
+            options: [
+                { value: 'mailto', label: 'mailto: (widest support)' },
+                { value: 'matmsg', label: 'MATMSG (older scanners, no CC/BCC)' }
+            ]
+        },
+        { name: 'email', kind: 'email', label: 'Email Address:', placeholder: 'example@email.com', sample: 'example@email.com' },
+        { name: 'emailCc', label: optional('CC'), placeholder: 'first@email.com, second@email.com', visibleWhen: inputs => inputs.emailFormat !== 'matmsg' },
+        { name: 'emailBcc', label: optional('BCC'), placeholder: 'hidden@email.com', visibleWhen: inputs => inputs.emailFormat !== 'matmsg' },
+        { name: 'emailSubject', label: optional('Subject'), placeholder: 'Email subject' },
+        { name: 'emailBody', kind: 'textarea', label: optional('Body'), placeholder: 'Email body' }
+    ],
+    build: inputs => DataProcessor.processEmail(inputs),
+    validate: inputs => DataProcessor.validateEmail(inputs),
+    parse: parseEmailPayload
+});
+
+TypeRegistry.register({
+    id: 'phone',
+    label: 'Phone',
+    icon: 'fas fa-phone',
+    fields: [
+        { name: 'phone', kind: 'tel', label: 'Phone Number:', required: true, requiredMessage: 'Please enter a phone number.', placeholder: '+1234567890', sample: '+1234567890' }
+    ],
+    build: inputs => DataProcessor.processPhone(inputs.phone),
+    parse: parsePhonePayload
+});
+
+TypeRegistry.register({
+    id: 'sms',
+    label: 'SMS',
+    icon: 'fas fa-sms',
+    fields: [
+        {
+            name: 'smsFormat',
+            kind: 'select',
+            label: 'Format:',
+            options: [
+                { value: 'sms', label: 'sms: with ?body= (Android, RFC 5724)' },
+                { value: 'sms-ios', label: 'sms: with &body= (iOS)' },
+                { value: 'smsto', label: 'SMSTO (older scanners)' }
+            ]
+        },
+        { name: 'smsNumber', kind: 'tel', label: 'Phone Number:', required: true, requiredMessage: 'Please enter a phone number.', placeholder: '+1234567890' },
+        { name: 'smsMessage', kind: 'textarea', label: 'Message:', placeholder: 'SMS message' }
+    ],
+    build: inputs => DataProcessor.processSms(inputs),
+    parse: parseSmsPayload
+});
+
+TypeRegistry.register({
+    id: 'wifi',
+    label: 'WiFi',
+    icon: 'fas fa-wifi',
+    fields: [
+        { name: 'wifiSsid', label: 'Network Name (SSID):', required: true, requiredMessage: 'Please enter a WiFi network name.', placeholder: 'WiFi Network Name', sample: 'MyWiFiNetwork' },
+        {
+            name: 'wifiSecurity',
+            kind: 'select',
+            label: 'Security Type:',
+            options: [
+                { value: 'WPA', label: 'WPA/WPA2 Personal' },
+                { value: 'SAE', label: 'WPA3 Personal (SAE)' },
+                { value: 'WPA2-EAP', label: 'WPA2/WPA3 Enterprise (EAP)' },
+                { value: 'WEP', label: 'WEP' },
+                { value: 'nopass', label: 'Open (No Password)' }
+            ]
+        },
+        {
+            name: 'wifiEapMethod',
+            kind: 'select',
+            label: 'EAP Method:',
+            options: ['PEAP', 'TTLS', 'TLS', 'PWD', 'SIM', 'AKA'].map(value => ({ value, label: value })),
+            visibleWhen: inputs => inputs.wifiSecurity === 'WPA2-EAP'
+        },
+        {
+            name: 'wifiPhase2',
+            kind: 'select',
+            label: 'Phase 2 Authentication:',
+            options: [
+                ...['MSCHAPV2', 'GTC', 'PAP', 'MSCHAP'].map(value => ({ value, label: value })),
+                { value: 'NONE', label: 'None' }
+            ],
+            visibleWhen: inputs => inputs.wifiSecurity === 'WPA2-EAP'
+        },
+        { name: 'wifiIdentity', label: 'Identity:', placeholder: 'username@example.com', visibleWhen: inputs => inputs.wifiSecurity === 'WPA2-EAP' },
+        { name: 'wifiAnonymousIdentity', label: optional('Anonymous Identity'), placeholder: 'anonymous@example.com', visibleWhen: inputs => inputs.wifiSecurity === 'WPA2-EAP' },
+        { name: 'wifiPassword', kind: 'password', label: 'Password:', placeholder: 'WiFi Password', visibleWhen: inputs => inputs.wifiSecurity !== 'nopass' },
+        { name: 'wifiHidden', kind: 'checkbox', label: 'Hidden Network' }
+    ],
+    build: inputs => DataProcessor.processWifi(inputs),
+    validate: inputs => DataProcessor.validateWifi(inputs),
+    parse: parseWifiPayload
+});
+
+TypeRegistry.register({
+    id: 'vcard',
+    label: 'vCard',
+    icon: 'fas fa-address-card',
+    fields: [
+        {
+            name: 'vcardFormat',
+            kind: 'select',
+            label: 'Format:',
+            options: [
+                { value: 'vcard3', label: 'vCard 3.0 (widest support)' },
+                { value: 'vcard4', label: 'vCard 4.0' },
+                { value: 'mecard', label: 'MeCard (compact, older scanners)' }
+            ]
+        },
+        { name: 'vcardFirstName', label: 'First Name:', placeholder: 'John', sample: 'John' },
+        { name: 'vcardLastName', label: 'Last Name:', placeholder: 'Doe', sample: 'Doe' },
+        { name: 'vcardName', label: optional('Display Name'), placeholder: 'John Doe' },
+        { name: 'vcardOrg', label: 'Organization:', placeholder: 'Company Name', sample: 'Example Company' },
+        { name: 'vcardTitle', label: 'Job Title:', placeholder: 'Sales Manager' },
+        { name: 'vcardPhoneWork', kind: 'tel', label: 'Work Phone:', placeholder: '+1234567890' },
+        { name: 'vcardPhoneCell', kind: 'tel', label: 'Mobile Phone:', placeholder: '+1234567890' },
+        { name: 'vcardPhoneHome', kind: 'tel', label: 'Home Phone:', placeholder: '+1234567890' },
+        { name: 'vcardEmail', kind: 'email', label: 'Email:', placeholder: 'john@example.com' },
+        { name: 'vcardUrl', kind: 'url', label: 'Website:', placeholder: 'https://example.com' },
+        { name: 'vcardStreet', label: 'Street:', placeholder: '123 Main St' },
+        { name: 'vcardCity', label: 'City:', placeholder: 'Springfield' },
+        { name: 'vcardRegion', label: 'State/Region:', placeholder: 'IL' },
+        { name: 'vcardPostalCode', label: 'Postal Code:', placeholder: '62701' },
+        { name: 'vcardCountry', label: 'Country:', placeholder: 'USA' },
+        { name: 'vcardBirthday', kind: 'date', label: 'Birthday:' },
+        { name: 'vcardNote', kind: 'textarea', label: 'Note:', placeholder: 'Additional notes' }
+    ],
+    byteCount: true,
+    build: inputs => DataProcessor.processVcard(inputs),
+    validate: inputs => DataProcessor.validateVcard(inputs),
+    parse: parseVcardPayload
+});
+
+TypeRegistry.register({
+    id: 'social',
+    label: 'Social',
+    icon: 'fab fa-facebook',
+    fields: [
+        {
+            name: 'socialPlatform',
+            kind: 'select',
+            label: 'Platform:',
+            options: [
+                { value: 'facebook', label: 'Facebook' },
+                { value: 'twitter', label: 'Twitter' },
+                { value: 'instagram', label: 'Instagram' },
+                { value: 'linkedin', label: 'LinkedIn' },
+                { value: 'youtube', label: 'YouTube' },
+                { value: 'tiktok', label: 'TikTok' }
+            ]
+        },
+        { name: 'socialUsername', label: 'Username/Profile:', required: true, requiredMessage: 'Please enter a username.', placeholder: 'username', sample: 'johndoe' }
+    ],
+    build: inputs => DataProcessor.processSocial(inputs),
+    parse: parseSocialPayload
+});
+
+TypeRegistry.register({
+    id: 'event',
+    label: 'Event',
+    icon: 'fas fa-calendar-alt',
+    fields: [
+        { name: 'eventTitle', label: 'Event Title:', required: true, requiredMessage: 'Please enter an event title.', placeholder: 'Team Meeting', sample: 'Team Meeting' },
+        { name: 'eventStart', kind: 'datetime-local', label: 'Start:' },
+        { name: 'eventEnd', kind: 'datetime-local', label: optional('End') },
+        { name: 'eventTimezone', label: optional('Time Zone'), placeholder: 'Europe/Berlin (leave blank for local time)', datalist: 'event-timezones' },
+        { name: 'eventAllDay', kind: 'checkbox', label: 'All-day Event' },
+        { name: 'eventLocation', label: optional('Location'), placeholder: 'Conference Room A', sample: 'Conference Room A' },
+        { name: 'eventDescription', kind: 'textarea', label: optional('Description'), placeholder: 'Event details' }
+    ],
+    build: inputs => DataProcessor.processEvent(inputs),
+    validate: inputs => DataProcessor.validateEvent(inputs),
+    parse: parseEventPayload
+});
+
+TypeRegistry.register({
+    id: 'geo',
+    label: 'Location',
+    icon: 'fas fa-map-marker-alt',
+    fields: [
+        { name: 'geoLocation', label: 'Coordinates or Map Link:', placeholder: '48.8584, 2.2945 or 48°51\'30"N 2°17\'40"E or a map URL', sample: '48.8584, 2.2945' },
+        // A maps search URL only takes the position, so altitude and label are for geo: URIs
+        { name: 'geoAltitude', kind: 'number', label: optional('Altitude in meters'), placeholder: '35', attributes: { step: 'any' }, visibleWhen: inputs => inputs.geoFormat !== 'maps' },
+        { name: 'geoLabel', label: optional('Label'), placeholder: 'Eiffel Tower', sample: 'Eiffel Tower', visibleWhen: inputs => inputs.geoFormat !== 'maps' },
+        {
+            name: 'geoFormat',
+            kind: 'select',
+            label: 'Output Format:',
+            options: [
+                { value: 'geo', label: 'geo: URI (opens default map app)' },
+                { value: 'maps', label: 'Maps URL (opens in browser)' }
+            ]
+        }
+    ],
+    build: inputs => DataProcessor.processGeo(inputs),
+    validate: inputs => DataProcessor.validateGeo(inputs),
+    parse: parseGeoPayload
+});
+
+TypeRegistry.register({
+    id: 'sepa',
+    label: 'SEPA',
+    icon: 'fas fa-euro-sign',
+    fields: [
+        { name: 'sepaName', label: 'Beneficiary Name:', required: true, requiredMessage: 'Please enter the beneficiary name.', placeholder: 'Example GmbH', sample: 'Example GmbH', attributes: { maxlength: 70 } },
+        { name: 'sepaIban', label: 'IBAN:', placeholder: 'DE89 3704 0044 0532 0130 00', sample: 'DE89 3704 0044 0532 0130 00' },
+        { name: 'sepaBic', label: optional('BIC'), placeholder: 'COBADEFFXXX' },
+        { name: 'sepaAmount', kind: 'number', label: optional('Amount in EUR'), placeholder: '12.50', attributes: { min: '0.01', max: '999999999.99', step: '0.01' } },
+        { name: 'sepaPurpose', label: optional('Purpose Code'), placeholder: 'GDDS', attributes: { maxlength: 4 } },
+        { name: 'sepaReference', label: optional('Structured Reference'), placeholder: 'RF18 5390 0754 7034', attributes: { maxlength: 35 } },
+        { name: 'sepaRemittance', label: optional('Remittance Text'), placeholder: 'Invoice 2024-001', attributes: { maxlength: 140 } }
+    ],
+    help: 'EPC payment codes always use error correction level M',
+    // The payload declares UTF-8 itself, so the symbol carries no ECI; banking apps are tested against
+    // single-segment codes, so mixed segments are not used
+    encoding: { errorCorrection: 'M', declareCharacterSet: false, symbology: 'qr', segmentation: 'single' },
+    build: inputs => DataProcessor.processSepa(inputs),
+    validate: inputs => DataProcessor.validateSepa(inputs),
+    parse: parseSepaPayload
+});
+
+/**
+ * Address fields shared by Swiss QR-bill parties
+ * @param {string} prefix - swissCreditor or swissDebtor
+ * @param {string} party - Label prefix
+ * @param {boolean} isOptional - Whether the party is optional
+ * @param {Object} placeholders - Placeholders keyed by field suffix
+ * @returns {Array<Object>} - Field definitions
+ */
+const swissAddressFields = (prefix, party, isOptional, placeholders) => [
+    ['Name', 'Name', 70],
+    ['Street', 'Street', 70],
+    ['Building', 'Building Number', 16],
+    ['PostalCode', 'Postal Code', 16],
+    ['Town', 'Town', 35],
+    ['Country', 'Country', 2]
+].map(([suffix, label, maxlength]) => ({
+    name: `${prefix}${suffix}`,
+    id: TypeRegistry.toElementId(`swissqr${party}${suffix}`),
+    label: isOptional ? optional(`${party} ${label}`) : `${party} ${label}:`,
+    placeholder: placeholders[suffix],
+    attributes: { maxlength }
+}));
+
+TypeRegistry.register({
+    id: 'swissqr',
+    label: 'Swiss QR-bill',
+    icon: 'fas fa-file-invoice',
+    fields: [
+        { name: 'swissIban', id: 'swissqr-iban', label: 'IBAN or QR-IBAN:', placeholder: 'CH44 3199 9123 0008 8901 2', sample: 'CH44 3199 9123 0008 8901 2' },
+        ...swissAddressFields('swissCreditor', 'Creditor', false, {
+            Name: 'Robert Schneider AG', Street: 'Rue du Lac', Building: '1268', PostalCode: '2501', Town: 'Biel', Country: 'CH'
+        }),
+        { name: 'swissAmount', id: 'swissqr-amount', kind: 'number', label: optional('Amount'), placeholder: '1949.75', attributes: { min: '0.01', max: '999999999.99', step: '0.01' } },
+        { name: 'swissCurrency', id: 'swissqr-currency', kind: 'select', label: 'Currency:', options: [{ value: 'CHF', label: 'CHF' }, { value: 'EUR', label: 'EUR' }] },
+        ...swissAddressFields('swissDebtor', 'Debtor', true, {
+            Name: 'Pia-Maria Rutschmann-Schnyder', Street: 'Grosse Marktgasse', Building: '28', PostalCode: '9400', Town: 'Rorschach', Country: 'CH'
+        }),
+        { name: 'swissReference', id: 'swissqr-reference', label: 'Reference (QR or RF creditor reference):', placeholder: '21 00000 00003 13947 14300 09017', sample: '210000000003139471430009017' },
+        { name: 'swissMessage', id: 'swissqr-message', label: optional('Message'), placeholder: 'Order of 15 June 2020', attributes: { maxlength: 140 } }
+    ],
+    help: 'Swiss QR-bills always use error correction level M and carry the Swiss cross',
+    encoding: { errorCorrection: 'M', swissCross: true, physicalSizeMm: 46, declareCharacterSet: false, symbology: 'qr', segmentation: 'single' },
+    build: inputs => DataProcessor.processSwissQr(inputs),
+    validate: inputs => DataProcessor.validateSwissQr(inputs),
+    parse: parseSwissQrPayload
+});
+
+TypeRegistry.register({
+    id: 'emvco',
+    label: 'Merchant QR',
+    icon: 'fas fa-store',
+    fields: [
+        {
+            name: 'emvcoScheme',
+            kind: 'select',
+            label: 'Payment Scheme:',
+            options: [
+                { value: 'pix', label: 'PIX (Brazil)' },
+                { value: 'promptpay', label: 'PromptPay (Thailand)' },
+                { value: 'paynow', label: 'PayNow / SGQR (Singapore)' }
+            ]
+        },
+        { name: 'emvcoAccount', label: 'PIX Key / PromptPay ID / PayNow UEN:', required: true, requiredMessage: 'Please enter the PIX key, PromptPay ID or PayNow UEN.', placeholder: 'email, phone, tax ID or UEN', sample: 'merchant@example.com' },
+        { name: 'emvcoMerchantName', label: 'Merchant Name:', placeholder: 'Example Shop', sample: 'Example Shop', attributes: { maxlength: 25 } },
+        { name: 'emvcoMerchantCity', label: 'Merchant City:', placeholder: 'Sao Paulo', sample: 'Sao Paulo', attributes: { maxlength: 15 } },
+        {
+            name: 'emvcoInitiation',
+            kind: 'select',
+            label: 'Code Type:',
+            options: [
+                { value: 'static', label: 'Static (reusable)' },
+                { value: 'dynamic', label: 'Dynamic (single payment)' }
+            ]
+        },
+        { name: 'emvcoAmount', kind: 'number', label: optional('Amount'), placeholder: '10.00', attributes: { min: '0.01', step: '0.01' } },
+        {
+            name: 'emvcoCurrency',
+            kind: 'select',
+            label: 'Currency:',
+            options: [
+                { value: '', label: 'Scheme default' },
+                { value: '986', label: 'BRL (986)' },
+                { value: '764', label: 'THB (764)' },
+                { value: '702', label: 'SGD (702)' },
+                { value: '840', label: 'USD (840)' },
+                { value: '978', label: 'EUR (978)' }
+            ]
+        },
+        { name: 'emvcoMcc', label: optional('Merchant Category Code'), placeholder: '0000', attributes: { maxlength: 4 } },
+        { name: 'emvcoBillNumber', label: optional('Bill Number'), placeholder: 'INV-001', attributes: { maxlength: 25 } },
+        { name: 'emvcoReference', label: optional('Reference Label'), placeholder: 'ORDER123', attributes: { maxlength: 25 } },
+        { name: 'emvcoTerminal', label: optional('Terminal Label'), placeholder: 'POS01', attributes: { maxlength: 25 } },
+        { name: 'emvcoPurpose', label: optional('Purpose'), placeholder: 'Donation', attributes: { maxlength: 25 } }
+    ],
+    build: inputs => DataProcessor.processEmvco(inputs),
+    validate: inputs => DataProcessor.validateEmvco(inputs),
+    parse: parseEmvcoPayload,
+    mount: container => {
+        container.insertAdjacentHTML('beforeend', `
+            <label for="emvco-inspect">Inspect an Existing EMVCo Code:</label>
+            <textarea id="emvco-inspect" placeholder="Paste a payload starting with 000201..."></textarea>
+            <button type="button" id="emvco-inspect-btn" class="inspect-btn">
+                <i class="fas fa-search"></i> Decode Payload
+            </button>
+            <div id="emvco-inspect-result" class="inspect-result hidden"></div>
+        `);
+    }
+});
+
+TypeRegistry.register({
+    id: 'crypto',
+    label: 'Crypto',
+    icon: 'fab fa-bitcoin',
+    fields: [
+        {
+            name: 'cryptoNetwork',
+            kind: 'select',
+            label: 'Network:',
+            options: [
+                { value: 'bitcoin', label: 'Bitcoin (BIP21)' },
+                { value: 'ethereum', label: 'Ethereum (EIP-681)' },
+                { value: 'lightning', label: 'Lightning Invoice' }
+            ]
+        },
+        { name: 'cryptoAddress', label: 'Address or Invoice:', required: true, requiredMessage: 'Please enter an address or invoice.', placeholder: 'bc1q..., 0x... or lnbc...', sample: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq' },
+        { name: 'cryptoAmount', label: optional('Amount'), placeholder: '0.001', attributes: { inputmode: 'decimal' } },
+        { name: 'cryptoLabel', label: 'Label (optional, Bitcoin only):', placeholder: 'Example Shop' },
+        { name: 'cryptoMessage', label: 'Message (optional, Bitcoin only):', placeholder: 'Order #1234' },
+        { name: 'cryptoChainId', label: 'Chain ID (optional, Ethereum only):', placeholder: '1', attributes: { inputmode: 'numeric' } },
+        { name: 'cryptoToken', label: 'Token Contract (optional, Ethereum only):', placeholder: '0x... for an ERC-20 transfer' },
+        { name: 'cryptoTokenDecimals', kind: 'number', label: 'Token Decimals:', value: '18', attributes: { min: 0, max: 36 } }
+    ],
+    help: 'Addresses are checked offline: Base58Check/Bech32 for Bitcoin, EIP-55 for Ethereum',
+    build: inputs => DataProcessor.processCrypto(inputs),
+    validate: inputs => DataProcessor.validateCrypto(inputs),
+    parse: parseCryptoPayload
+});
+
+TypeRegistry.register({
+    id: 'otp',
+    label: '2FA',
+    icon: 'fas fa-key',
+    fields: [
+        {
+            name: 'otpType',
+            kind: 'select',
+            label: 'Code Type:',
+            options: [
+                { value: 'totp', label: 'Time-based (TOTP)' },
+                { value: 'hotp', label: 'Counter-based (HOTP)' }
+            ]
+        },
+        { name: 'otpIssuer', label: 'Issuer:', placeholder: 'Example Corp', sample: 'Example Corp' },
+        { name: 'otpAccount', label: 'Account Name:', required: true, requiredMessage: 'Please enter an account name.', placeholder: 'alice@example.com', sample: 'alice@example.com' },
+        { name: 'otpSecret', label: 'Secret (Base32):', placeholder: 'Paste a secret or generate one', attributes: { autocomplete: 'off', spellcheck: 'false' } },
+        { name: 'otpAlgorithm', kind: 'select', label: 'Algorithm:', options: Object.keys(OTP_ALGORITHMS).map(value => ({ value, label: value })) },
+        { name: 'otpDigits', kind: 'select', label: 'Digits:', options: OTP_DIGITS.map(value => ({ value, label: value })) },
+        { name: 'otpPeriod', kind: 'number', label: 'Period (seconds, TOTP):', value: '30', attributes: { min: 1 } },
+        { name: 'otpCounter', kind: 'number', label: 'Counter (HOTP):', value: '0', attributes: { min: 0 } }
+    ],
+    help: 'Some authenticator apps ignore algorithm, digits and period; SHA1, 6 digits and 30 seconds work everywhere',
+    build: inputs => DataProcessor.processOtp(inputs),
+    validate: inputs => DataProcessor.validateOtp(inputs),
+    parse: parseOtpPayload,
+    mount: container => {
+        container.querySelector('#otp-secret').insertAdjacentHTML('afterend', `
+            <button type="button" id="otp-generate-btn" class="inspect-btn">
+                <i class="fas fa-dice"></i> Generate Secret
+            </button>
+        `);
+        container.querySelector('.help-text').insertAdjacentHTML('beforebegin', '<div id="otp-preview" class="inspect-result hidden"></div>');
+    }
+});
+
+TypeRegistry.register({
+    id: 'gs1',
+    label: 'GS1 Link',
+    icon: 'fas fa-barcode',
+    fields: [
+        { name: 'gs1Domain', kind: 'url', label: 'Resolver Domain:', placeholder: 'https://id.gs1.org' },
+        { name: 'gs1Gtin', label: 'GTIN (8, 12, 13 or 14 digits):', required: true, requiredMessage: 'Please enter a GTIN.', placeholder: '09520123456788', sample: '09520123456788', attributes: { inputmode: 'numeric', maxlength: 14 } },
+        { name: 'gs1Batch', label: optional('Batch/Lot'), placeholder: 'ABC123', sample: 'ABC123', attributes: { maxlength: 20 } },
+        { name: 'gs1Serial', label: optional('Serial Number'), placeholder: '12345XYZ', attributes: { maxlength: 20 } },
+        { name: 'gs1Expiry', label: 'Expiry Date (optional, YYMMDD):', placeholder: '261231', attributes: { maxlength: 10 } },
+        { name: 'gs1BestBefore', label: 'Best Before (optional, YYMMDD):', placeholder: '261231', attributes: { maxlength: 10 } },
+        { name: 'gs1Compress', kind: 'checkbox', label: 'Compressed URI (smaller QR code)' }
+    ],
+    build: inputs => DataProcessor.processGs1(inputs),
+    validate: inputs => DataProcessor.validateGs1(inputs),
+    parse: parseGs1Payload,
+    mount: container => {
+        container.insertAdjacentHTML('beforeend', `
+            <label for="gs1-convert">Compress or Uncompress an Existing Link:</label>
+            <textarea id="gs1-convert" placeholder="https://id.gs1.org/01/09520123456788/10/ABC123"></textarea>
+            <button type="button" id="gs1-convert-btn" class="inspect-btn">
+                <i class="fas fa-exchange-alt"></i> Convert Link
+            </button>
+            <div id="gs1-convert-result" class="inspect-result hidden"></div>
+        `);
+    }
+});
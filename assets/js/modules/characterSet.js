@@ -0,0 +1,208 @@
+/**
+ * Character Set Module
+ * Byte encoders for the character sets a QR code can declare, and detection of the smallest
+ * one that holds a payload. ZXing-js encodes every string as UTF-8 whatever the CHARACTER_SET
+ * hint says, so ISO-8859-1 and Shift_JIS bytes are supplied through its custom encoder hook
+ */
+
+/**
+ * Value of the character set option that picks the smallest fitting set
+ */
+export const AUTO_CHARACTER_SET = 'auto';
+
+/**
+ * Selectable character sets and the names ZXing knows them by
+ */
+export const CHARACTER_SETS = {
+    'UTF-8': { label: 'UTF-8', zxingName: 'UTF-8' },
+    'ISO-8859-1': { label: 'ISO-8859-1 (Latin-1)', zxingName: 'ISO-8859-1' },
+    // ZXing only switches to Kanji mode for its canonical SJIS name
+    'Shift_JIS': { label: 'Shift_JIS', zxingName: 'SJIS' }
+};
+
+const REPLACEMENT_BYTE = 0x3F; // '?'
+
+let shiftJisTable = null;
+let encoderInstalled = false;
+
+/**
+ * Builds the character to Shift_JIS bytes table from the platform decoder
+ * @private
+ * @returns {Map<string, Array<number>>} - Non-ASCII characters and their bytes, empty if unsupported
+ */
+function getShiftJisTable() {
+    if (shiftJisTable) return shiftJisTable;
+
+    shiftJisTable = new Map();
+    let decoder;
+    try {
+        decoder = new TextDecoder('shift_jis');
+    } catch (error) {
+        console.warn('Shift_JIS is not supported by this browser:', error.message);
+        return shiftJisTable;
+    }
+
+    const add = bytes => {
+        const char = decoder.decode(Uint8Array.from(bytes));
+        // Keep the first (standard) code for characters with vendor duplicates, skip user-defined areas
+        if (char.length === 1 && char !== '\uFFFD' && !/[\uE000-\uF8FF]/.test(char) && !shiftJisTable.has(char)) {
+            shiftJisTable.set(char, bytes);
+        }
+    };
+
+    // Half-width katakana
+    for (let byte = 0xA1; byte <= 0xDF; byte++) {
+        add([byte]);
+    }
+
+    for (let lead = 0x81; lead <= 0xFC; lead++) {
+        if (lead > 0x9F && lead < 0xE0) continue;
+        for (let trail = 0x40; trail <= 0xFC; trail++) {
+            if (trail !== 0x7F) add([lead, trail]);
+        }
+    }
+
+    return shiftJisTable;
+}
+
+/**
+ * Maps any spelling ZXing or the user passes to one of CHARACTER_SETS
+ * @param {string} name - Character set name (UTF8, ISO-8859-1, SJIS, ...)
+ * @returns {string|null} - Key of CHARACTER_SETS, or null for other character sets
+ */
+export function normalizeCharacterSet(name) {
+    switch (String(name || '').replace(/[-_]/g, '').toUpperCase()) {
+        case 'UTF8':
+            return 'UTF-8';
+        case 'ISO88591':
+        case 'LATIN1':
+            return 'ISO-8859-1';
+        case 'SJIS':
+        case 'SHIFTJIS':
+            return 'Shift_JIS';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Normalizes a character set the byte encoders have to handle
+ * @private
+ * @param {string} name - Character set name
+ * @returns {string} - Key of CHARACTER_SETS
+ */
+function requireCharacterSet(name) {
+    const characterSet = normalizeCharacterSet(name);
+    if (!characterSet) {
+        throw new Error(`Unsupported character set "${name}". Use UTF-8, ISO-8859-1 or Shift_JIS.`);
+    }
+    return characterSet;
+}
+
+/**
+ * Encodes one character
+ * @private
+ * @param {string} char - Single code point
+ * @param {string} characterSet - Key of CHARACTER_SETS
+ * @returns {Array<number>|null} - Bytes, or null when the set cannot represent it
+ */
+function encodeCharacter(char, characterSet) {
+    const code = char.codePointAt(0);
+
+    if (characterSet === 'ISO-8859-1') {
+        return code <= 0xFF ? [code] : null;
+    }
+    if (characterSet === 'Shift_JIS') {
+        return code < 0x80 ? [code] : getShiftJisTable().get(char) || null;
+    }
+    return [...new TextEncoder().encode(char)];
+}
+
+/**
+ * Encodes text into a character set, replacing characters it cannot hold with '?'
+ * @param {string} text - Text to encode
+ * @param {string} characterSet - Character set name
+ * @returns {Uint8Array} - Encoded bytes
+ */
+export function encodeText(text, characterSet) {
+    const set = requireCharacterSet(characterSet);
+    if (set === 'UTF-8') {
+        return new TextEncoder().encode(text);
+    }
+
+    const bytes = [];
+    for (const char of text) {
+        bytes.push(...(encodeCharacter(char, set) || [REPLACEMENT_BYTE]));
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Lists the characters a character set cannot represent
+ * @param {string} text - Text to check
+ * @param {string} characterSet - Character set name
+ * @returns {Array<string>} - Unique unrepresentable characters in order of appearance
+ */
+export function findUnrepresentable(text, characterSet) {
+    const set = requireCharacterSet(characterSet);
+    const missing = new Set();
+    for (const char of text) {
+        if (!encodeCharacter(char, set)) missing.add(char);
+    }
+    return [...missing];
+}
+
+/**
+ * Picks the character set that encodes text in the fewest bytes
+ * @param {string} text - Text to encode
+ * @returns {string|null} - Key of CHARACTER_SETS, or null for plain ASCII that needs no declaration
+ */
+export function detectCharacterSet(text) {
+    if (/^[\x00-\x7F]*$/.test(text)) return null;
+
+    // Ties go to the set listed first, ISO-8859-1 being the QR default
+    const candidates = ['ISO-8859-1', 'UTF-8', 'Shift_JIS']
+        .filter(set => findUnrepresentable(text, set).length === 0)
+        .map(set => ({ set, bytes: encodeText(text, set).length }));
+
+    return candidates.reduce((best, candidate) => (candidate.bytes < best.bytes ? candidate : best)).set;
+}
+
+/**
+ * Resolves the character set option for a payload
+ * @param {string} text - Payload
+ * @param {string} requested - Option value: 'auto' or a key of CHARACTER_SETS
+ * @returns {Object} - { characterSet, detected, unrepresentable } where characterSet is null for plain ASCII
+ */
+export function resolveCharacterSet(text, requested = AUTO_CHARACTER_SET) {
+    if (!requested || requested === AUTO_CHARACTER_SET) {
+        return { characterSet: detectCharacterSet(text), detected: true, unrepresentable: [] };
+    }
+
+    const characterSet = requireCharacterSet(requested);
+    return { characterSet, detected: false, unrepresentable: findUnrepresentable(text, characterSet) };
+}
+
+/**
+ * Routes ZXing's string encoding of UTF-8, ISO-8859-1 and Shift_JIS through encodeText so declared character sets
+ * get matching bytes; other character sets, such as Cp437, stay with ZXing's own encoder
+ */
+export function installZXingEncoder() {
+    if (encoderInstalled || typeof ZXing === 'undefined' || !ZXing.ZXingStringEncoding) return;
+
+    const encoding = ZXing.ZXingStringEncoding;
+    const customEncoder = (text, encodingName) => {
+        if (normalizeCharacterSet(encodingName)) {
+            return encodeText(text, encodingName);
+        }
+        // ZXing only falls back to its own encoder while no custom one is set
+        encoding.customEncoder = undefined;
+        try {
+            return encoding.encode(text, encodingName);
+        } finally {
+            encoding.customEncoder = customEncoder;
+        }
+    };
+    encoding.customEncoder = customEncoder;
+    encoderInstalled = true;
+}
@@ -0,0 +1,258 @@
+/**
+ * Crypto Address Module
+ * Offline checks for cryptocurrency payment targets: Base58Check and Bech32/Bech32m
+ * for Bitcoin, EIP-55 checksum casing for Ethereum and Bech32 for Lightning invoices
+ */
+import { sha256, keccak256, toHex } from './hashing.js';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+/**
+ * Base58Check version bytes for legacy Bitcoin addresses
+ */
+const BITCOIN_VERSIONS = {
+    0x00: 'mainnet',
+    0x05: 'mainnet',
+    0x6f: 'testnet',
+    0xc4: 'testnet'
+};
+
+/**
+ * Bech32 human-readable parts for SegWit addresses
+ */
+const SEGWIT_PREFIXES = {
+    bc: 'mainnet',
+    tb: 'testnet',
+    bcrt: 'regtest'
+};
+
+/**
+ * Decodes a Base58 string
+ * @private
+ * @param {string} text - Base58 text
+ * @returns {Uint8Array|null} - Decoded bytes or null on invalid characters
+ */
+function base58Decode(text) {
+    let value = 0n;
+    for (const char of text) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) return null;
+        value = value * 58n + BigInt(digit);
+    }
+
+    const bytes = [];
+    while (value > 0n) {
+        bytes.unshift(Number(value & 0xffn));
+        value >>= 8n;
+    }
+
+    // Each leading '1' stands for a leading zero byte
+    const leadingZeros = text.match(/^1*/)[0].length;
+    return new Uint8Array([...new Array(leadingZeros).fill(0), ...bytes]);
+}
+
+/**
+ * Computes the Bech32 checksum polymod
+ * @private
+ * @param {Array<number>} values - 5-bit values
+ * @returns {number} - Polymod result
+ */
+function bech32Polymod(values) {
+    let checksum = 1;
+    for (const value of values) {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        BECH32_GENERATORS.forEach((generator, i) => {
+            if ((top >>> i) & 1) checksum ^= generator;
+        });
+    }
+    return checksum >>> 0;
+}
+
+/**
+ * Decodes a Bech32 or Bech32m string and verifies its checksum
+ * @private
+ * @param {string} text - Bech32 text
+ * @param {number} maxLength - Maximum length (90 for addresses, unbounded for invoices)
+ * @returns {Object|null} - { hrp, data, encoding } or null when invalid
+ */
+function bech32Decode(text, maxLength = 90) {
+    if (text !== text.toLowerCase() && text !== text.toUpperCase()) return null;
+
+    const lower = text.toLowerCase();
+    const separator = lower.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > lower.length || lower.length > maxLength) return null;
+
+    const hrp = lower.slice(0, separator);
+    if ([...hrp].some(char => char.charCodeAt(0) < 33 || char.charCodeAt(0) > 126)) return null;
+
+    const data = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+    if (data.includes(-1)) return null;
+
+    const expandedHrp = [
+        ...[...hrp].map(char => char.charCodeAt(0) >> 5),
+        0,
+        ...[...hrp].map(char => char.charCodeAt(0) & 31)
+    ];
+    const polymod = bech32Polymod([...expandedHrp, ...data]);
+    const encoding = polymod === 1 ? 'bech32' : polymod === BECH32M_CONSTANT ? 'bech32m' : null;
+    if (!encoding) return null;
+
+    return { hrp, data: data.slice(0, -6), encoding };
+}
+
+/**
+ * Regroups bits, e.g. 5-bit Bech32 words into bytes
+ * @private
+ * @param {Array<number>} data - Input values
+ * @param {number} fromBits - Bits per input value
+ * @param {number} toBits - Bits per output value
+ * @returns {Array<number>|null} - Regrouped values or null on non-zero padding
+ */
+function convertBits(data, fromBits, toBits) {
+    let accumulator = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+    const maxAccumulator = (1 << (fromBits + toBits - 1)) - 1;
+
+    for (const value of data) {
+        accumulator = ((accumulator << fromBits) | value) & maxAccumulator;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((accumulator >> bits) & maxValue);
+        }
+    }
+
+    if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) return null;
+    return result;
+}
+
+/**
+ * Validates a Bitcoin address (legacy Base58Check or SegWit Bech32/Bech32m)
+ * @param {string} address - Bitcoin address
+ * @returns {Object} - Validation result with the detected network
+ */
+export function validateBitcoinAddress(address) {
+    if (/^(bc|tb|bcrt)1/i.test(address)) {
+        const decoded = bech32Decode(address);
+        if (!decoded || !SEGWIT_PREFIXES[decoded.hrp] || decoded.data.length < 1) {
+            return { valid: false, message: 'Bitcoin address has an invalid Bech32 checksum.' };
+        }
+
+        const version = decoded.data[0];
+        const program = convertBits(decoded.data.slice(1), 5, 8);
+        if (version > 16 || !program || program.length < 2 || program.length > 40) {
+            return { valid: false, message: 'Bitcoin address has an invalid witness program.' };
+        }
+        if (version === 0 && program.length !== 20 && program.length !== 32) {
+            return { valid: false, message: 'Bitcoin address has an invalid witness program.' };
+        }
+        // BIP350: version 0 uses Bech32, every later version Bech32m
+        if ((version === 0) !== (decoded.encoding === 'bech32')) {
+            return { valid: false, message: 'Bitcoin address uses the wrong Bech32 variant for its witness version.' };
+        }
+
+        return { valid: true, network: SEGWIT_PREFIXES[decoded.hrp] };
+    }
+
+    const bytes = base58Decode(address);
+    if (!bytes || bytes.length !== 25) {
+        return { valid: false, message: 'Please enter a valid Bitcoin address.' };
+    }
+
+    const payload = bytes.slice(0, 21);
+    const checksum = sha256(sha256(payload)).slice(0, 4);
+    if (checksum.some((byte, i) => byte !== bytes[21 + i])) {
+        return { valid: false, message: 'Bitcoin address has an invalid checksum.' };
+    }
+    if (!BITCOIN_VERSIONS[bytes[0]]) {
+        return { valid: false, message: 'Bitcoin address has an unknown version.' };
+    }
+
+    return { valid: true, network: BITCOIN_VERSIONS[bytes[0]] };
+}
+
+/**
+ * Applies EIP-55 mixed-case checksum encoding to an Ethereum address
+ * @param {string} address - 0x-prefixed hex address
+ * @returns {string} - Checksummed address
+ */
+export function toChecksumAddress(address) {
+    const hex = address.slice(2).toLowerCase();
+    const hash = toHex(keccak256(hex));
+
+    return '0x' + [...hex].map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join('');
+}
+
+/**
+ * Validates an Ethereum address, enforcing EIP-55 when the address is mixed case
+ * @param {string} address - 0x-prefixed hex address
+ * @returns {Object} - Validation result
+ */
+export function validateEthereumAddress(address) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        return { valid: false, message: 'Ethereum addresses are 0x followed by 40 hex characters.' };
+    }
+
+    const hex = address.slice(2);
+    const isSingleCase = hex === hex.toLowerCase() || hex === hex.toUpperCase();
+    if (!isSingleCase && toChecksumAddress(address) !== address) {
+        return { valid: false, message: 'Ethereum address fails its EIP-55 checksum.' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validates a BOLT11 Lightning invoice or LNURL
+ * @param {string} invoice - Invoice text without the lightning: scheme
+ * @returns {Object} - Validation result
+ */
+export function validateLightningInvoice(invoice) {
+    const decoded = bech32Decode(invoice, Infinity);
+    if (!decoded || decoded.encoding !== 'bech32') {
+        return { valid: false, message: 'Lightning invoice has an invalid Bech32 checksum.' };
+    }
+    if (!/^ln(bc|tb|bcrt|tbs|sb)\d*[munp]?$/.test(decoded.hrp) && decoded.hrp !== 'lnurl') {
+        return { valid: false, message: 'Please enter a BOLT11 invoice (lnbc...) or an LNURL.' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Converts a decimal amount to integer base units without floating point rounding
+ * @param {string} amount - Decimal amount, e.g. '1.5'
+ * @param {number} decimals - Decimals of the unit, e.g. 18 for ether
+ * @returns {string|null} - Base units, or null when the amount is malformed or too precise
+ */
+export function toBaseUnits(amount, decimals) {
+    const match = /^(\d*)(?:\.(\d*))?$/.exec(amount.trim());
+    if (!match || !(match[1] || match[2])) return null;
+
+    const fraction = match[2] || '';
+    if (fraction.length > decimals) return null;
+
+    return BigInt((match[1] || '0') + fraction.padEnd(decimals, '0')).toString();
+}
+
+/**
+ * Converts integer base units back to a decimal amount
+ * @param {string} units - Base units, e.g. '1500000000000000000'
+ * @param {number} decimals - Decimals of the unit
+ * @returns {string|null} - Decimal amount without trailing zeros, or null when units is not an integer
+ */
+export function fromBaseUnits(units, decimals) {
+    if (!/^\d+$/.test(units)) return null;
+
+    const digits = units.replace(/^0+/, '').padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return fraction ? `${whole}.${fraction}` : whole;
+}
@@ -2,6 +2,74 @@
  * Data processor for different QR code types
  */
 import { Utils } from './utils.js';
+import { TypeRegistry } from './typeRegistry.js';
+import { validateBitcoinAddress, validateEthereumAddress, validateLightningInvoice, toChecksumAddress, toBaseUnits } from './cryptoAddress.js';
+import { OTP_ALGORITHMS, OTP_DIGITS, MIN_SECRET_BYTES, MIN_GENERATED_SECRET_BYTES, normalizeBase32, decodeBase32 } from './otp.js';
+import { validateAiValue, buildDigitalLink, compressDigitalLink, parseDigitalLink } from './gs1.js';
+
+/**
+ * Click identifiers and campaign parameters removed when canonicalizing a URL (utm_* is matched by prefix)
+ */
+const TRACKING_PARAMETERS = [
+    'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+    'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id'
+];
+
+/**
+ * Campaign parameters set by the UTM builder, keyed by input name
+ */
+const UTM_PARAMETERS = {
+    urlUtmSource: 'utm_source',
+    urlUtmMedium: 'utm_medium',
+    urlUtmCampaign: 'utm_campaign',
+    urlUtmTerm: 'utm_term',
+    urlUtmContent: 'utm_content'
+};
+
+/**
+ * EMVCo merchant-presented QR scheme templates
+ */
+const EMVCO_SCHEMES = {
+    pix: { tag: '26', gui: 'br.gov.bcb.pix', currency: '986', country: 'BR' },
+    promptpay: { tag: '29', gui: 'A000000677010111', currency: '764', country: 'TH' },
+    paynow: { tag: '26', gui: 'SG.PAYNOW', currency: '702', country: 'SG' }
+};
+
+/**
+ * Names of top-level EMVCo data objects
+ */
+const EMVCO_FIELD_NAMES = {
+    '00': 'Payload Format Indicator',
+    '01': 'Point of Initiation Method',
+    '52': 'Merchant Category Code',
+    '53': 'Transaction Currency',
+    '54': 'Transaction Amount',
+    '55': 'Tip or Convenience Indicator',
+    '56': 'Value of Convenience Fee Fixed',
+    '57': 'Value of Convenience Fee Percentage',
+    '58': 'Country Code',
+    '59': 'Merchant Name',
+    '60': 'Merchant City',
+    '61': 'Postal Code',
+    '62': 'Additional Data Field Template',
+    '63': 'CRC',
+    '64': 'Merchant Information Language Template'
+};
+
+/**
+ * Names of Additional Data Field Template (62) sub-fields
+ */
+const EMVCO_ADDITIONAL_FIELD_NAMES = {
+    '01': 'Bill Number',
+    '02': 'Mobile Number',
+    '03': 'Store Label',
+    '04': 'Loyalty Number',
+    '05': 'Reference Label',
+    '06': 'Customer Label',
+    '07': 'Terminal Label',
+    '08': 'Purpose of Transaction',
+    '09': 'Additional Consumer Data Request'
+};
 
 export class DataProcessor {
     /**
@@ -11,35 +79,134 @@ export class DataProcessor {
      * @returns {string} - Processed data string
      */
     static processData(type, inputs) {
-        switch (type) {
-            case 'url':
-                return this.processUrl(inputs.url);
-            case 'text':
-                return this.processText(inputs.text);
-            case 'email':
-                return this.processEmail(inputs);
-            case 'phone':
-                return this.processPhone(inputs.phone);
-            case 'sms':
-                return this.processSms(inputs);
-            case 'wifi':
-                return this.processWifi(inputs);
-            case 'vcard':
-                return this.processVcard(inputs);
-            case 'social':
-                return this.processSocial(inputs);
-            default:
-                return '';
-        }
+        const definition = TypeRegistry.get(type);
+        return definition ? definition.build(inputs) : '';
+    }
+
+    /**
+     * Build the payload and apply the type's asynchronous finalize step, such as encryption
+     * @param {string} type - QR code type
+     * @param {Object} inputs - Input values
+     * @returns {Promise<string>} - Final payload
+     */
+    static async preparePayload(type, inputs) {
+        const definition = TypeRegistry.get(type);
+        const payload = this.processData(type, inputs);
+        return definition && definition.finalize ? definition.finalize(payload, inputs) : payload;
     }
 
     /**
      * Process URL data
-     * @param {string} url - URL input
+     * Canonicalization runs before the campaign parameters are merged, so they are not stripped again,
+     * and uppercasing runs last because canonicalization lowercases the host
+     * @param {Object} inputs - URL inputs
      * @returns {string} - Processed URL
      */
-    static processUrl(url) {
-        return Utils.ensureProtocol(url.trim());
+    static processUrl(inputs) {
+        let url = Utils.ensureProtocol(inputs.url.trim());
+
+        if (inputs.urlCanonicalize) {
+            url = this.canonicalizeUrl(url);
+        }
+        if (inputs.urlAddUtm) {
+            url = this.mergeQueryParameters(url, this.collectUtmParameters(inputs));
+        }
+        if (inputs.urlUppercase) {
+            url = this.uppercaseUrl(url);
+        }
+
+        return url;
+    }
+
+    /**
+     * Uppercase the case-insensitive parts of a URL (RFC 3986 section 6.2.2.1): the scheme, the host and
+     * percent-encoded octets, so a QR code can store them in alphanumeric mode
+     * User info, path, query and fragment are case-sensitive and stay as they are
+     * @param {string} url - Absolute URL
+     * @returns {string} - URL with uppercase scheme and host
+     */
+    static uppercaseUrl(url) {
+        const match = url.match(/^([a-z][a-z0-9+.-]*:\/\/)([^/?#]*)(.*)$/is);
+        if (!match) return url;
+
+        const [, scheme, authority, rest] = match;
+        const hostStart = authority.lastIndexOf('@') + 1;
+        return scheme.toUpperCase() +
+            authority.slice(0, hostStart) + authority.slice(hostStart).toUpperCase() +
+            rest.replace(/%[0-9a-f]{2}/gi, octet => octet.toUpperCase());
+    }
+
+    /**
+     * Collect the filled-in campaign parameters
+     * @param {Object} inputs - URL inputs
+     * @returns {Object} - Values keyed by utm_* parameter name
+     */
+    static collectUtmParameters(inputs) {
+        return Object.fromEntries(Object.entries(UTM_PARAMETERS)
+            .map(([name, parameter]) => [parameter, (inputs[name] || '').trim()])
+            .filter(([, value]) => value));
+    }
+
+    /**
+     * Decode the name of a raw query parameter
+     * @param {string} pair - Raw name=value pair
+     * @returns {string} - Decoded, lowercased name
+     */
+    static getQueryParameterName(pair) {
+        const name = pair.split('=')[0].replace(/\+/g, ' ');
+        try {
+            return decodeURIComponent(name).toLowerCase();
+        } catch {
+            return name.toLowerCase();
+        }
+    }
+
+    /**
+     * Merge parameters into the query string of a URL, replacing parameters of the same name
+     * The existing query and fragment are kept byte for byte
+     * @param {string} url - URL
+     * @param {Object} params - Values keyed by parameter name
+     * @returns {string} - URL with the parameters appended
+     */
+    static mergeQueryParameters(url, params) {
+        const names = Object.keys(params);
+        if (names.length === 0) return url;
+
+        const hashIndex = url.indexOf('#');
+        const fragment = hashIndex === -1 ? '' : url.slice(hashIndex);
+        const withoutFragment = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        const queryIndex = withoutFragment.indexOf('?');
+        const base = queryIndex === -1 ? withoutFragment : withoutFragment.slice(0, queryIndex);
+        const query = queryIndex === -1 ? '' : withoutFragment.slice(queryIndex + 1);
+
+        const kept = query.split('&').filter(pair => pair && !names.includes(this.getQueryParameterName(pair)));
+        const added = names.map(name => `${name}=${encodeURIComponent(params[name])}`);
+
+        return `${base}?${[...kept, ...added].join('&')}${fragment}`;
+    }
+
+    /**
+     * Canonicalize a URL: strip tracking parameters, lowercase the host, drop the default port
+     * and convert an internationalized domain to punycode
+     * @param {string} url - Absolute URL
+     * @returns {string} - Canonical URL, or the input when it cannot be parsed
+     */
+    static canonicalizeUrl(url) {
+        let parsed;
+        try {
+            // The URL parser lowercases the host, drops default ports and applies IDNA (punycode)
+            parsed = new URL(url);
+        } catch {
+            return url;
+        }
+
+        const query = parsed.search.slice(1).split('&').filter(pair => {
+            const name = this.getQueryParameterName(pair);
+            return pair && !name.startsWith('utm_') && !TRACKING_PARAMETERS.includes(name);
+        });
+        parsed.search = query.join('&');
+
+        return parsed.href;
     }
 
     /**
@@ -54,26 +221,54 @@ export class DataProcessor {
     /**
      * Process email data
      * @param {Object} inputs - Email inputs
-     * @returns {string} - Mailto URL
+     * @returns {string} - mailto: URL (RFC 6068) or DoCoMo MATMSG string
      */
     static processEmail(inputs) {
         const email = inputs.email.trim();
         const subject = inputs.emailSubject.trim();
         const body = inputs.emailBody.trim();
-        
-        let data = `mailto:${email}`;
+
+        if (inputs.emailFormat === 'matmsg') {
+            const escape = value => this.escapeMecardValue(value);
+            return `MATMSG:TO:${escape(email)};SUB:${escape(subject)};BODY:${escape(body)};;`;
+        }
+
+        let data = `mailto:${this.encodeMailtoAddress(email)}`;
         const params = [];
-        
+
+        const cc = this.splitEmailList(inputs.emailCc);
+        const bcc = this.splitEmailList(inputs.emailBcc);
+        if (cc.length > 0) params.push(`cc=${cc.map(address => this.encodeMailtoAddress(address)).join(',')}`);
+        if (bcc.length > 0) params.push(`bcc=${bcc.map(address => this.encodeMailtoAddress(address)).join(',')}`);
         if (subject) params.push(`subject=${encodeURIComponent(subject)}`);
-        if (body) params.push(`body=${encodeURIComponent(body)}`);
-        
+        // RFC 6068 line breaks in the body are CRLF
+        if (body) params.push(`body=${encodeURIComponent(body.replace(/\r?\n/g, '\r\n'))}`);
+
         if (params.length > 0) {
             data += '?' + params.join('&');
         }
-        
+
         return data;
     }
 
+    /**
+     * Split a comma or semicolon separated list of email addresses
+     * @param {string} value - Address list
+     * @returns {Array<string>} - Trimmed, non-empty addresses
+     */
+    static splitEmailList(value) {
+        return (value || '').split(/[,;]/).map(address => address.trim()).filter(Boolean);
+    }
+
+    /**
+     * Percent-encode an address for a mailto: URL, keeping characters RFC 6068 allows as is
+     * @param {string} address - Email address
+     * @returns {string} - Encoded address
+     */
+    static encodeMailtoAddress(address) {
+        return address.replace(/[^A-Za-z0-9\-._~!$'()*+=@]/g, char => encodeURIComponent(char));
+    }
+
     /**
      * Process phone data
      * @param {string} phone - Phone input
@@ -86,17 +281,23 @@ export class DataProcessor {
     /**
      * Process SMS data
      * @param {Object} inputs - SMS inputs
-     * @returns {string} - SMS URL
+     * @returns {string} - sms: URL (RFC 5724 or iOS style) or SMSTO string
      */
     static processSms(inputs) {
-        const number = inputs.smsNumber.trim();
         const message = inputs.smsMessage.trim();
-        
-        let data = `sms:${number}`;
+
+        if (inputs.smsFormat === 'smsto') {
+            // Everything after the second colon is the message, so it needs no escaping
+            return `SMSTO:${inputs.smsNumber.trim()}:${message}`;
+        }
+
+        // URIs cannot contain spaces, and dialers ignore them anyway
+        let data = `sms:${inputs.smsNumber.replace(/\s/g, '')}`;
         if (message) {
-            data += `?body=${encodeURIComponent(message)}`;
+            // iOS reads the body after '&', Android and RFC 5724 after '?'
+            data += `${inputs.smsFormat === 'sms-ios' ? '&' : '?'}body=${encodeURIComponent(message)}`;
         }
-        
+
         return data;
     }
 
@@ -106,36 +307,209 @@ export class DataProcessor {
      * @returns {string} - WiFi configuration string
      */
     static processWifi(inputs) {
-        const ssid = inputs.wifiSsid.trim();
-        const password = inputs.wifiPassword;
         const security = inputs.wifiSecurity;
-        const hidden = inputs.wifiHidden;
-        
-        return `WIFI:T:${security};S:${ssid};P:${password};H:${hidden ? 'true' : 'false'};;`;
+        const fields = [
+            ['T', security],
+            ['S', this.escapeWifiValue(inputs.wifiSsid.trim(), true)]
+        ];
+
+        if (security === 'WPA2-EAP') {
+            fields.push(['E', inputs.wifiEapMethod]);
+            if (inputs.wifiPhase2 && inputs.wifiPhase2 !== 'NONE') fields.push(['PH2', inputs.wifiPhase2]);
+            fields.push(['I', this.escapeWifiValue(inputs.wifiIdentity.trim())]);
+            if (inputs.wifiAnonymousIdentity.trim()) fields.push(['A', this.escapeWifiValue(inputs.wifiAnonymousIdentity.trim())]);
+        }
+
+        // Open networks carry no password field at all
+        if (security !== 'nopass' && inputs.wifiPassword) {
+            fields.push(['P', this.escapeWifiValue(inputs.wifiPassword)]);
+        }
+        fields.push(['H', inputs.wifiHidden ? 'true' : 'false']);
+
+        return `WIFI:${fields.map(([key, value]) => `${key}:${value};`).join('')};`;
+    }
+
+    /**
+     * Escape a WiFi field value
+     * @param {string} value - Field value
+     * @param {boolean} quoteHex - Quote values that readers would otherwise decode as hex bytes
+     * @returns {string} - Escaped value
+     */
+    static escapeWifiValue(value, quoteHex = false) {
+        const escaped = value.replace(/([\\;,:"])/g, '\\$1');
+        return quoteHex && /^[0-9A-Fa-f]+$/.test(value) && value.length % 2 === 0 ? `"${escaped}"` : escaped;
+    }
+
+    /**
+     * Validate a WiFi password against the rules of its security type
+     * @param {string} security - WPA, SAE, WPA2-EAP, WEP or nopass
+     * @param {string} password - Password or key
+     * @returns {Object} - Validation result
+     */
+    static validateWifiPassword(security, password) {
+        const isAscii = /^[\x20-\x7E]*$/.test(password);
+
+        switch (security) {
+            case 'WPA':
+                // 64 hex digits is a raw pre-shared key instead of a passphrase
+                if (/^[0-9A-Fa-f]{64}$/.test(password)) break;
+                if (!isAscii || password.length < 8 || password.length > 63) {
+                    return { valid: false, message: 'WPA passphrases must be 8-63 printable ASCII characters (or 64 hex digits).' };
+                }
+                break;
+
+            case 'SAE':
+                if (!isAscii || password.length < 8 || password.length > 63) {
+                    return { valid: false, message: 'WPA3 passwords must be 8-63 printable ASCII characters.' };
+                }
+                break;
+
+            case 'WEP':
+                if (!(isAscii && [5, 13].includes(password.length)) && !/^([0-9A-Fa-f]{10}|[0-9A-Fa-f]{26})$/.test(password)) {
+                    return { valid: false, message: 'WEP keys must be 5 or 13 characters, or 10 or 26 hex digits.' };
+                }
+                break;
+        }
+
+        return { valid: true };
     }
 
     /**
      * Process vCard data
      * @param {Object} inputs - vCard inputs
-     * @returns {string} - vCard string
+     * @returns {string} - vCard 3.0/4.0 or MeCard string
      */
     static processVcard(inputs) {
-        const name = inputs.vcardName.trim();
-        const org = inputs.vcardOrg.trim();
-        const phone = inputs.vcardPhone.trim();
-        const email = inputs.vcardEmail.trim();
-        const url = inputs.vcardUrl.trim();
-        
-        let data = 'BEGIN:VCARD\n';
-        data += 'VERSION:3.0\n';
-        if (name) data += `FN:${name}\n`;
-        if (org) data += `ORG:${org}\n`;
-        if (phone) data += `TEL:${phone}\n`;
-        if (email) data += `EMAIL:${email}\n`;
-        if (url) data += `URL:${url}\n`;
-        data += 'END:VCARD';
-        
-        return data;
+        const contact = this.collectContact(inputs);
+
+        if (inputs.vcardFormat === 'mecard') {
+            return this.buildMecard(contact);
+        }
+
+        return this.buildVcard(contact, inputs.vcardFormat === 'vcard4' ? '4.0' : '3.0');
+    }
+
+    /**
+     * Collect trimmed contact fields from vCard inputs
+     * @param {Object} inputs - vCard inputs
+     * @returns {Object} - Contact fields
+     */
+    static collectContact(inputs) {
+        const firstName = inputs.vcardFirstName.trim();
+        const lastName = inputs.vcardLastName.trim();
+
+        return {
+            firstName,
+            lastName,
+            fullName: inputs.vcardName.trim() || [firstName, lastName].filter(Boolean).join(' '),
+            org: inputs.vcardOrg.trim(),
+            title: inputs.vcardTitle.trim(),
+            phones: [
+                { type: 'work', value: inputs.vcardPhoneWork.trim() },
+                { type: 'cell', value: inputs.vcardPhoneCell.trim() },
+                { type: 'home', value: inputs.vcardPhoneHome.trim() }
+            ].filter(phone => phone.value),
+            email: inputs.vcardEmail.trim(),
+            url: inputs.vcardUrl.trim(),
+            address: {
+                street: inputs.vcardStreet.trim(),
+                city: inputs.vcardCity.trim(),
+                region: inputs.vcardRegion.trim(),
+                postalCode: inputs.vcardPostalCode.trim(),
+                country: inputs.vcardCountry.trim()
+            },
+            birthday: inputs.vcardBirthday.trim(),
+            note: inputs.vcardNote.trim()
+        };
+    }
+
+    /**
+     * Build a vCard (RFC 2426 / RFC 6350) with escaping and line folding
+     * @param {Object} contact - Contact fields from collectContact
+     * @param {string} version - '3.0' or '4.0'
+     * @returns {string} - vCard string with CRLF line endings
+     */
+    static buildVcard(contact, version) {
+        const isV4 = version === '4.0';
+        const escape = Utils.escapeTextValue;
+        const { address } = contact;
+
+        const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+
+        if (contact.firstName || contact.lastName) {
+            lines.push(`N:${escape(contact.lastName)};${escape(contact.firstName)};;;`);
+        } else if (!isV4) {
+            // N is mandatory in vCard 3.0
+            lines.push(`N:${escape(contact.fullName)};;;;`);
+        }
+        lines.push(`FN:${escape(contact.fullName)}`);
+        if (contact.org) lines.push(`ORG:${escape(contact.org)}`);
+        if (contact.title) lines.push(`TITLE:${escape(contact.title)}`);
+
+        contact.phones.forEach(({ type, value }) => {
+            const types = type === 'cell' ? [type] : [type, 'voice'];
+            if (isV4) {
+                lines.push(`TEL;VALUE=uri;TYPE=${types.join(',')}:tel:${value.replace(/[\s()]/g, '')}`);
+            } else {
+                lines.push(`TEL;TYPE=${types.map(t => t.toUpperCase()).join(',')}:${value}`);
+            }
+        });
+
+        if (contact.email) lines.push(isV4 ? `EMAIL:${contact.email}` : `EMAIL;TYPE=INTERNET:${contact.email}`);
+        if (contact.url) lines.push(`URL:${contact.url}`);
+
+        if (Object.values(address).some(Boolean)) {
+            const components = ['', '', address.street, address.city, address.region, address.postalCode, address.country];
+            lines.push(`ADR;TYPE=${isV4 ? 'work' : 'WORK'}:${components.map(escape).join(';')}`);
+        }
+
+        if (contact.birthday) lines.push(`BDAY:${isV4 ? contact.birthday.replace(/-/g, '') : contact.birthday}`);
+        if (contact.note) lines.push(`NOTE:${escape(contact.note)}`);
+        lines.push('END:VCARD');
+
+        return lines.map(line => Utils.foldLine(line)).join('\r\n');
+    }
+
+    /**
+     * Build a compact MeCard for older scanners
+     * @param {Object} contact - Contact fields from collectContact
+     * @returns {string} - MECARD string
+     */
+    static buildMecard(contact) {
+        const escape = value => this.escapeMecardValue(value);
+        const { address } = contact;
+        const fields = [];
+
+        if (contact.firstName || contact.lastName) {
+            fields.push(`N:${[contact.lastName, contact.firstName].filter(Boolean).map(escape).join(',')}`);
+        } else {
+            fields.push(`N:${escape(contact.fullName)}`);
+        }
+        if (contact.org) fields.push(`ORG:${escape(contact.org)}`);
+        contact.phones.forEach(({ value }) => fields.push(`TEL:${escape(value)}`));
+        if (contact.email) fields.push(`EMAIL:${escape(contact.email)}`);
+        if (contact.url) fields.push(`URL:${escape(contact.url)}`);
+
+        const addressLine = [address.street, address.city, address.region, address.postalCode, address.country]
+            .filter(Boolean)
+            .join(', ');
+        if (addressLine) fields.push(`ADR:${escape(addressLine)}`);
+
+        if (contact.birthday) fields.push(`BDAY:${contact.birthday.replace(/-/g, '')}`);
+
+        const note = [contact.title, contact.note].filter(Boolean).join('\n');
+        if (note) fields.push(`NOTE:${escape(note)}`);
+
+        return `MECARD:${fields.join(';')};;`;
+    }
+
+    /**
+     * Escape a MeCard/DoCoMo field value
+     * @param {string} value - Raw value
+     * @returns {string} - Value with backslash, semicolon, comma and colon escaped
+     */
+    static escapeMecardValue(value) {
+        return String(value).replace(/([\\;,:])/g, '\\$1');
     }
 
     /**
@@ -160,46 +534,1176 @@ export class DataProcessor {
     }
 
     /**
-     * Validate input data
-     * @param {string} type - QR code type
-     * @param {Object} inputs - Input values
-     * @returns {Object} - Validation result
+     * Process calendar event data
+     * @param {Object} inputs - Event inputs
+     * @returns {string} - iCalendar (RFC 5545) VEVENT string
      */
-    static validateData(type, inputs) {
-        switch (type) {
-            case 'url':
-                const url = this.processUrl(inputs.url);
-                if (!url) return { valid: false, message: 'Please enter a URL.' };
-                if (!Utils.isValidUrl(url)) return { valid: false, message: 'Please enter a valid URL.' };
-                break;
-                
-            case 'text':
-                if (!inputs.text.trim()) return { valid: false, message: 'Please enter some text.' };
-                break;
-                
-            case 'email':
-                if (!Utils.isValidEmail(inputs.email)) return { valid: false, message: 'Please enter a valid email address.' };
-                break;
-                
-            case 'phone':
-            case 'sms':
-                const phoneField = type === 'phone' ? inputs.phone : inputs.smsNumber;
-                if (!phoneField.trim()) return { valid: false, message: 'Please enter a phone number.' };
-                break;
-                
-            case 'wifi':
-                if (!inputs.wifiSsid.trim()) return { valid: false, message: 'Please enter a WiFi network name.' };
-                break;
-                
-            case 'vcard':
-                if (!inputs.vcardName.trim()) return { valid: false, message: 'Please enter at least a name for the contact.' };
-                break;
-                
-            case 'social':
-                if (!inputs.socialUsername.trim()) return { valid: false, message: 'Please enter a username.' };
-                break;
+    static processEvent(inputs) {
+        const title = inputs.eventTitle.trim();
+        const location = inputs.eventLocation.trim();
+        const description = inputs.eventDescription.trim();
+        const timeZone = inputs.eventTimezone.trim();
+        const allDay = inputs.eventAllDay;
+
+        const start = this.parseDateTimeInput(inputs.eventStart);
+        const end = this.parseDateTimeInput(inputs.eventEnd);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//QRCodeGeneratorZX//Event//EN',
+            'BEGIN:VEVENT',
+            `UID:${this.createEventUid(title, inputs.eventStart)}`,
+            `DTSTAMP:${this.formatEventUtc(this.getEventStamp(start, allDay ? '' : timeZone))}`
+        ];
+
+        if (allDay) {
+            // DTEND is exclusive for all-day events, so a single day ends on the next date
+            const endDate = end && this.compareDateParts(end, start) > 0 ? end : start;
+            lines.push(`DTSTART;VALUE=DATE:${this.formatEventDate(start)}`);
+            lines.push(`DTEND;VALUE=DATE:${this.formatEventDate(this.addDays(endDate, 1))}`);
+        } else {
+            lines.push(`DTSTART${this.formatEventDateTime(start, timeZone)}`);
+            if (end) lines.push(`DTEND${this.formatEventDateTime(end, timeZone)}`);
+        }
+
+        lines.push(`SUMMARY:${Utils.escapeTextValue(title)}`);
+        if (location) lines.push(`LOCATION:${Utils.escapeTextValue(location)}`);
+        if (description) lines.push(`DESCRIPTION:${Utils.escapeTextValue(description)}`);
+        lines.push('END:VEVENT', 'END:VCALENDAR');
+
+        return lines.map(line => Utils.foldLine(line)).join('\r\n');
+    }
+
+    /**
+     * Parse a datetime-local input value into its parts
+     * @param {string} value - Value like 2025-03-10T09:30 or 2025-03-10
+     * @returns {Object|null} - Date parts or null when empty/invalid
+     */
+    static parseDateTimeInput(value) {
+        const match = (value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+        return {
+            year: parseInt(year),
+            month: parseInt(month),
+            day: parseInt(day),
+            hour: parseInt(hour),
+            minute: parseInt(minute),
+            second: parseInt(second)
+        };
+    }
+
+    /**
+     * Compare two date part objects
+     * @param {Object} a - First date parts
+     * @param {Object} b - Second date parts
+     * @param {boolean} dateOnly - Ignore the time of day
+     * @returns {number} - Negative, zero or positive like a sort comparator
+     */
+    static compareDateParts(a, b, dateOnly = true) {
+        const keys = dateOnly ? ['year', 'month', 'day'] : ['year', 'month', 'day', 'hour', 'minute', 'second'];
+        for (const key of keys) {
+            if (a[key] !== b[key]) return a[key] - b[key];
+        }
+        return 0;
+    }
+
+    /**
+     * Add days to date parts
+     * @param {Object} parts - Date parts
+     * @param {number} days - Days to add
+     * @returns {Object} - New date parts
+     */
+    static addDays(parts, days) {
+        const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+        return { ...parts, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    /**
+     * Format date parts as an iCalendar DATE value
+     * @param {Object} parts - Date parts
+     * @returns {string} - Date like 20250310
+     */
+    static formatEventDate(parts) {
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        return `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}`;
+    }
+
+    /**
+     * Format a Date as an iCalendar UTC DATE-TIME value
+     * @param {Date} date - Date instance
+     * @returns {string} - Date-time like 20250310T083000Z
+     */
+    static formatEventUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Derive the DTSTAMP instant from the event start instead of the clock, so the same event always yields the same code
+     * @param {Object} parts - Wall-clock start date parts
+     * @param {string} timeZone - Empty for floating time and all-day events, 'UTC' or an IANA zone name
+     * @returns {Date} - Start in UTC; floating times are read as UTC
+     */
+    static getEventStamp(parts, timeZone) {
+        return timeZone
+            ? this.zonedTimeToUtc(parts, timeZone)
+            : new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    }
+
+    /**
+     * Format an event date-time property suffix (parameters and value)
+     * Named time zones are converted to UTC so no VTIMEZONE block is needed
+     * @param {Object} parts - Wall-clock date parts
+     * @param {string} timeZone - Empty for floating time, 'UTC' or an IANA zone name
+     * @returns {string} - Property suffix like :20250310T083000Z
+     */
+    static formatEventDateTime(parts, timeZone) {
+        const pad = n => String(n).padStart(2, '0');
+        const local = `${this.formatEventDate(parts)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+
+        if (!timeZone) {
+            return `:${local}`;
+        }
+
+        return `:${this.formatEventUtc(this.zonedTimeToUtc(parts, timeZone))}`;
+    }
+
+    /**
+     * Convert wall-clock time in a time zone to a UTC Date
+     * @param {Object} parts - Wall-clock date parts
+     * @param {string} timeZone - IANA time zone name
+     * @returns {Date} - Matching instant
+     */
+    static zonedTimeToUtc(parts, timeZone) {
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        const offset = this.getTimeZoneOffset(wallClock, timeZone);
+        let instant = wallClock - offset;
+
+        // Re-check once in case the guess landed on the other side of a DST change
+        const correctedOffset = this.getTimeZoneOffset(instant, timeZone);
+        if (correctedOffset !== offset) {
+            instant = wallClock - correctedOffset;
+        }
+
+        return new Date(instant);
+    }
+
+    /**
+     * Get the offset of a time zone from UTC at an instant
+     * @param {number} timestamp - Milliseconds since epoch
+     * @param {string} timeZone - IANA time zone name
+     * @returns {number} - Offset in milliseconds
+     */
+    static getTimeZoneOffset(timestamp, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+
+        const values = {};
+        formatter.formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+            values[type] = parseInt(value);
+        });
+
+        const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+        return asUtc - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    /**
+     * Check whether a time zone name is supported
+     * @param {string} timeZone - IANA time zone name
+     * @returns {boolean} - True if valid
+     */
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Create a stable event UID so regenerating the same event yields the same code
+     * @param {string} title - Event title
+     * @param {string} start - Raw start value
+     * @returns {string} - UID value
+     */
+    static createEventUid(title, start) {
+        let hash = 5381;
+        for (const char of `${title}|${start}`) {
+            hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
+        }
+        return `${hash.toString(16)}@qrcodegeneratorzx`;
+    }
+
+    /**
+     * Process geo location data
+     * @param {Object} inputs - Geo inputs
+     * @returns {string} - geo: URI (RFC 5870) or maps URL
+     */
+    static processGeo(inputs) {
+        const coordinates = this.parseCoordinates(inputs.geoLocation);
+        if (!coordinates) return '';
+
+        const label = inputs.geoLabel.trim();
+        const altitude = inputs.geoAltitude.trim();
+        const lat = this.formatCoordinate(coordinates.lat);
+        const lng = this.formatCoordinate(coordinates.lng);
+
+        if (inputs.geoFormat === 'maps') {
+            return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
+        }
+
+        let data = `geo:${lat},${lng}`;
+        const alt = altitude || (coordinates.alt !== undefined ? String(coordinates.alt) : '');
+        if (alt) data += `,${this.formatCoordinate(parseFloat(alt))}`;
+        if (label) data += `?q=${encodeURIComponent(label)}`;
+
+        return data;
+    }
+
+    /**
+     * Format a coordinate with at most 6 decimals (about 10 cm)
+     * @param {number} value - Coordinate value
+     * @returns {string} - Compact coordinate string
+     */
+    static formatCoordinate(value) {
+        return String(Number(value.toFixed(6)));
+    }
+
+    /**
+     * Parse coordinates from decimal degrees, DMS text, geo: URIs or map links
+     * @param {string} text - Raw location input
+     * @returns {Object|null} - { lat, lng, alt? } or null if nothing was recognized
+     */
+    static parseCoordinates(text) {
+        const value = (text || '').trim();
+        if (!value) return null;
+
+        // geo: URI
+        const geoMatch = value.match(/^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(-?\d+(?:\.\d+)?))?/i);
+        if (geoMatch) {
+            const result = { lat: parseFloat(geoMatch[1]), lng: parseFloat(geoMatch[2]) };
+            if (geoMatch[3] !== undefined) result.alt = parseFloat(geoMatch[3]);
+            return result;
+        }
+
+        if (/^https?:\/\//i.test(value)) {
+            return this.parseMapUrl(value);
+        }
+
+        return this.parseDecimalCoordinates(value) || this.parseDmsCoordinates(value);
+    }
+
+    /**
+     * Extract coordinates from a pasted map URL (Google, Apple, OpenStreetMap, Bing)
+     * @param {string} url - Map URL
+     * @returns {Object|null} - { lat, lng } or null
+     */
+    static parseMapUrl(url) {
+        const number = '(-?\\d+(?:\\.\\d+)?)';
+        let decoded;
+        try {
+            decoded = decodeURIComponent(url);
+        } catch {
+            decoded = url;
+        }
+
+        const patterns = [
+            // Google /@lat,lng,zoom
+            new RegExp(`@${number},${number}`),
+            // OpenStreetMap marker and view
+            new RegExp(`[?&]mlat=${number}&mlon=${number}`),
+            new RegExp(`#map=\\d+(?:\\.\\d+)?/${number}/${number}`),
+            // Google, Apple and generic query parameters
+            new RegExp(`[?&](?:q|query|ll|sll|center|daddr|destination)=${number},\\s*${number}`),
+            // Bing
+            new RegExp(`[?&]cp=${number}~${number}`)
+        ];
+
+        for (const pattern of patterns) {
+            const match = decoded.match(pattern);
+            if (match) {
+                return { lat: parseFloat(match[1]), lng: parseFloat(match[2]) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse decimal degree pairs like "48.8584, 2.2945" or "48.8584 N 2.2945 E"
+     * @param {string} text - Coordinate text
+     * @returns {Object|null} - { lat, lng } or null
+     */
+    static parseDecimalCoordinates(text) {
+        const match = text.match(/^([NS])?\s*(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*([EW])?\s*(-?\d+(?:\.\d+)?)\s*°?\s*([EW])?$/i);
+        if (!match) return null;
+
+        const latHemisphere = (match[1] || match[3] || 'N').toUpperCase();
+        const lngHemisphere = (match[4] || match[6] || 'E').toUpperCase();
+        const lat = parseFloat(match[2]) * (latHemisphere === 'S' ? -1 : 1);
+        const lng = parseFloat(match[5]) * (lngHemisphere === 'W' ? -1 : 1);
+
+        return { lat, lng };
+    }
+
+    /**
+     * Parse degrees/minutes/seconds text like 48°51'30.2"N 2°17'40.2"E
+     * @param {string} text - Coordinate text
+     * @returns {Object|null} - { lat, lng } or null
+     */
+    static parseDmsCoordinates(text) {
+        const normalized = text
+            .replace(/[′’]/g, "'")
+            .replace(/[″”]|''/g, '"');
+        const pattern = /([NSEW])?\s*(-?\d+(?:\.\d+)?)\s*°\s*(?:(\d+(?:\.\d+)?)\s*'\s*)?(?:(\d+(?:\.\d+)?)\s*"\s*)?([NSEW])?/gi;
+        const components = [...normalized.matchAll(pattern)];
+        if (components.length !== 2) return null;
+
+        const values = components.map(match => {
+            const degrees = parseFloat(match[2]);
+            const minutes = parseFloat(match[3] || '0');
+            const seconds = parseFloat(match[4] || '0');
+            if (minutes >= 60 || seconds >= 60) return null;
+
+            const hemisphere = (match[1] || match[5] || '').toUpperCase();
+            const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+            const negative = degrees < 0 || hemisphere === 'S' || hemisphere === 'W';
+            return { value: negative ? -magnitude : magnitude, hemisphere };
+        });
+
+        if (values.includes(null)) return null;
+
+        // Longitude given first when hemisphere letters say so
+        const [first, second] = values;
+        if ('EW'.includes(first.hemisphere || '-') && 'NS'.includes(second.hemisphere || '-')) {
+            return { lat: second.value, lng: first.value };
+        }
+
+        return { lat: first.value, lng: second.value };
+    }
+
+    /**
+     * Process EPC / SEPA credit transfer data (GiroCode)
+     * @param {Object} inputs - SEPA inputs
+     * @returns {string} - EPC069-12 payload
+     */
+    static processSepa(inputs) {
+        const amount = inputs.sepaAmount.trim();
+        const lines = [
+            'BCD',
+            '002',
+            '1', // Character set: UTF-8
+            'SCT',
+            Utils.normalizeAccountString(inputs.sepaBic),
+            inputs.sepaName.trim(),
+            Utils.normalizeAccountString(inputs.sepaIban),
+            amount ? `EUR${parseFloat(amount).toFixed(2)}` : '',
+            inputs.sepaPurpose.trim().toUpperCase(),
+            Utils.normalizeAccountString(inputs.sepaReference),
+            inputs.sepaRemittance.trim()
+        ];
+
+        // Trailing empty elements may be omitted
+        while (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Process Swiss QR-bill data
+     * @param {Object} inputs - Swiss QR-bill inputs
+     * @returns {string} - SPC 0200 payload
+     */
+    static processSwissQr(inputs) {
+        const amount = inputs.swissAmount.trim();
+        const reference = Utils.normalizeAccountString(inputs.swissReference);
+        const creditor = this.collectSwissAddress(inputs, 'swissCreditor');
+        const debtor = this.collectSwissAddress(inputs, 'swissDebtor');
+        const emptyAddress = ['', '', '', '', '', '', ''];
+
+        const lines = [
+            'SPC',
+            '0200',
+            '1', // Coding type: UTF-8 restricted to the Latin character set
+            Utils.normalizeAccountString(inputs.swissIban),
+            ...this.formatSwissAddress(creditor),
+            ...emptyAddress, // Ultimate creditor, reserved for future use
+            amount ? parseFloat(amount).toFixed(2) : '',
+            inputs.swissCurrency,
+            ...(Object.values(debtor).some(Boolean) ? this.formatSwissAddress(debtor) : emptyAddress),
+            this.getSwissReferenceType(inputs.swissIban, reference),
+            reference,
+            inputs.swissMessage.trim(),
+            'EPD'
+        ];
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Collect a structured Swiss QR-bill address
+     * @param {Object} inputs - Swiss QR-bill inputs
+     * @param {string} prefix - Input key prefix (swissCreditor or swissDebtor)
+     * @returns {Object} - Address fields
+     */
+    static collectSwissAddress(inputs, prefix) {
+        return {
+            name: inputs[`${prefix}Name`].trim(),
+            street: inputs[`${prefix}Street`].trim(),
+            building: inputs[`${prefix}Building`].trim(),
+            postalCode: inputs[`${prefix}PostalCode`].trim(),
+            town: inputs[`${prefix}Town`].trim(),
+            country: inputs[`${prefix}Country`].trim().toUpperCase()
+        };
+    }
+
+    /**
+     * Format a structured (type S) Swiss QR-bill address block
+     * @param {Object} address - Address fields
+     * @returns {Array<string>} - Seven address lines
+     */
+    static formatSwissAddress(address) {
+        return ['S', address.name, address.street, address.building, address.postalCode, address.town, address.country];
+    }
+
+    /**
+     * Determine the Swiss QR-bill reference type
+     * @param {string} iban - Creditor IBAN
+     * @param {string} reference - Normalized reference
+     * @returns {string} - QRR, SCOR or NON
+     */
+    static getSwissReferenceType(iban, reference) {
+        if (Utils.isQrIban(iban)) return 'QRR';
+        if (reference) return 'SCOR';
+        return 'NON';
+    }
+
+    /**
+     * Validate a structured Swiss QR-bill address
+     * @param {Object} address - Address fields
+     * @param {string} party - Party name used in messages
+     * @returns {Object|null} - Validation failure or null when valid
+     */
+    static validateSwissAddress(address, party) {
+        if (!address.name) return { valid: false, message: `Please enter the ${party} name.` };
+        if (address.name.length > 70) return { valid: false, message: `The ${party} name must be at most 70 characters.` };
+        if (address.street.length > 70) return { valid: false, message: `The ${party} street must be at most 70 characters.` };
+        if (address.building.length > 16) return { valid: false, message: `The ${party} building number must be at most 16 characters.` };
+        if (!address.postalCode || address.postalCode.length > 16) return { valid: false, message: `Please enter the ${party} postal code (max 16 characters).` };
+        if (!address.town || address.town.length > 35) return { valid: false, message: `Please enter the ${party} town (max 35 characters).` };
+        if (!/^[A-Z]{2}$/.test(address.country)) return { valid: false, message: `Please enter the ${party} country as a 2-letter code (for example CH).` };
+        return null;
+    }
+
+    /**
+     * Process EMVCo merchant-presented QR data (PIX, PromptPay, PayNow/SGQR)
+     * @param {Object} inputs - EMVCo inputs
+     * @returns {string} - EMVCo TLV payload with CRC
+     */
+    static processEmvco(inputs) {
+        const scheme = EMVCO_SCHEMES[inputs.emvcoScheme] || EMVCO_SCHEMES.pix;
+        const field = (id, value) => this.formatEmvcoField(id, value);
+        const amount = inputs.emvcoAmount.trim();
+
+        let payload = field('00', '01');
+        payload += field('01', inputs.emvcoInitiation === 'dynamic' ? '12' : '11');
+        payload += field(scheme.tag, this.buildEmvcoMerchantAccount(inputs.emvcoScheme, inputs.emvcoAccount, amount));
+        payload += field('52', inputs.emvcoMcc.trim() || '0000');
+        payload += field('53', inputs.emvcoCurrency || scheme.currency);
+        if (amount) payload += field('54', parseFloat(amount).toFixed(2));
+        payload += field('58', scheme.country);
+        payload += field('59', this.toEmvcoText(inputs.emvcoMerchantName));
+        payload += field('60', this.toEmvcoText(inputs.emvcoMerchantCity));
+
+        const additional = [
+            ['01', this.toEmvcoText(inputs.emvcoBillNumber)],
+            ['05', this.toEmvcoText(inputs.emvcoReference) || (inputs.emvcoScheme === 'pix' ? '***' : '')],
+            ['07', this.toEmvcoText(inputs.emvcoTerminal)],
+            ['08', this.toEmvcoText(inputs.emvcoPurpose)]
+        ].filter(([, value]) => value).map(([id, value]) => field(id, value)).join('');
+        if (additional) payload += field('62', additional);
+
+        // CRC covers everything up to and including its own ID and length
+        payload += '6304';
+        return payload + Utils.crc16Ccitt(payload);
+    }
+
+    /**
+     * Build the scheme-specific Merchant Account Information template
+     * @param {string} scheme - pix, promptpay or paynow
+     * @param {string} account - PIX key, PromptPay ID or PayNow UEN/mobile
+     * @param {string} amount - Amount, used to lock PayNow amounts
+     * @returns {string} - Template value
+     */
+    static buildEmvcoMerchantAccount(scheme, account, amount) {
+        const field = (id, value) => this.formatEmvcoField(id, value);
+        const value = account.trim();
+        const template = EMVCO_SCHEMES[scheme] || EMVCO_SCHEMES.pix;
+
+        if (scheme === 'promptpay') {
+            const digits = value.replace(/\D/g, '');
+            if (digits.length === 15) return field('00', template.gui) + field('03', digits);
+            if (digits.length === 13) return field('00', template.gui) + field('02', digits);
+            // Mobile numbers use the 0066 country prefix without the trunk 0
+            const mobile = ('0066' + digits.replace(/^(66|0)/, '')).padStart(13, '0');
+            return field('00', template.gui) + field('01', mobile);
+        }
+
+        if (scheme === 'paynow') {
+            const isMobile = /^\+?\d{8,15}$/.test(value.replace(/\s/g, ''));
+            return field('00', template.gui) +
+                field('01', isMobile ? '0' : '2') +
+                field('02', isMobile ? value.replace(/\s/g, '') : value.toUpperCase()) +
+                field('03', amount ? '0' : '1');
+        }
+
+        return field('00', template.gui) + field('01', value);
+    }
+
+    /**
+     * Transliterate free text for an EMVCo field
+     * Name, city and additional data are in the ANS character set (printable ASCII); accents are dropped so
+     * "São Paulo" becomes "Sao Paulo", and validateEmvco rejects anything that is still outside it
+     * @param {string} value - Raw input
+     * @returns {string} - Trimmed value without combining marks
+     */
+    static toEmvcoText(value) {
+        return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    }
+
+    /**
+     * Format an EMVCo TLV data object
+     * Values are printable ASCII, so the length in characters is the byte count parsers check
+     * @param {string} id - Two-digit ID
+     * @param {string} value - Value
+     * @returns {string} - ID + two-digit length + value
+     */
+    static formatEmvcoField(id, value) {
+        return `${id}${String(value.length).padStart(2, '0')}${value}`;
+    }
+
+    /**
+     * Split an EMVCo TLV string into data objects
+     * @param {string} text - TLV string
+     * @returns {Array<Object>} - Data objects with id and value
+     */
+    static parseEmvcoTlv(text) {
+        const objects = [];
+        let position = 0;
+
+        while (position < text.length) {
+            const header = text.slice(position, position + 4);
+            if (!/^\d{4}$/.test(header)) {
+                throw new Error(`Malformed data object at position ${position}.`);
+            }
+
+            const id = header.slice(0, 2);
+            const length = parseInt(header.slice(2));
+            const value = text.slice(position + 4, position + 4 + length);
+            if (value.length !== length) {
+                throw new Error(`Data object ${id} is shorter than its declared length ${length}.`);
+            }
+
+            objects.push({ id, value });
+            position += 4 + length;
+        }
+
+        return objects;
+    }
+
+    /**
+     * Validate and decode an existing EMVCo merchant-presented QR string
+     * @param {string} text - EMVCo payload
+     * @returns {Object} - { valid, message, fields } with nested templates decoded
+     */
+    static parseEmvco(text) {
+        const payload = (text || '').trim();
+        let objects;
+
+        try {
+            objects = this.parseEmvcoTlv(payload);
+        } catch (error) {
+            return { valid: false, message: error.message, fields: [] };
+        }
+
+        const fields = objects.map(({ id, value }) => {
+            const numericId = parseInt(id);
+            const isMerchantAccount = numericId >= 2 && numericId <= 51;
+            const isTemplate = (numericId >= 26 && numericId <= 51) || id === '62' || id === '64' || numericId >= 80;
+            const decoded = {
+                id,
+                name: EMVCO_FIELD_NAMES[id] || (isMerchantAccount ? 'Merchant Account Information' : 'Template'),
+                value
+            };
+
+            if (isTemplate) {
+                try {
+                    decoded.children = this.parseEmvcoTlv(value).map(child => ({
+                        id: child.id,
+                        name: id === '62'
+                            ? EMVCO_ADDITIONAL_FIELD_NAMES[child.id] || 'Additional Data'
+                            : child.id === '00' ? 'Globally Unique Identifier' : 'Data',
+                        value: child.value
+                    }));
+                } catch (error) {
+                    return { ...decoded, error: error.message };
+                }
+            }
+
+            return decoded;
+        });
+
+        if (objects.length === 0 || objects[0].id !== '00' || objects[0].value !== '01') {
+            return { valid: false, message: 'Payload must start with Payload Format Indicator 000201.', fields };
+        }
+
+        const crcField = objects[objects.length - 1];
+        if (crcField.id !== '63' || !/^[0-9A-F]{4}$/i.test(crcField.value)) {
+            return { valid: false, message: 'Payload must end with a 4-digit CRC (ID 63).', fields };
+        }
+
+        const expectedCrc = Utils.crc16Ccitt(payload.slice(0, -4));
+        if (expectedCrc !== crcField.value.toUpperCase()) {
+            return { valid: false, message: `CRC mismatch: expected ${expectedCrc}, found ${crcField.value}.`, fields };
+        }
+
+        const malformed = fields.find(field => field.error);
+        if (malformed) {
+            return { valid: false, message: `Template ${malformed.id}: ${malformed.error}`, fields };
+        }
+
+        for (const id of ['52', '53', '58', '59', '60']) {
+            if (!objects.some(object => object.id === id)) {
+                return { valid: false, message: `Mandatory field ${id} (${EMVCO_FIELD_NAMES[id]}) is missing.`, fields };
+            }
+        }
+
+        return { valid: true, message: 'Valid EMVCo merchant-presented QR payload.', fields };
+    }
+
+    /**
+     * Process cryptocurrency payment data
+     * @param {Object} inputs - Crypto inputs
+     * @returns {string} - BIP21, EIP-681 or lightning: URI
+     */
+    static processCrypto(inputs) {
+        const target = this.stripCryptoScheme(inputs.cryptoAddress);
+
+        switch (inputs.cryptoNetwork) {
+            case 'ethereum':
+                return this.buildEthereumUri(target, inputs);
+            case 'lightning':
+                return `lightning:${target}`;
+            default:
+                return this.buildBitcoinUri(target, inputs);
+        }
+    }
+
+    /**
+     * Remove a pasted bitcoin:, ethereum: or lightning: scheme from an address
+     * @param {string} value - Address or invoice input
+     * @returns {string} - Bare address or invoice
+     */
+    static stripCryptoScheme(value) {
+        return value.trim().replace(/^(bitcoin|ethereum|lightning):/i, '');
+    }
+
+    /**
+     * Build a BIP21 bitcoin: URI
+     * @param {string} address - Bitcoin address
+     * @param {Object} inputs - Crypto inputs
+     * @returns {string} - BIP21 URI
+     */
+    static buildBitcoinUri(address, inputs) {
+        const params = [
+            ['amount', inputs.cryptoAmount.trim()],
+            ['label', inputs.cryptoLabel.trim()],
+            ['message', inputs.cryptoMessage.trim()]
+        ].filter(([, value]) => value).map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+
+        return `bitcoin:${address}${params.length ? `?${params.join('&')}` : ''}`;
+    }
+
+    /**
+     * Build an EIP-681 ethereum: URI for an ether payment or an ERC-20 transfer
+     * @param {string} address - Recipient address
+     * @param {Object} inputs - Crypto inputs
+     * @returns {string} - EIP-681 URI
+     */
+    static buildEthereumUri(address, inputs) {
+        const token = inputs.cryptoToken.trim();
+        const chainId = inputs.cryptoChainId.trim();
+        const amount = inputs.cryptoAmount.trim();
+        const recipient = toChecksumAddress(address);
+
+        // Token transfers target the contract and pass the recipient as a parameter
+        let uri = `ethereum:${token ? toChecksumAddress(token) : recipient}${chainId ? `@${chainId}` : ''}`;
+        if (token) {
+            uri += `/transfer?address=${recipient}`;
+            if (amount) uri += `&uint256=${toBaseUnits(amount, parseInt(inputs.cryptoTokenDecimals, 10))}`;
+        } else if (amount) {
+            uri += `?value=${toBaseUnits(amount, 18)}`;
+        }
+
+        return uri;
+    }
+
+    /**
+     * Validate cryptocurrency payment inputs
+     * @param {Object} inputs - Crypto inputs
+     * @returns {Object} - Validation result
+     */
+    static validateCrypto(inputs) {
+        const target = this.stripCryptoScheme(inputs.cryptoAddress);
+        const amount = inputs.cryptoAmount.trim();
+        if (!target) return { valid: false, message: 'Please enter an address or invoice.' };
+
+        if (inputs.cryptoNetwork === 'lightning') {
+            return validateLightningInvoice(target);
+        }
+
+        if (inputs.cryptoNetwork === 'ethereum') {
+            const addressCheck = validateEthereumAddress(target);
+            if (!addressCheck.valid) return addressCheck;
+
+            const token = inputs.cryptoToken.trim();
+            if (token && !validateEthereumAddress(token).valid) {
+                return { valid: false, message: 'Token contract must be a valid Ethereum address.' };
+            }
+            if (inputs.cryptoChainId.trim() && !/^[1-9]\d*$/.test(inputs.cryptoChainId.trim())) {
+                return { valid: false, message: 'Chain ID must be a positive integer.' };
+            }
+
+            const decimals = token ? Number(inputs.cryptoTokenDecimals) : 18;
+            if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+                return { valid: false, message: 'Token decimals must be a whole number between 0 and 36.' };
+            }
+            const units = amount ? toBaseUnits(amount, decimals) : null;
+            if (amount && !(units && BigInt(units) > 0n)) {
+                return { valid: false, message: `Amount must be positive with at most ${decimals} decimals.` };
+            }
+
+            return { valid: true };
+        }
+
+        const addressCheck = validateBitcoinAddress(target);
+        if (!addressCheck.valid) return addressCheck;
+        if (amount && (!/^\d+(\.\d{1,8})?$/.test(amount) || Number(amount) <= 0 || Number(amount) > 21000000)) {
+            return { valid: false, message: 'Amount must be a positive BTC value with at most 8 decimals.' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Process two-factor provisioning data
+     * @param {Object} inputs - OTP inputs
+     * @returns {string} - otpauth:// URI
+     */
+    static processOtp(inputs) {
+        const otpType = inputs.otpType === 'hotp' ? 'hotp' : 'totp';
+        const issuer = inputs.otpIssuer.trim();
+        const account = inputs.otpAccount.trim();
+        const label = issuer
+            ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`
+            : encodeURIComponent(account);
+
+        const params = [`secret=${normalizeBase32(inputs.otpSecret)}`];
+        if (issuer) params.push(`issuer=${encodeURIComponent(issuer)}`);
+        params.push(`algorithm=${inputs.otpAlgorithm}`);
+        params.push(`digits=${inputs.otpDigits}`);
+        params.push(otpType === 'hotp'
+            ? `counter=${inputs.otpCounter.trim() || '0'}`
+            : `period=${inputs.otpPeriod.trim() || '30'}`);
+
+        return `otpauth://${otpType}/${label}?${params.join('&')}`;
+    }
+
+    /**
+     * Process GS1 Digital Link data
+     * @param {Object} inputs - GS1 inputs
+     * @returns {string} - Uncompressed or compressed Digital Link URI
+     */
+    static processGs1(inputs) {
+        const domain = this.getGs1Domain(inputs);
+        const elements = this.collectGs1Elements(inputs);
+
+        return inputs.gs1Compress ? compressDigitalLink(domain, elements) : buildDigitalLink(domain, elements);
+    }
+
+    /**
+     * Get the resolver domain for a Digital Link, defaulting to the GS1 resolver
+     * @param {Object} inputs - GS1 inputs
+     * @returns {string} - Domain with protocol
+     */
+    static getGs1Domain(inputs) {
+        return Utils.ensureProtocol(inputs.gs1Domain.trim() || 'https://id.gs1.org');
+    }
+
+    /**
+     * Collect Application Identifier values from GS1 inputs
+     * @param {Object} inputs - GS1 inputs
+     * @returns {Object} - AI values keyed by AI, empty values left out
+     */
+    static collectGs1Elements(inputs) {
+        // Date pickers give YYYY-MM-DD, GS1 dates are YYMMDD
+        const toGs1Date = value => value.trim().replace(/^\d{2}(\d{2})-(\d{2})-(\d{2})$/, '$1$2$3');
+        const elements = {
+            '01': inputs.gs1Gtin.replace(/\s/g, ''),
+            '10': inputs.gs1Batch.trim(),
+            '21': inputs.gs1Serial.trim(),
+            '17': toGs1Date(inputs.gs1Expiry),
+            '15': toGs1Date(inputs.gs1BestBefore)
+        };
+
+        return Object.fromEntries(Object.entries(elements).filter(([, value]) => value));
+    }
+
+    /**
+     * Convert a Digital Link between its uncompressed and compressed forms
+     * @param {string} text - Digital Link URI
+     * @returns {Object} - Result with valid, message and the converted uri
+     */
+    static convertDigitalLink(text) {
+        if (!text.trim()) return { valid: false, message: 'Please paste a Digital Link URI.' };
+
+        let parsed;
+        try {
+            parsed = parseDigitalLink(text);
+        } catch (error) {
+            return { valid: false, message: error.message };
+        }
+
+        if (!parsed.elements['01']) return { valid: false, message: 'Digital Link has no GTIN (01).' };
+        for (const [ai, value] of Object.entries(parsed.elements)) {
+            const check = validateAiValue(ai, value);
+            if (!check.valid) return check;
+        }
+
+        return parsed.compressed
+            ? { valid: true, message: 'Uncompressed Digital Link:', uri: buildDigitalLink(parsed.domain, parsed.elements) }
+            : { valid: true, message: 'Compressed Digital Link:', uri: compressDigitalLink(parsed.domain, parsed.elements) };
+    }
+
+    /**
+     * Get encoder settings a type requires regardless of the user's choices
+     * @param {string} type - QR code type
+     * @returns {Object} - Generation options to force (empty when unconstrained)
+     */
+    static getEncodingRequirements(type) {
+        const definition = TypeRegistry.get(type);
+        return definition ? definition.encoding : {};
+    }
+
+    /**
+     * Validate input data
+     * Required fields declared by the type are checked first, then its own validate()
+     * @param {string} type - QR code type
+     * @param {Object} inputs - Input values
+     * @returns {Object} - Validation result { valid, message }, with a warning the inspector shows for valid input
+     */
+    static validateData(type, inputs) {
+        const definition = TypeRegistry.get(type);
+        if (!definition) return { valid: false, message: `Unknown QR code type "${type}".` };
+
+        for (const field of definition.fields) {
+            const value = inputs[field.name];
+            const isEmpty = value === undefined || value === null || String(value).trim() === '';
+            if (field.required && isEmpty && TypeRegistry.isFieldVisible(field, inputs)) {
+                return { valid: false, message: field.requiredMessage || `Please fill in "${field.label.replace(/:$/, '')}".` };
+            }
+        }
+
+        return definition.validate ? definition.validate(inputs) : { valid: true };
+    }
+
+    /**
+     * Validate URL inputs
+     * @param {Object} inputs - URL inputs
+     * @returns {Object} - Validation result
+     */
+    static validateUrl(inputs) {
+        if (!Utils.isValidUrl(this.processUrl(inputs))) return { valid: false, message: 'Please enter a valid URL.' };
+
+        // Analytics drops campaign hits without a source
+        const utm = this.collectUtmParameters(inputs);
+        if (inputs.urlAddUtm && Object.keys(utm).length > 0 && !utm.utm_source) {
+            return { valid: false, message: 'Please enter a campaign source (utm_source) when adding campaign parameters.' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate text inputs
+     * @param {Object} inputs - Text inputs
+     * @returns {Object} - Validation result
+     */
+    static validateText(inputs) {
+        if (!inputs.textEncrypt) return { valid: true };
+
+        if (inputs.textPassphrase.length < 8) {
+            return { valid: false, message: 'Please use a passphrase of at least 8 characters.' };
+        }
+        if (inputs.textPassphrase !== inputs.textPassphraseConfirm) {
+            return { valid: false, message: 'The passphrases do not match.' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate email inputs
+     * @param {Object} inputs - Email inputs
+     * @returns {Object} - Validation result
+     */
+    static validateEmail(inputs) {
+        if (!Utils.isValidEmail(inputs.email)) return { valid: false, message: 'Please enter a valid email address.' };
+
+        const copies = [...this.splitEmailList(inputs.emailCc), ...this.splitEmailList(inputs.emailBcc)];
+        if (copies.length > 0 && inputs.emailFormat === 'matmsg') {
+            return { valid: false, message: 'MATMSG has no CC or BCC fields. Please use the mailto: format for copies.' };
+        }
+        const invalidCopy = copies.find(address => !Utils.isValidEmail(address));
+        if (invalidCopy) return { valid: false, message: `"${invalidCopy}" is not a valid CC/BCC address.` };
+        return { valid: true };
+    }
+
+    /**
+     * Validate WiFi inputs
+     * @param {Object} inputs - WiFi inputs
+     * @returns {Object} - Validation result
+     */
+    static validateWifi(inputs) {
+        if (Utils.getByteLength(inputs.wifiSsid.trim()) > 32) return { valid: false, message: 'Network names are at most 32 bytes.' };
+        if (inputs.wifiSecurity === 'WPA2-EAP') {
+            if (!inputs.wifiIdentity.trim()) return { valid: false, message: 'Please enter the enterprise identity (username).' };
+            if (['PEAP', 'TTLS', 'PWD'].includes(inputs.wifiEapMethod) && !inputs.wifiPassword) {
+                return { valid: false, message: `${inputs.wifiEapMethod} requires a password.` };
+            }
+            return { valid: true };
+        }
+        if (inputs.wifiSecurity !== 'nopass') {
+            return this.validateWifiPassword(inputs.wifiSecurity, inputs.wifiPassword);
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate vCard inputs
+     * @param {Object} inputs - vCard inputs
+     * @returns {Object} - Validation result
+     */
+    static validateVcard(inputs) {
+        if (!inputs.vcardName.trim() && !inputs.vcardFirstName.trim() && !inputs.vcardLastName.trim()) {
+            return { valid: false, message: 'Please enter at least a name for the contact.' };
+        }
+        if (inputs.vcardEmail.trim() && !Utils.isValidEmail(inputs.vcardEmail.trim())) {
+            return { valid: false, message: 'Please enter a valid contact email address.' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate event inputs
+     * @param {Object} inputs - Event inputs
+     * @returns {Object} - Validation result
+     */
+    static validateEvent(inputs) {
+        const start = this.parseDateTimeInput(inputs.eventStart);
+        if (!start) return { valid: false, message: 'Please enter a valid start date and time.' };
+        if (inputs.eventEnd.trim()) {
+            const end = this.parseDateTimeInput(inputs.eventEnd);
+            if (!end) return { valid: false, message: 'Please enter a valid end date and time.' };
+            const order = this.compareDateParts(end, start, inputs.eventAllDay);
+            if (inputs.eventAllDay ? order < 0 : order <= 0) {
+                return { valid: false, message: 'The event must end after it starts.' };
+            }
+        }
+        if (inputs.eventTimezone.trim() && !this.isValidTimeZone(inputs.eventTimezone.trim())) {
+            return { valid: false, message: 'Please enter a valid time zone (for example UTC or Europe/Berlin).' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate geo location inputs
+     * @param {Object} inputs - Geo inputs
+     * @returns {Object} - Validation result
+     */
+    static validateGeo(inputs) {
+        const coordinates = this.parseCoordinates(inputs.geoLocation);
+        if (!coordinates) return { valid: false, message: 'Please enter coordinates, a DMS position or a map link.' };
+        if (!(coordinates.lat >= -90 && coordinates.lat <= 90)) return { valid: false, message: 'Latitude must be between -90 and 90 degrees.' };
+        if (!(coordinates.lng >= -180 && coordinates.lng <= 180)) return { valid: false, message: 'Longitude must be between -180 and 180 degrees.' };
+        if (inputs.geoFormat !== 'maps' && inputs.geoAltitude.trim() && !Number.isFinite(Number(inputs.geoAltitude))) {
+            return { valid: false, message: 'Altitude must be a number in meters.' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate SEPA credit transfer inputs
+     * @param {Object} inputs - SEPA inputs
+     * @returns {Object} - Validation result
+     */
+    static validateSepa(inputs) {
+        if (inputs.sepaName.trim().length > 70) return { valid: false, message: 'Beneficiary name must be at most 70 characters.' };
+        if (!Utils.isValidIban(inputs.sepaIban)) return { valid: false, message: 'Please enter a valid IBAN (checksum failed).' };
+        if (inputs.sepaBic.trim() && !Utils.isValidBic(inputs.sepaBic)) return { valid: false, message: 'Please enter a valid BIC.' };
+        if (inputs.sepaAmount.trim()) {
+            const amount = Number(inputs.sepaAmount);
+            if (!/^\d+(\.\d{1,2})?$/.test(inputs.sepaAmount.trim()) || amount < 0.01 || amount > 999999999.99) {
+                return { valid: false, message: 'Amount must be between EUR 0.01 and EUR 999999999.99 with at most 2 decimals.' };
+            }
+        }
+        if (inputs.sepaPurpose.trim() && !/^[A-Z]{4}$/i.test(inputs.sepaPurpose.trim())) {
+            return { valid: false, message: 'Purpose code must be 4 letters (for example GDDS).' };
+        }
+        if (inputs.sepaReference.trim() && inputs.sepaRemittance.trim()) {
+            return { valid: false, message: 'Use either a structured reference or remittance text, not both.' };
+        }
+        if (inputs.sepaReference.trim() && !Utils.isValidCreditorReference(inputs.sepaReference)) {
+            return { valid: false, message: 'Please enter a valid RF creditor reference.' };
+        }
+        if (inputs.sepaRemittance.trim().length > 140) return { valid: false, message: 'Remittance text must be at most 140 characters.' };
+        if (Utils.getByteLength(this.processSepa(inputs)) > 331) {
+            return { valid: false, message: 'EPC payment payload exceeds the 331-byte limit. Please shorten the text fields.' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate Swiss QR-bill inputs
+     * @param {Object} inputs - Swiss QR-bill inputs
+     * @returns {Object} - Validation result
+     */
+    static validateSwissQr(inputs) {
+        const iban = Utils.normalizeAccountString(inputs.swissIban);
+        if (!/^(CH|LI)\d{7}[A-Z0-9]{12}$/.test(iban)) {
+            return { valid: false, message: 'Please enter a Swiss or Liechtenstein IBAN (CH or LI, 21 characters).' };
+        }
+        if (!Utils.isValidIban(iban)) return { valid: false, message: 'Please enter a valid IBAN (checksum failed).' };
+        const creditorError = this.validateSwissAddress(this.collectSwissAddress(inputs, 'swissCreditor'), 'creditor');
+        if (creditorError) return creditorError;
+        const debtor = this.collectSwissAddress(inputs, 'swissDebtor');
+        if (Object.values(debtor).some(Boolean)) {
+            const debtorError = this.validateSwissAddress(debtor, 'debtor');
+            if (debtorError) return debtorError;
+        }
+        if (inputs.swissAmount.trim()) {
+            const amount = Number(inputs.swissAmount);
+            if (!/^\d+(\.\d{1,2})?$/.test(inputs.swissAmount.trim()) || amount < 0.01 || amount > 999999999.99) {
+                return { valid: false, message: 'Amount must be between 0.01 and 999999999.99 with at most 2 decimals.' };
+            }
+        }
+        const reference = Utils.normalizeAccountString(inputs.swissReference);
+        if (Utils.isQrIban(iban)) {
+            if (!Utils.isValidQrReference(reference)) {
+                return { valid: false, message: 'A QR-IBAN requires a valid 27-digit QR reference.' };
+            }
+        } else if (reference) {
+            if (Utils.isValidQrReference(reference)) {
+                return { valid: false, message: 'QR references can only be used with a QR-IBAN.' };
+            }
+            if (!Utils.isValidCreditorReference(reference)) {
+                return { valid: false, message: 'Please enter a valid SCOR creditor reference (RF...).' };
+            }
+        }
+        if (inputs.swissMessage.trim().length > 140) return { valid: false, message: 'Message must be at most 140 characters.' };
+        if (this.processSwissQr(inputs).length > 997) {
+            return { valid: false, message: 'Swiss QR-bill payload exceeds 997 characters. Please shorten the text fields.' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate EMVCo merchant-presented QR inputs
+     * @param {Object} inputs - EMVCo inputs
+     * @returns {Object} - Validation result
+     */
+    static validateEmvco(inputs) {
+        const account = inputs.emvcoAccount.trim();
+        if (inputs.emvcoScheme === 'pix' && account.length > 77) return { valid: false, message: 'PIX keys are at most 77 characters.' };
+        if (inputs.emvcoScheme === 'promptpay' && ![9, 10, 11, 13, 15].includes(account.replace(/\D/g, '').length)) {
+            return { valid: false, message: 'PromptPay ID must be a mobile number, a 13-digit national/tax ID or a 15-digit e-wallet ID.' };
+        }
+        if (inputs.emvcoScheme === 'paynow' && !/^(\+?\d{8,15}|[0-9A-Z]{9,10})$/i.test(account.replace(/\s/g, ''))) {
+            return { valid: false, message: 'PayNow proxy must be a UEN or a mobile number.' };
+        }
+        if (!/^[\x20-\x7E]*$/.test(account)) return { valid: false, message: 'The account may only contain printable ASCII characters.' };
+        const merchantName = this.toEmvcoText(inputs.emvcoMerchantName);
+        const merchantCity = this.toEmvcoText(inputs.emvcoMerchantCity);
+        if (!merchantName || merchantName.length > 25) {
+            return { valid: false, message: 'Please enter a merchant name (max 25 characters).' };
+        }
+        if (!merchantCity || merchantCity.length > 15) {
+            return { valid: false, message: 'Please enter a merchant city (max 15 characters).' };
+        }
+        const textFields = [merchantName, merchantCity, inputs.emvcoBillNumber, inputs.emvcoReference, inputs.emvcoTerminal, inputs.emvcoPurpose];
+        if (textFields.some(value => !/^[\x20-\x7E]*$/.test(this.toEmvcoText(value)))) {
+            return { valid: false, message: 'Merchant name, city and additional data only take Latin letters, digits and ASCII punctuation (accents are removed).' };
+        }
+        if (inputs.emvcoAmount.trim() && (!/^\d+(\.\d{1,2})?$/.test(inputs.emvcoAmount.trim()) || Number(inputs.emvcoAmount) <= 0 || inputs.emvcoAmount.trim().length > 13)) {
+            return { valid: false, message: 'Amount must be a positive number with at most 2 decimals.' };
+        }
+        if (inputs.emvcoMcc.trim() && !/^\d{4}$/.test(inputs.emvcoMcc.trim())) return { valid: false, message: 'Merchant category code must be 4 digits.' };
+        if ([inputs.emvcoBillNumber, inputs.emvcoReference, inputs.emvcoTerminal, inputs.emvcoPurpose].some(value => this.toEmvcoText(value).length > 25)) {
+            return { valid: false, message: 'Additional data fields are at most 25 characters each.' };
+        }
+        if (this.processEmvco(inputs).length > 512) return { valid: false, message: 'EMVCo payload exceeds 512 characters.' };
+        return { valid: true };
+    }
+
+    /**
+     * Validate two-factor provisioning inputs
+     * @param {Object} inputs - OTP inputs
+     * @returns {Object} - Validation result, with a warning for secrets shorter than 128 bits
+     */
+    static validateOtp(inputs) {
+        if (inputs.otpIssuer.includes(':') || inputs.otpAccount.includes(':')) {
+            return { valid: false, message: 'Issuer and account name cannot contain a colon.' };
+        }
+        const secret = decodeBase32(inputs.otpSecret);
+        if (!secret || !normalizeBase32(inputs.otpSecret)) return { valid: false, message: 'Secret must be Base32 (letters A-Z and digits 2-7).' };
+        if (secret.length < MIN_SECRET_BYTES) return { valid: false, message: 'Secret must be at least 80 bits (16 Base32 characters).' };
+        if (!OTP_ALGORITHMS[inputs.otpAlgorithm]) return { valid: false, message: 'Please choose SHA1, SHA256 or SHA512.' };
+        if (!OTP_DIGITS.includes(String(inputs.otpDigits))) return { valid: false, message: 'Codes must have 6 to 8 digits.' };
+        if (inputs.otpType === 'hotp' && inputs.otpCounter.trim() && !/^\d+$/.test(inputs.otpCounter.trim())) {
+            return { valid: false, message: 'Counter must be a whole number.' };
+        }
+        if (inputs.otpType !== 'hotp' && inputs.otpPeriod.trim() && !/^[1-9]\d*$/.test(inputs.otpPeriod.trim())) {
+            return { valid: false, message: 'Period must be a positive number of seconds.' };
+        }
+        // Services still issue 80-bit secrets, which authenticator apps accept
+        if (secret.length < MIN_GENERATED_SECRET_BYTES) {
+            return { valid: true, warning: 'RFC 4226 recommends secrets of at least 128 bits (26 Base32 characters); Generate Secret creates 160-bit ones.' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate GS1 Digital Link inputs
+     * @param {Object} inputs - GS1 inputs
+     * @returns {Object} - Validation result
+     */
+    static validateGs1(inputs) {
+        if (!Utils.isValidUrl(this.getGs1Domain(inputs))) return { valid: false, message: 'Please enter a valid resolver domain.' };
+        for (const [ai, value] of Object.entries(this.collectGs1Elements(inputs))) {
+            const check = validateAiValue(ai, value);
+            if (!check.valid) return check;
         }
-        
         return { valid: true };
     }
-}
\ No newline at end of file
+}
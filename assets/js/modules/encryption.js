@@ -0,0 +1,164 @@
+/**
+ * Encryption Module
+ * Passphrase encryption of text payloads with AES-256-GCM and a PBKDF2-SHA256 derived key via WebCrypto
+ *
+ * Envelope format:
+ *     ENC1:<encoding>:<data>
+ *
+ *     encoding   B45 (base45, RFC 9285, which QR codes store in compact alphanumeric mode)
+ *                or B64 (unpadded base64url)
+ *     data       encoded bytes of:
+ *                  1 byte    key derivation function, 1 = PBKDF2-HMAC-SHA256
+ *                  2 bytes   iterations in thousands, big-endian
+ *                 16 bytes   salt
+ *                 12 bytes   AES-GCM IV
+ *                  n bytes   AES-256-GCM ciphertext of the UTF-8 text, followed by its 16-byte tag
+ *                The first 3 bytes are authenticated as additional data, so the parameters cannot be swapped
+ *
+ * WebCrypto has no memory-hard KDF such as Argon2; the KDF byte leaves room to add one later
+ */
+import { encodeBase45, decodeBase45, encodeBase64Url, decodeBase64Url } from './binaryText.js';
+
+/**
+ * Envelope prefix and version
+ */
+export const ENCRYPTION_PREFIX = 'ENC1';
+
+/**
+ * Text encodings of the envelope data
+ */
+export const ENVELOPE_ENCODINGS = {
+    B45: { label: 'Base45', encode: encodeBase45, decode: decodeBase45 },
+    B64: { label: 'Base64url', encode: encodeBase64Url, decode: decodeBase64Url }
+};
+
+/**
+ * PBKDF2-HMAC-SHA256 iterations for new envelopes (OWASP recommendation)
+ */
+export const PBKDF2_ITERATIONS = 600000;
+
+// Refuse envelopes that would keep the browser busy for minutes
+const MAX_ITERATIONS = 10000000;
+
+const KDF_PBKDF2_SHA256 = 1;
+const HEADER_BYTES = 3;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Derives the AES-256-GCM key from a passphrase
+ * @private
+ * @param {string} passphrase - Passphrase, normalized to NFC so composed and decomposed input match
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @param {Array<string>} usages - Key usages
+ * @returns {Promise<CryptoKey>} - AES key
+ */
+async function deriveKey(passphrase, salt, iterations, usages) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase.normalize('NFC')),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        usages
+    );
+}
+
+/**
+ * Encrypts text into an envelope
+ * @param {string} text - Text to protect
+ * @param {string} passphrase - Passphrase
+ * @param {string} encoding - B45 or B64
+ * @param {number} iterations - PBKDF2 iterations, rounded to thousands
+ * @returns {Promise<string>} - ENC1 envelope
+ */
+export async function encryptText(text, passphrase, encoding = 'B45', iterations = PBKDF2_ITERATIONS) {
+    const format = ENVELOPE_ENCODINGS[encoding] ? encoding : 'B45';
+    const thousands = Math.min(Math.max(Math.round(iterations / 1000), 1), 0xFFFF);
+
+    const header = new Uint8Array([KDF_PBKDF2_SHA256, thousands >> 8, thousands & 0xFF]);
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+    const key = await deriveKey(passphrase, salt, thousands * 1000, ['encrypt']);
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: header },
+        key,
+        new TextEncoder().encode(text)
+    ));
+
+    const data = new Uint8Array(HEADER_BYTES + SALT_BYTES + IV_BYTES + ciphertext.length);
+    data.set(header, 0);
+    data.set(salt, HEADER_BYTES);
+    data.set(iv, HEADER_BYTES + SALT_BYTES);
+    data.set(ciphertext, HEADER_BYTES + SALT_BYTES + IV_BYTES);
+
+    return `${ENCRYPTION_PREFIX}:${format}:${ENVELOPE_ENCODINGS[format].encode(data)}`;
+}
+
+/**
+ * Splits an envelope into its parts
+ * @param {string} text - Envelope text
+ * @returns {Object|null} - { encoding, kdf, iterations, header, salt, iv, ciphertext } or null when text is not a valid envelope
+ */
+export function parseEncryptedEnvelope(text) {
+    // No trimming: space is a base45 digit
+    const match = String(text).match(new RegExp(`^${ENCRYPTION_PREFIX}:(B45|B64):(.+)$`, 's'));
+    if (!match) return null;
+
+    const data = ENVELOPE_ENCODINGS[match[1]].decode(match[2]);
+    if (!data || data.length < HEADER_BYTES + SALT_BYTES + IV_BYTES + TAG_BYTES) return null;
+
+    return {
+        encoding: match[1],
+        kdf: data[0],
+        iterations: ((data[1] << 8) | data[2]) * 1000,
+        header: data.slice(0, HEADER_BYTES),
+        salt: data.slice(HEADER_BYTES, HEADER_BYTES + SALT_BYTES),
+        iv: data.slice(HEADER_BYTES + SALT_BYTES, HEADER_BYTES + SALT_BYTES + IV_BYTES),
+        ciphertext: data.slice(HEADER_BYTES + SALT_BYTES + IV_BYTES)
+    };
+}
+
+/**
+ * Decrypts an envelope
+ * @param {string} text - Envelope text
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} - { valid, message, text }
+ */
+export async function decryptText(text, passphrase) {
+    const envelope = parseEncryptedEnvelope(text);
+    if (!envelope) {
+        return { valid: false, message: `This is not an encrypted payload. Encrypted payloads start with ${ENCRYPTION_PREFIX}:B45: or ${ENCRYPTION_PREFIX}:B64:.` };
+    }
+    if (envelope.kdf !== KDF_PBKDF2_SHA256) {
+        return { valid: false, message: `Unsupported key derivation function (${envelope.kdf}).` };
+    }
+    if (envelope.iterations === 0 || envelope.iterations > MAX_ITERATIONS) {
+        return { valid: false, message: `Unsupported iteration count (${envelope.iterations}).` };
+    }
+    if (!passphrase) {
+        return { valid: false, message: 'Please enter the passphrase.' };
+    }
+
+    try {
+        const key = await deriveKey(passphrase, envelope.salt, envelope.iterations, ['decrypt']);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: envelope.iv, additionalData: envelope.header },
+            key,
+            envelope.ciphertext
+        );
+        return { valid: true, message: 'Decrypted successfully.', text: new TextDecoder().decode(plaintext) };
+    } catch (error) {
+        return { valid: false, message: 'Wrong passphrase, or the payload was damaged.' };
+    }
+}
@@ -0,0 +1,294 @@
+/**
+ * GS1 Digital Link Module
+ * Builds, validates, compresses and uncompresses GS1 Digital Link URIs
+ * Compression follows the GS1 Digital Link compression binary format for the AIs listed below
+ */
+
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * GS1 AI encodable character set 82
+ */
+const CSET82_PATTERN = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]+$/;
+
+/**
+ * Supported Application Identifiers
+ * Fixed-length numeric AIs have `length`, variable-length alphanumeric AIs have `maxLength`
+ */
+export const GS1_APPLICATION_IDENTIFIERS = {
+    '01': { name: 'GTIN', length: 14 },
+    '22': { name: 'Consumer Product Variant', maxLength: 20 },
+    '10': { name: 'Batch/Lot', maxLength: 20 },
+    '21': { name: 'Serial Number', maxLength: 20 },
+    '11': { name: 'Production Date', length: 6, date: true },
+    '15': { name: 'Best Before', length: 6, date: true },
+    '17': { name: 'Expiry Date', length: 6, date: true }
+};
+
+/**
+ * Key qualifiers that follow the GTIN in the URI path, in the mandated order
+ */
+const PATH_QUALIFIERS = ['22', '10', '21'];
+
+/**
+ * Encoding indicators for variable-length values (3 bits), with their character test and bits per character
+ */
+const VALUE_ENCODINGS = [
+    { indicator: 0, pattern: /^[0-9]+$/, bits: null },
+    { indicator: 1, pattern: /^[0-9a-f]+$/, bits: 4, alphabet: '0123456789abcdef' },
+    { indicator: 2, pattern: /^[0-9A-F]+$/, bits: 4, alphabet: '0123456789ABCDEF' },
+    { indicator: 3, pattern: /^[A-Za-z0-9_-]+$/, bits: 6, alphabet: BASE64URL_ALPHABET },
+    { indicator: 4, pattern: /^[\x00-\x7F]+$/, bits: 7 }
+];
+
+/**
+ * Validates a GTIN-8/12/13/14 check digit
+ * @param {string} gtin - GTIN digits
+ * @returns {boolean} - True when the length and check digit are valid
+ */
+export function isValidGtin(gtin) {
+    if (!/^(\d{8}|\d{12,14})$/.test(gtin)) return false;
+
+    const digits = gtin.split('').map(Number);
+    const check = digits.pop();
+
+    // Weights alternate 3, 1 starting from the digit next to the check digit
+    const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Checks a YYMMDD date, where DD may be 00 to mean the end of the month
+ * @private
+ * @param {string} value - Six-digit date
+ * @returns {boolean} - True when the date exists
+ */
+function isValidGs1Date(value) {
+    if (!/^\d{6}$/.test(value)) return false;
+
+    const year = 2000 + Number(value.slice(0, 2));
+    const month = Number(value.slice(2, 4));
+    const day = Number(value.slice(4, 6));
+    if (month < 1 || month > 12) return false;
+
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Validates an Application Identifier value against its format
+ * @param {string} ai - Application Identifier
+ * @param {string} value - Value
+ * @returns {Object} - Validation result
+ */
+export function validateAiValue(ai, value) {
+    const definition = GS1_APPLICATION_IDENTIFIERS[ai];
+    if (!definition) return { valid: false, message: `Application Identifier (${ai}) is not supported.` };
+
+    if (ai === '01') {
+        return isValidGtin(value)
+            ? { valid: true }
+            : { valid: false, message: 'GTIN must be 8, 12, 13 or 14 digits with a valid check digit.' };
+    }
+    if (definition.date) {
+        return isValidGs1Date(value)
+            ? { valid: true }
+            : { valid: false, message: `${definition.name} (${ai}) must be a valid YYMMDD date.` };
+    }
+    if (!CSET82_PATTERN.test(value) || value.length > definition.maxLength) {
+        return { valid: false, message: `${definition.name} (${ai}) allows up to ${definition.maxLength} GS1 characters (letters, digits and !"%&'()*+,-./:;<=>?_).` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Percent-encodes a value for a Digital Link path or query
+ * @private
+ * @param {string} value - Raw value
+ * @returns {string} - Encoded value
+ */
+function encodeDigitalLinkValue(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Builds an uncompressed Digital Link URI
+ * @param {string} domain - Resolver domain, e.g. https://id.gs1.org
+ * @param {Object} elements - AI values keyed by AI; the GTIN is padded to 14 digits
+ * @returns {string} - Digital Link URI
+ */
+export function buildDigitalLink(domain, elements) {
+    const base = domain.replace(/\/+$/, '');
+    let path = `/01/${elements['01'].padStart(14, '0')}`;
+
+    PATH_QUALIFIERS.filter(ai => elements[ai]).forEach(ai => {
+        path += `/${ai}/${encodeDigitalLinkValue(elements[ai])}`;
+    });
+
+    const query = Object.keys(elements)
+        .filter(ai => ai !== '01' && !PATH_QUALIFIERS.includes(ai) && elements[ai])
+        .map(ai => `${ai}=${encodeDigitalLinkValue(elements[ai])}`);
+
+    return `${base}${path}${query.length ? `?${query.join('&')}` : ''}`;
+}
+
+/**
+ * Number of bits needed for a numeric string of a given length
+ * @private
+ * @param {number} length - Digit count
+ * @returns {number} - Bit count
+ */
+function numericBits(length) {
+    return Math.ceil(length * Math.log2(10));
+}
+
+/**
+ * Number of bits in the length indicator of a variable-length AI
+ * @private
+ * @param {number} maxLength - Maximum value length
+ * @returns {number} - Bit count
+ */
+function lengthBits(maxLength) {
+    return Math.ceil(Math.log2(maxLength + 1));
+}
+
+/**
+ * Writes an unsigned integer as a fixed-width bit string
+ * @private
+ * @param {bigint|number} value - Value
+ * @param {number} width - Bit width
+ * @returns {string} - Bit string
+ */
+function toBits(value, width) {
+    return BigInt(value).toString(2).padStart(width, '0');
+}
+
+/**
+ * Encodes one AI and its value as bits
+ * @private
+ * @param {string} ai - Application Identifier
+ * @param {string} value - Value
+ * @returns {string} - Bit string
+ */
+function encodeElement(ai, value) {
+    const definition = GS1_APPLICATION_IDENTIFIERS[ai];
+
+    // Each AI digit is written as a hex nibble
+    let bits = [...ai].map(digit => toBits(parseInt(digit, 16), 4)).join('');
+
+    if (definition.length) {
+        return bits + toBits(value, numericBits(definition.length));
+    }
+
+    const encoding = VALUE_ENCODINGS.find(candidate => candidate.pattern.test(value));
+    bits += toBits(encoding.indicator, 3) + toBits(value.length, lengthBits(definition.maxLength));
+
+    if (encoding.indicator === 0) return bits + toBits(value, numericBits(value.length));
+    if (encoding.alphabet) return bits + [...value].map(char => toBits(encoding.alphabet.indexOf(char), encoding.bits)).join('');
+    return bits + [...value].map(char => toBits(char.charCodeAt(0), 7)).join('');
+}
+
+/**
+ * Compresses Digital Link elements into a base64url string
+ * @param {string} domain - Resolver domain
+ * @param {Object} elements - AI values keyed by AI
+ * @returns {string} - Compressed Digital Link URI
+ */
+export function compressDigitalLink(domain, elements) {
+    const ordered = ['01', ...PATH_QUALIFIERS, ...Object.keys(elements)]
+        .filter((ai, index, list) => elements[ai] && list.indexOf(ai) === index);
+
+    let bits = ordered.map(ai => encodeElement(ai, ai === '01' ? elements[ai].padStart(14, '0') : elements[ai])).join('');
+    bits = bits.padEnd(Math.ceil(bits.length / 6) * 6, '0');
+
+    const compressed = bits.match(/.{6}/g).map(chunk => BASE64URL_ALPHABET[parseInt(chunk, 2)]).join('');
+    return `${domain.replace(/\/+$/, '')}/${compressed}`;
+}
+
+/**
+ * Decodes a compressed element string back into AI values
+ * @private
+ * @param {string} compressed - base64url string
+ * @returns {Object} - AI values keyed by AI
+ */
+function decompressElements(compressed) {
+    const bits = [...compressed].map(char => {
+        const index = BASE64URL_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Compressed part contains characters outside base64url.');
+        return toBits(index, 6);
+    }).join('');
+
+    const elements = {};
+    let position = 0;
+    const read = width => {
+        if (position + width > bits.length) throw new Error('Compressed data ends unexpectedly.');
+        const chunk = bits.slice(position, position + width);
+        position += width;
+        return BigInt(`0b${chunk}`);
+    };
+
+    // Anything shorter than one AI key is zero padding
+    while (bits.length - position >= 8) {
+        const high = Number(read(4));
+        const low = Number(read(4));
+        if (high > 9 || low > 9) {
+            throw new Error('Compressed data uses an optimisation code that is not supported here.');
+        }
+
+        const ai = `${high}${low}`;
+        const definition = GS1_APPLICATION_IDENTIFIERS[ai];
+        if (!definition) throw new Error(`Application Identifier (${ai}) is not supported.`);
+
+        if (definition.length) {
+            elements[ai] = read(numericBits(definition.length)).toString().padStart(definition.length, '0');
+            continue;
+        }
+
+        const indicator = Number(read(3));
+        const encoding = VALUE_ENCODINGS.find(candidate => candidate.indicator === indicator);
+        if (!encoding) throw new Error('Compressed data uses an unknown value encoding.');
+        const length = Number(read(lengthBits(definition.maxLength)));
+
+        if (encoding.indicator === 0) {
+            elements[ai] = read(numericBits(length)).toString().padStart(length, '0');
+        } else {
+            let value = '';
+            for (let i = 0; i < length; i++) {
+                const code = Number(read(encoding.bits));
+                value += encoding.alphabet ? encoding.alphabet[code] : String.fromCharCode(code);
+            }
+            elements[ai] = value;
+        }
+    }
+
+    return elements;
+}
+
+/**
+ * Parses an uncompressed or compressed Digital Link URI
+ * @param {string} uri - Digital Link URI
+ * @returns {Object} - { domain, elements, compressed }
+ */
+export function parseDigitalLink(uri) {
+    const url = new URL(uri.trim());
+    const segments = url.pathname.split('/').filter(Boolean);
+    const gtinIndex = segments.indexOf('01');
+
+    if (gtinIndex !== -1) {
+        const elements = {};
+        for (let i = gtinIndex; i + 1 < segments.length; i += 2) {
+            elements[segments[i]] = decodeURIComponent(segments[i + 1]);
+        }
+        url.searchParams.forEach((value, key) => {
+            if (/^\d{2,4}$/.test(key)) elements[key] = value;
+        });
+
+        const prefix = segments.slice(0, gtinIndex).map(segment => `/${segment}`).join('');
+        return { domain: url.origin + prefix, elements, compressed: false };
+    }
+
+    if (segments.length === 0) throw new Error('URI has no Digital Link path.');
+
+    const prefix = segments.slice(0, -1).map(segment => `/${segment}`).join('');
+    return { domain: url.origin + prefix, elements: decompressElements(segments[segments.length - 1]), compressed: true };
+}
@@ -0,0 +1,197 @@
+/**
+ * Hashing Module
+ * Synchronous SHA-256 and Keccak-256 used for offline checksum validation
+ * WebCrypto's digest is asynchronous and has no Keccak, so validation that must run
+ * inside DataProcessor.validateData uses these small pure implementations instead
+ */
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const KECCAK_ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets indexed [x][y]
+const KECCAK_ROTATIONS = [
+    [0, 36, 3, 41, 18],
+    [1, 44, 10, 45, 2],
+    [62, 6, 43, 15, 61],
+    [28, 55, 25, 21, 56],
+    [27, 20, 39, 8, 14]
+];
+
+const LANE_MASK = (1n << 64n) - 1n;
+
+/**
+ * Converts a string or byte array to bytes
+ * @private
+ * @param {string|Uint8Array} input - Input data
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+function toBytes(input) {
+    return typeof input === 'string' ? new TextEncoder().encode(input) : input;
+}
+
+/**
+ * Computes SHA-256
+ * @param {string|Uint8Array} input - Data to hash
+ * @returns {Uint8Array} - 32-byte digest
+ */
+export function sha256(input) {
+    const bytes = toBytes(input);
+    const bitLength = bytes.length * 8;
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    const hash = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+    const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + ch + SHA256_K[i] + w[i]) >>> 0;
+            const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + maj) >>> 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) >>> 0;
+        }
+
+        hash[0] += a;
+        hash[1] += b;
+        hash[2] += c;
+        hash[3] += d;
+        hash[4] += e;
+        hash[5] += f;
+        hash[6] += g;
+        hash[7] += h;
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+    return digest;
+}
+
+/**
+ * Applies the Keccak-f[1600] permutation in place
+ * @private
+ * @param {Array<bigint>} state - 25 lanes indexed x + 5y
+ */
+function keccakF(state) {
+    const rotl = (value, bits) => bits === 0
+        ? value
+        : ((value << BigInt(bits)) | (value >> BigInt(64 - bits))) & LANE_MASK;
+
+    for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+        // Theta
+        const c = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+            for (let y = 0; y < 5; y++) {
+                state[x + 5 * y] ^= d;
+            }
+        }
+
+        // Rho and pi
+        const b = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], KECCAK_ROTATIONS[x][y]);
+            }
+        }
+
+        // Chi
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                state[x + 5 * y] = b[x + 5 * y] ^ (~b[(x + 1) % 5 + 5 * y] & LANE_MASK & b[(x + 2) % 5 + 5 * y]);
+            }
+        }
+
+        // Iota
+        state[0] ^= roundConstant;
+    }
+}
+
+/**
+ * Computes Keccak-256 (the original Keccak padding used by Ethereum, not SHA3-256)
+ * @param {string|Uint8Array} input - Data to hash
+ * @returns {Uint8Array} - 32-byte digest
+ */
+export function keccak256(input) {
+    const bytes = toBytes(input);
+    const rate = 136;
+    const paddedLength = Math.floor(bytes.length / rate + 1) * rate;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] ^= 0x01;
+    padded[paddedLength - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < paddedLength; offset += rate) {
+        for (let lane = 0; lane < rate / 8; lane++) {
+            let value = 0n;
+            for (let i = 7; i >= 0; i--) {
+                value = (value << 8n) | BigInt(padded[offset + lane * 8 + i]);
+            }
+            state[lane] ^= value;
+        }
+        keccakF(state);
+    }
+
+    const digest = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) {
+        digest[i] = Number((state[Math.floor(i / 8)] >> BigInt((i % 8) * 8)) & 0xffn);
+    }
+    return digest;
+}
+
+/**
+ * Converts bytes to lowercase hex
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} - Hex string
+ */
+export function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,183 @@
+/**
+ * Linear Barcodes Module
+ * Code 128 and EAN-13 encoders. ZXing-js 0.20 only ships readers for linear symbologies,
+ * so the module patterns are produced here and rendered like any other symbol
+ */
+
+// Bar and space widths of Code 128 values 0-105, followed by the stop pattern
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_SWITCH = { A: 101, B: 100, C: 99 };
+const CODE128_START = { A: 103, B: 104, C: 105 };
+const CODE128_STOP = 106;
+
+// Shortest digit run worth code set C at either end of the text; runs in the middle need two more to pay for the switch back
+const CODE128_MIN_DIGIT_RUN = 4;
+
+// Left-hand odd parity (L) patterns; even parity (G) is their mirror image and right-hand (R) patterns start with a bar
+const EAN_PATTERNS = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+
+// Parity of the six left-hand digits, selected by the leading digit that is not printed as bars
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Appends alternating bars and spaces to a module row
+ * @private
+ * @param {Array<boolean>} modules - Module row, true for bars
+ * @param {string} widths - Element widths in modules
+ * @param {boolean} startWithBar - Whether the first element is a bar
+ */
+function appendPattern(modules, widths, startWithBar = true) {
+    let bar = startWithBar;
+    for (const width of widths) {
+        for (let i = 0; i < Number(width); i++) {
+            modules.push(bar);
+        }
+        bar = !bar;
+    }
+}
+
+/**
+ * Counts the consecutive digits from a position
+ * @private
+ * @param {string} text - Text to scan
+ * @param {number} start - Position to start at
+ * @returns {number} - Length of the digit run
+ */
+function countDigits(text, start) {
+    let end = start;
+    while (end < text.length && text[end] >= '0' && text[end] <= '9') {
+        end++;
+    }
+    return end - start;
+}
+
+/**
+ * Picks code set A or B for a character
+ * @private
+ * @param {string} char - Character to encode
+ * @param {string} current - Current code set
+ * @returns {string} - A for control characters, B for lowercase letters, otherwise the current set when it can hold it
+ */
+function chooseCode128Set(char, current) {
+    const code = char.charCodeAt(0);
+    if (code < 32) return 'A';
+    if (code >= 96) return 'B';
+    return current === 'A' ? 'A' : 'B';
+}
+
+/**
+ * Converts a character to its value in code set A or B
+ * @private
+ * @param {string} char - ASCII character
+ * @param {string} set - A or B
+ * @returns {number} - Code 128 value
+ */
+function code128Value(char, set) {
+    const code = char.charCodeAt(0);
+    return set === 'A' && code < 32 ? code + 64 : code - 32;
+}
+
+/**
+ * Converts ASCII text to Code 128 values, using code set C for runs of digits
+ * @param {string} text - ASCII text
+ * @returns {Array<number>} - Values from the start code to the checksum, without the stop code
+ */
+export function encodeCode128Values(text) {
+    const values = [];
+    let set = null;
+    let i = 0;
+
+    while (i < text.length) {
+        const digits = countDigits(text, i);
+        const remaining = text.length - i;
+        const minRun = set === null || digits === remaining ? CODE128_MIN_DIGIT_RUN : CODE128_MIN_DIGIT_RUN + 2;
+
+        // Pairs of digits take one symbol in code set C; a lone trailing digit falls back to A or B
+        if (set === 'C' ? digits >= 2 : digits >= minRun || (set === null && digits === remaining && digits % 2 === 0)) {
+            if (set !== 'C') {
+                values.push(set === null ? CODE128_START.C : CODE128_SWITCH.C);
+                set = 'C';
+            }
+            const end = i + (digits & ~1);
+            for (; i < end; i += 2) {
+                values.push(Number(text.slice(i, i + 2)));
+            }
+            continue;
+        }
+
+        const next = chooseCode128Set(text[i], set);
+        if (set === null) {
+            values.push(CODE128_START[next]);
+        } else if (next !== set) {
+            values.push(CODE128_SWITCH[next]);
+        }
+        set = next;
+        values.push(code128Value(text[i], set));
+        i++;
+    }
+
+    const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+    return [...values, checksum];
+}
+
+/**
+ * Encodes ASCII text as a Code 128 module row
+ * @param {string} text - ASCII text
+ * @returns {Array<boolean>} - Modules without quiet zones, true for bars
+ */
+export function encodeCode128(text) {
+    const modules = [];
+    for (const value of encodeCode128Values(text)) {
+        appendPattern(modules, CODE128_PATTERNS[value]);
+    }
+    appendPattern(modules, CODE128_PATTERNS[CODE128_STOP]);
+    return modules;
+}
+
+/**
+ * Computes the GTIN check digit for the digits that precede it
+ * @param {string} digits - Digits without the check digit
+ * @returns {number} - Check digit
+ */
+export function computeGtinCheckDigit(digits) {
+    // Weights alternate 3 and 1 starting from the rightmost digit
+    const sum = [...digits].reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Encodes an EAN-13 number as a module row
+ * @param {string} digits - 12 digits, or 13 digits with a correct check digit
+ * @returns {Array<boolean>} - 95 modules without quiet zones, true for bars
+ */
+export function encodeEan13(digits) {
+    const number = digits.length === 12 ? digits + computeGtinCheckDigit(digits) : digits;
+    const parity = EAN13_PARITY[Number(number[0])];
+    const modules = [];
+
+    appendPattern(modules, '111');
+    for (let i = 1; i <= 6; i++) {
+        const pattern = EAN_PATTERNS[Number(number[i])];
+        appendPattern(modules, parity[i - 1] === 'G' ? [...pattern].reverse().join('') : pattern, false);
+    }
+    appendPattern(modules, '11111', false);
+    for (let i = 7; i <= 12; i++) {
+        appendPattern(modules, EAN_PATTERNS[Number(number[i])]);
+    }
+    appendPattern(modules, '111');
+
+    return modules;
+}
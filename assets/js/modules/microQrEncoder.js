@@ -0,0 +1,468 @@
+/**
+ * Micro QR Encoder Module
+ * Encoders for Micro QR (M1-M4, ISO/IEC 18004) and rectangular Micro QR (rMQR, ISO/IEC 23941), the small
+ * QR variants for component labels. ZXing-js writes neither, so both build on the built-in QR encoder's
+ * segmentation, Reed-Solomon and BCH helpers and return its BitMatrix with the modules classified
+ */
+import {
+    BitMatrix,
+    appendBits,
+    calculateBCHCode,
+    computeErrorCorrection,
+    encodeSegmentData,
+    isMasked,
+    segmentDataWithHeaders
+} from './qrEncoder.js';
+import { MODULE_KINDS, createKindRows } from './qrMatrix.js';
+
+// Neither symbology has ECIs, so byte mode holds text in the default ISO-8859-1 interpretation
+const CHARACTER_SET = 'ISO-8859-1';
+
+const SEGMENT_MODES = ['NUMERIC', 'ALPHANUMERIC', 'BYTE', 'KANJI'];
+
+// Data bits and error correction codewords of M1-M4 per level (ISO/IEC 18004 tables 7 and 9);
+// M1 only detects errors and is used at level L
+const MICRO_QR_VERSIONS = [
+    { name: 'M1', levels: { L: [20, 2] } },
+    { name: 'M2', levels: { L: [40, 5], M: [32, 6] } },
+    { name: 'M3', levels: { L: [84, 6], M: [68, 8] } },
+    { name: 'M4', levels: { L: [128, 8], M: [112, 10], Q: [80, 14] } }
+];
+
+// Character count indicator lengths for M1-M4, 0 where the version has no such mode
+const MICRO_QR_COUNT_BITS = {
+    NUMERIC: [3, 4, 5, 6],
+    ALPHANUMERIC: [0, 3, 4, 5],
+    BYTE: [0, 0, 4, 5],
+    KANJI: [0, 0, 3, 4]
+};
+
+// QR mask patterns behind the four Micro QR mask references
+const MICRO_QR_MASKS = [1, 4, 6, 7];
+
+const FORMAT_INFO_POLY = 0x537;
+const MICRO_QR_FORMAT_MASK = 0x4445;
+
+// rMQR levels, each requested QR level rounded up to the nearest one
+const RMQR_LEVELS = { L: 'M', M: 'M', Q: 'H', H: 'H' };
+
+// rMQR symbols R7x43 to R17x139 (ISO/IEC 23941 tables 3 and 8): version indicator, size, character count
+// indicator lengths for numeric, alphanumeric, byte and Kanji, and [blocks, codewords, data codewords] groups
+const RMQR_VERSIONS = [
+    { indicator: 0, height: 7, width: 43, countBits: [4, 3, 3, 2], blocks: { M: [[1, 13, 6]], H: [[1, 13, 3]] } },
+    { indicator: 1, height: 7, width: 59, countBits: [5, 5, 4, 3], blocks: { M: [[1, 21, 12]], H: [[1, 21, 7]] } },
+    { indicator: 2, height: 7, width: 77, countBits: [6, 5, 5, 4], blocks: { M: [[1, 32, 20]], H: [[1, 32, 10]] } },
+    { indicator: 3, height: 7, width: 99, countBits: [7, 6, 5, 5], blocks: { M: [[1, 44, 28]], H: [[1, 44, 14]] } },
+    { indicator: 4, height: 7, width: 139, countBits: [7, 6, 6, 5], blocks: { M: [[1, 68, 44]], H: [[2, 34, 12]] } },
+    { indicator: 5, height: 9, width: 43, countBits: [5, 5, 4, 3], blocks: { M: [[1, 21, 12]], H: [[1, 21, 7]] } },
+    { indicator: 6, height: 9, width: 59, countBits: [6, 5, 5, 4], blocks: { M: [[1, 33, 21]], H: [[1, 33, 11]] } },
+    { indicator: 7, height: 9, width: 77, countBits: [7, 6, 5, 5], blocks: { M: [[1, 49, 31]], H: [[1, 24, 8], [1, 25, 9]] } },
+    { indicator: 8, height: 9, width: 99, countBits: [7, 6, 6, 5], blocks: { M: [[1, 66, 42]], H: [[2, 33, 11]] } },
+    { indicator: 9, height: 9, width: 139, countBits: [8, 7, 6, 6], blocks: { M: [[1, 49, 31], [1, 50, 32]], H: [[3, 33, 11]] } },
+    { indicator: 10, height: 11, width: 27, countBits: [4, 4, 3, 2], blocks: { M: [[1, 15, 7]], H: [[1, 15, 5]] } },
+    { indicator: 11, height: 11, width: 43, countBits: [6, 5, 5, 4], blocks: { M: [[1, 31, 19]], H: [[1, 31, 11]] } },
+    { indicator: 12, height: 11, width: 59, countBits: [7, 6, 5, 5], blocks: { M: [[1, 47, 31]], H: [[1, 23, 7], [1, 24, 8]] } },
+    { indicator: 13, height: 11, width: 77, countBits: [7, 6, 6, 5], blocks: { M: [[1, 67, 43]], H: [[1, 33, 11], [1, 34, 12]] } },
+    { indicator: 14, height: 11, width: 99, countBits: [8, 7, 6, 6], blocks: { M: [[1, 44, 28], [1, 45, 29]], H: [[1, 44, 14], [1, 45, 15]] } },
+    { indicator: 15, height: 11, width: 139, countBits: [8, 7, 7, 6], blocks: { M: [[2, 66, 42]], H: [[3, 44, 14]] } },
+    { indicator: 16, height: 13, width: 27, countBits: [5, 5, 4, 3], blocks: { M: [[1, 21, 12]], H: [[1, 21, 7]] } },
+    { indicator: 17, height: 13, width: 43, countBits: [6, 6, 5, 5], blocks: { M: [[1, 41, 27]], H: [[1, 41, 13]] } },
+    { indicator: 18, height: 13, width: 59, countBits: [7, 6, 6, 5], blocks: { M: [[1, 60, 38]], H: [[2, 30, 10]] } },
+    { indicator: 19, height: 13, width: 77, countBits: [7, 7, 6, 5], blocks: { M: [[1, 42, 26], [1, 43, 27]], H: [[1, 42, 14], [1, 43, 15]] } },
+    { indicator: 20, height: 13, width: 99, countBits: [8, 7, 7, 6], blocks: { M: [[1, 56, 36], [1, 57, 37]], H: [[1, 37, 11], [2, 38, 12]] } },
+    { indicator: 21, height: 13, width: 139, countBits: [8, 8, 7, 7], blocks: { M: [[2, 55, 35], [1, 56, 36]], H: [[2, 41, 13], [2, 42, 14]] } },
+    { indicator: 22, height: 15, width: 43, countBits: [7, 6, 6, 5], blocks: { M: [[1, 51, 33]], H: [[1, 25, 7], [1, 26, 8]] } },
+    { indicator: 23, height: 15, width: 59, countBits: [7, 7, 6, 5], blocks: { M: [[1, 74, 48]], H: [[2, 37, 13]] } },
+    { indicator: 24, height: 15, width: 77, countBits: [8, 7, 7, 6], blocks: { M: [[1, 51, 33], [1, 52, 34]], H: [[2, 34, 10], [1, 35, 11]] } },
+    { indicator: 25, height: 15, width: 99, countBits: [8, 7, 7, 6], blocks: { M: [[2, 68, 44]], H: [[4, 34, 12]] } },
+    { indicator: 26, height: 15, width: 139, countBits: [9, 8, 7, 7], blocks: { M: [[2, 66, 42], [1, 67, 43]], H: [[1, 39, 13], [4, 40, 14]] } },
+    { indicator: 27, height: 17, width: 43, countBits: [7, 6, 6, 5], blocks: { M: [[1, 61, 39]], H: [[1, 30, 10], [1, 31, 11]] } },
+    { indicator: 28, height: 17, width: 59, countBits: [8, 7, 6, 6], blocks: { M: [[2, 44, 28]], H: [[2, 44, 14]] } },
+    { indicator: 29, height: 17, width: 77, countBits: [8, 7, 7, 6], blocks: { M: [[2, 61, 39]], H: [[1, 40, 12], [2, 41, 13]] } },
+    { indicator: 30, height: 17, width: 99, countBits: [8, 8, 7, 6], blocks: { M: [[2, 53, 33], [1, 54, 34]], H: [[4, 40, 14]] } },
+    { indicator: 31, height: 17, width: 139, countBits: [9, 8, 8, 7], blocks: { M: [[4, 58, 38]], H: [[2, 38, 12], [4, 39, 13]] } }
+];
+
+// Columns of the alignment patterns on the top and bottom edge for each rMQR width
+const RMQR_ALIGNMENT_CENTERS = { 27: [], 43: [21], 59: [19, 39], 77: [25, 51], 99: [23, 49, 75], 139: [27, 55, 83, 111] };
+
+const RMQR_FORMAT_POLY = 0x1F25;
+
+// Format information masks next to the finder pattern and next to the finder sub-pattern
+const RMQR_FORMAT_MASKS = [0x1FAB2, 0x20A7B];
+
+// rMQR has a single data mask, the QR mask pattern 4
+const RMQR_MASK = 4;
+
+/**
+ * Writes segments with their headers, then the terminator and padding up to the data capacity
+ * @private
+ * @param {Array<Object>} segments - Segments { mode, text }
+ * @param {Object} format - { indicators, indicatorBits, countBits, terminatorBits } keyed by mode where needed
+ * @param {number} capacity - Data bits the symbol holds
+ * @returns {Array<number>|null} - Data bits, or null when the segments do not fit
+ */
+function writeDataBits(segments, { indicators, indicatorBits, countBits, terminatorBits }, capacity) {
+    const bits = [];
+    for (const { mode, text } of segments) {
+        const segment = encodeSegmentData(text, mode, CHARACTER_SET);
+        if (segment.letters >= 1 << countBits[mode]) return null;
+        appendBits(bits, indicators[mode], indicatorBits);
+        appendBits(bits, segment.letters, countBits[mode]);
+        bits.push(...segment.bits);
+    }
+    if (bits.length > capacity) return null;
+
+    // Terminator, cut short in a full symbol, zeros to a codeword boundary, then alternating pad codewords;
+    // M1 and M3 end on a 4-bit codeword, which stays zero
+    for (let i = 0; i < terminatorBits && bits.length < capacity; i++) bits.push(0);
+    while (bits.length % 8 !== 0 && bits.length < capacity) bits.push(0);
+    for (let pad = 0; capacity - bits.length >= 8; pad++) {
+        appendBits(bits, pad % 2 === 0 ? 0xEC : 0x11, 8);
+    }
+    while (bits.length < capacity) bits.push(0);
+    return bits;
+}
+
+/**
+ * Groups bits into codewords, left-aligning a final 4-bit codeword
+ * @private
+ * @param {Array<number>} bits - Data bits
+ * @returns {Array<number>} - Codewords
+ */
+function toCodewords(bits) {
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        const chunk = bits.slice(i, i + 8);
+        codewords.push(parseInt(chunk.join(''), 2) << (8 - chunk.length));
+    }
+    return codewords;
+}
+
+/**
+ * Copies module rows into a BitMatrix
+ * @private
+ * @param {Array<Int8Array>} rows - Rows of 0 (light) and 1 (dark) modules
+ * @returns {BitMatrix} - Module grid
+ */
+function toBitMatrix(rows) {
+    const matrix = new BitMatrix(rows[0].length, rows.length);
+    rows.forEach((row, y) => row.forEach((module, x) => {
+        if (module === 1) matrix.set(x, y);
+    }));
+    return matrix;
+}
+
+/**
+ * Places the finder, timing and format patterns and masked data of a Micro QR symbol
+ * @private
+ * @param {Array<number>} bits - Data and error correction bits
+ * @param {number} versionIndex - 0 for M1 to 3 for M4
+ * @param {number} symbolNumber - Symbol number 0-7 naming version and level
+ * @param {number} mask - Micro QR mask reference 0-3
+ * @param {Array<Array<string>>|null} kinds - Rows from createKindRows to mark function patterns in, or null
+ * @returns {Array<Int8Array>} - Rows of 0 (light) and 1 (dark) modules
+ */
+function buildMicroQRMatrix(bits, versionIndex, symbolNumber, mask, kinds = null) {
+    const size = versionIndex * 2 + 11;
+    const rows = Array.from({ length: size }, () => new Int8Array(size).fill(-1));
+    const setModule = (x, y, dark, kind) => {
+        rows[y][x] = dark ? 1 : 0;
+        if (kinds) kinds[y][x] = kind;
+    };
+
+    // Finder pattern with its separator
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+            setModule(x, y, ring !== 2 && ring !== 4, MODULE_KINDS.FINDER);
+        }
+    }
+
+    // Timing patterns along the top and left edges
+    for (let i = 8; i < size; i++) {
+        setModule(i, 0, i % 2 === 0, MODULE_KINDS.TIMING);
+        setModule(0, i, i % 2 === 0, MODULE_KINDS.TIMING);
+    }
+
+    // Format information: symbol number and mask, below and to the right of the finder pattern
+    const formatData = (symbolNumber << 2) | mask;
+    const formatBits = ((formatData << 10) | calculateBCHCode(formatData, FORMAT_INFO_POLY)) ^ MICRO_QR_FORMAT_MASK;
+    for (let i = 0; i < 15; i++) {
+        const dark = ((formatBits >> i) & 1) === 1;
+        if (i < 8) {
+            setModule(8, i + 1, dark, MODULE_KINDS.FORMAT);
+        } else {
+            setModule(15 - i, 8, dark, MODULE_KINDS.FORMAT);
+        }
+    }
+
+    // Data in two-column zigzags from the bottom-right corner
+    let bitIndex = 0;
+    let direction = -1;
+    let y = size - 1;
+    for (let x = size - 1; x > 0; x -= 2) {
+        for (; y >= 0 && y < size; y += direction) {
+            for (let i = 0; i < 2; i++) {
+                const column = x - i;
+                if (rows[y][column] !== -1) continue;
+                const bit = bitIndex < bits.length ? bits[bitIndex++] === 1 : false;
+                setModule(column, y, isMasked(MICRO_QR_MASKS[mask], column, y) ? !bit : bit, MODULE_KINDS.DATA);
+            }
+        }
+        direction = -direction;
+        y += direction;
+    }
+
+    return rows;
+}
+
+/**
+ * Scores a masked Micro QR symbol by its dark modules on the right and bottom edges; the highest score wins
+ * (ISO/IEC 18004 section 7.8.3.2)
+ * @private
+ * @param {Array<Int8Array>} rows - Module rows
+ * @returns {number} - Score
+ */
+function scoreMicroQRMask(rows) {
+    const last = rows.length - 1;
+    let right = 0;
+    let bottom = 0;
+    for (let i = 1; i <= last; i++) {
+        right += rows[i][last];
+        bottom += rows[last][i];
+    }
+    return right <= bottom ? right * 16 + bottom : bottom * 16 + right;
+}
+
+/**
+ * Encodes text into the smallest Micro QR symbol that holds it
+ * @param {string} data - ISO-8859-1 text to encode
+ * @param {Object} options - Encoding options
+ * @param {string} options.errorCorrection - Error correction level L, M or Q; Q needs an M4 symbol
+ * @returns {Object} - { version, errorCorrection, matrix, kinds } with version M1-M4, one matrix cell per module
+ *                     and kinds from createKindRows
+ */
+export function encodeMicroQR(data, { errorCorrection = 'M' } = {}) {
+    if (!data) {
+        throw new Error('Found empty contents');
+    }
+
+    for (let versionIndex = 0; versionIndex < MICRO_QR_VERSIONS.length; versionIndex++) {
+        const { name, levels } = MICRO_QR_VERSIONS[versionIndex];
+        if (!levels[errorCorrection]) continue;
+
+        const format = { indicators: {}, indicatorBits: versionIndex, countBits: {}, terminatorBits: versionIndex * 2 + 3 };
+        const headerBits = {};
+        SEGMENT_MODES.forEach((mode, index) => {
+            const countBits = MICRO_QR_COUNT_BITS[mode][versionIndex];
+            if (countBits === 0) return;
+            format.indicators[mode] = index;
+            format.countBits[mode] = countBits;
+            headerBits[mode] = versionIndex + countBits;
+        });
+
+        const segments = segmentDataWithHeaders(data, CHARACTER_SET, headerBits);
+        const [capacity, ecCount] = levels[errorCorrection];
+        const dataBits = segments && writeDataBits(segments, format, capacity);
+        if (!dataBits) continue;
+
+        // A single block; the 4-bit final data codeword of M1 and M3 is placed as 4 bits
+        const bits = dataBits.slice();
+        computeErrorCorrection(toCodewords(dataBits), ecCount).forEach(codeword => appendBits(bits, codeword, 8));
+
+        const symbolNumber = versionIndex === 0 ? 0 : versionIndex * 2 - 1 + Object.keys(levels).indexOf(errorCorrection);
+        const size = versionIndex * 2 + 11;
+        const kinds = createKindRows(size, size);
+        let best = null;
+        let bestScore = -1;
+        for (let mask = 0; mask < MICRO_QR_MASKS.length; mask++) {
+            const rows = buildMicroQRMatrix(bits, versionIndex, symbolNumber, mask, kinds);
+            const score = scoreMicroQRMask(rows);
+            if (score > bestScore) {
+                best = rows;
+                bestScore = score;
+            }
+        }
+
+        return { version: name, errorCorrection, matrix: toBitMatrix(best), kinds };
+    }
+
+    throw new Error(`Data too big for any Micro QR symbol at level ${errorCorrection}`);
+}
+
+/**
+ * Places the function patterns of an rMQR symbol
+ * @private
+ * @param {Object} version - Entry of RMQR_VERSIONS
+ * @param {Array<Array<string>>} kinds - Rows from createKindRows to mark the patterns in
+ * @returns {Array<Int8Array>} - Rows of 0 (light), 1 (dark) and -1 (data) modules
+ */
+function buildRMQRFunctionPatterns({ height, width }, kinds) {
+    const rows = Array.from({ length: height }, () => new Int8Array(width).fill(-1));
+    const centers = RMQR_ALIGNMENT_CENTERS[width];
+    const setModule = (x, y, dark, kind) => {
+        rows[y][x] = dark ? 1 : 0;
+        kinds[y][x] = kind;
+    };
+
+    // Finder pattern with its separator, which R7 symbols have no room for below
+    for (let y = 0; y < Math.min(8, height); y++) {
+        for (let x = 0; x < 8; x++) {
+            const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+            setModule(x, y, ring !== 2 && ring !== 4, MODULE_KINDS.FINDER);
+        }
+    }
+
+    // Finder sub-pattern in the bottom-right corner
+    for (let dy = 0; dy < 5; dy++) {
+        for (let dx = 0; dx < 5; dx++) {
+            setModule(width - 5 + dx, height - 5 + dy, Math.max(Math.abs(dx - 2), Math.abs(dy - 2)) !== 1, MODULE_KINDS.FINDER);
+        }
+    }
+
+    // Corner finder patterns top right and, below the separator, bottom left
+    setModule(width - 2, 0, true, MODULE_KINDS.FINDER);
+    setModule(width - 1, 0, true, MODULE_KINDS.FINDER);
+    setModule(width - 2, 1, false, MODULE_KINDS.FINDER);
+    setModule(width - 1, 1, true, MODULE_KINDS.FINDER);
+    if (height >= 9) {
+        for (let x = 0; x < 3; x++) setModule(x, height - 1, true, MODULE_KINDS.FINDER);
+    }
+    if (height >= 11) {
+        setModule(0, height - 2, true, MODULE_KINDS.FINDER);
+        setModule(1, height - 2, false, MODULE_KINDS.FINDER);
+    }
+
+    // Alignment patterns on the top and bottom edges
+    centers.forEach(center => {
+        for (let dy = 0; dy < 3; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const dark = dx !== 0 || dy !== 1;
+                setModule(center + dx, dy, dark, MODULE_KINDS.ALIGNMENT);
+                setModule(center + dx, height - 1 - dy, dark, MODULE_KINDS.ALIGNMENT);
+            }
+        }
+    });
+
+    // Timing patterns along the top and bottom edges, and down the sides and alignment columns
+    for (let x = 0; x < width; x++) {
+        [0, height - 1].forEach(y => {
+            if (rows[y][x] === -1) setModule(x, y, x % 2 === 0, MODULE_KINDS.TIMING);
+        });
+    }
+    for (let y = 0; y < height; y++) {
+        [0, width - 1, ...centers].forEach(x => {
+            if (rows[y][x] === -1) setModule(x, y, y % 2 === 0, MODULE_KINDS.TIMING);
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Splits data codewords into the version's blocks, adds error correction and interleaves them
+ * @private
+ * @param {Array<number>} codewords - Data codewords
+ * @param {Array<Array<number>>} groups - [blocks, codewords, data codewords] groups
+ * @returns {Array<number>} - Final codeword sequence as bits
+ */
+function interleaveRMQRBlocks(codewords, groups) {
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, total, dataLength]) => {
+        for (let i = 0; i < count; i++) {
+            const data = codewords.slice(offset, offset + dataLength);
+            blocks.push({ data, ec: computeErrorCorrection(data, total - dataLength) });
+            offset += dataLength;
+        }
+    });
+
+    const bits = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) appendBits(bits, block.data[i], 8);
+        });
+    }
+    for (let i = 0; i < blocks[0].ec.length; i++) {
+        blocks.forEach(block => appendBits(bits, block.ec[i], 8));
+    }
+    return bits;
+}
+
+/**
+ * Encodes text into the rMQR symbol with the smallest area that holds it
+ * @param {string} data - ISO-8859-1 text to encode
+ * @param {Object} options - Encoding options
+ * @param {string} options.errorCorrection - Error correction level; rMQR has M and H, so L becomes M and Q becomes H
+ * @returns {Object} - { version, errorCorrection, matrix, kinds } with version such as R7x43, one matrix cell per
+ *                     module and kinds from createKindRows
+ */
+export function encodeRMQR(data, { errorCorrection = 'M' } = {}) {
+    if (!data) {
+        throw new Error('Found empty contents');
+    }
+
+    const level = RMQR_LEVELS[errorCorrection] || 'M';
+    const candidates = RMQR_VERSIONS.slice().sort((a, b) => a.height * a.width - b.height * b.width);
+    for (const version of candidates) {
+        const format = { indicators: {}, indicatorBits: 3, countBits: {}, terminatorBits: 3 };
+        const headerBits = {};
+        SEGMENT_MODES.forEach((mode, index) => {
+            format.indicators[mode] = index + 1;
+            format.countBits[mode] = version.countBits[index];
+            headerBits[mode] = 3 + version.countBits[index];
+        });
+
+        const groups = version.blocks[level];
+        const capacity = 8 * groups.reduce((sum, [count, , dataLength]) => sum + count * dataLength, 0);
+        const segments = segmentDataWithHeaders(data, CHARACTER_SET, headerBits);
+        const dataBits = segments && writeDataBits(segments, format, capacity);
+        if (!dataBits) continue;
+
+        const bits = interleaveRMQRBlocks(toCodewords(dataBits), groups);
+        const { height, width } = version;
+        const kinds = createKindRows(width, height);
+        const rows = buildRMQRFunctionPatterns(version, kinds);
+        const setFormatModule = (x, y, bit) => {
+            rows[y][x] = bit;
+            kinds[y][x] = MODULE_KINDS.FORMAT;
+        };
+
+        // Format information: level and version indicator, masked differently on each side
+        const formatData = (level === 'H' ? 0x20 : 0) | version.indicator;
+        const formatBits = (formatData << 12) | calculateBCHCode(formatData, RMQR_FORMAT_POLY);
+        const [finderSide, subPatternSide] = RMQR_FORMAT_MASKS.map(mask => formatBits ^ mask);
+        for (let i = 0; i < 18; i++) {
+            setFormatModule(8 + Math.floor(i / 5), 1 + i % 5, (finderSide >> i) & 1);
+            if (i < 15) {
+                setFormatModule(width - 8 + Math.floor(i / 5), height - 6 + i % 5, (subPatternSide >> i) & 1);
+            } else {
+                setFormatModule(width - 5 + i - 15, height - 6, (subPatternSide >> i) & 1);
+            }
+        }
+
+        // Data in two-column zigzags from the bottom right, between the top and bottom timing patterns;
+        // remainder modules are left light before masking
+        let bitIndex = 0;
+        let direction = -1;
+        let y = height - 2;
+        for (let x = width - 2; x > 0; x -= 2) {
+            for (; y >= 1 && y <= height - 2; y += direction) {
+                for (let i = 0; i < 2; i++) {
+                    const column = x - i;
+                    if (rows[y][column] !== -1) continue;
+                    const bit = bitIndex < bits.length ? bits[bitIndex++] === 1 : false;
+                    rows[y][column] = (isMasked(RMQR_MASK, column, y) ? !bit : bit) ? 1 : 0;
+                }
+            }
+            direction = -direction;
+            y += direction;
+        }
+
+        return { version: `R${height}x${width}`, errorCorrection: level, matrix: toBitMatrix(rows), kinds };
+    }
+
+    throw new Error(`Data too big for any rMQR symbol at level ${level}`);
+}
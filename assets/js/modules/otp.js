@@ -0,0 +1,150 @@
+/**
+ * OTP Module
+ * Base32 secrets and HOTP/TOTP code generation (RFC 4226 / RFC 6238) via WebCrypto
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * otpauth algorithm names mapped to WebCrypto hash names
+ */
+export const OTP_ALGORITHMS = {
+    SHA1: 'SHA-1',
+    SHA256: 'SHA-256',
+    SHA512: 'SHA-512'
+};
+
+/**
+ * Code lengths offered, as otpauth digits values
+ */
+export const OTP_DIGITS = ['6', '7', '8'];
+
+/**
+ * Secret length generated by default: 160 bits, as recommended by RFC 4226
+ */
+export const DEFAULT_SECRET_BYTES = 20;
+
+/**
+ * Shortest secret generated here: 128 bits, the minimum RFC 4226 sets
+ */
+export const MIN_GENERATED_SECRET_BYTES = 16;
+
+/**
+ * Shortest secret accepted from elsewhere: the 80-bit, 16-character Base32 secrets many services issue
+ */
+export const MIN_SECRET_BYTES = 10;
+
+/**
+ * Normalizes a pasted Base32 secret (uppercase, no spaces, dashes or padding)
+ * @param {string} secret - Secret as typed or pasted
+ * @returns {string} - Normalized secret
+ */
+export function normalizeBase32(secret) {
+    return secret.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+}
+
+/**
+ * Encodes bytes as unpadded Base32 (RFC 4648)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base32 text
+ */
+export function encodeBase32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decodes Base32 text (RFC 4648), ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Uint8Array|null} - Decoded bytes or null on invalid characters
+ */
+export function decodeBase32(text) {
+    const normalized = normalizeBase32(text);
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of normalized) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) return null;
+
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Generates a cryptographically random Base32 secret
+ * @param {number} byteLength - Secret length in bytes, at least MIN_GENERATED_SECRET_BYTES
+ * @returns {string} - Base32 secret
+ */
+export function generateSecret(byteLength = DEFAULT_SECRET_BYTES) {
+    if (byteLength < MIN_GENERATED_SECRET_BYTES) {
+        throw new Error(`Generated secrets must be at least ${MIN_GENERATED_SECRET_BYTES * 8} bits.`);
+    }
+    return encodeBase32(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Computes an HOTP code (RFC 4226)
+ * @param {Uint8Array} secret - Secret key bytes
+ * @param {number} counter - Moving factor
+ * @param {Object} options - { algorithm: 'SHA1'|'SHA256'|'SHA512', digits }
+ * @returns {Promise<string>} - Zero-padded code
+ */
+export async function generateHotp(secret, counter, { algorithm = 'SHA1', digits = 6 } = {}) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        secret,
+        { name: 'HMAC', hash: OTP_ALGORITHMS[algorithm] || OTP_ALGORITHMS.SHA1 },
+        false,
+        ['sign']
+    );
+
+    const message = new DataView(new ArrayBuffer(8));
+    message.setUint32(0, Math.floor(counter / 0x100000000));
+    message.setUint32(4, counter >>> 0);
+
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Computes the TOTP code for a point in time (RFC 6238)
+ * @param {Uint8Array} secret - Secret key bytes
+ * @param {Object} options - { algorithm, digits, period, timestamp }
+ * @returns {Promise<Object>} - { code, remaining } with seconds left in the current step
+ */
+export async function generateTotp(secret, { algorithm = 'SHA1', digits = 6, period = 30, timestamp = Date.now() } = {}) {
+    const seconds = Math.floor(timestamp / 1000);
+    const code = await generateHotp(secret, Math.floor(seconds / period), { algorithm, digits });
+
+    return { code, remaining: period - (seconds % period) };
+}
@@ -0,0 +1,661 @@
+/**
+ * Payload Parser Module
+ * Reverses the DataProcessor builders: turns an existing QR payload back into form inputs
+ * Each parser returns the input values of its type, or null when the text is not in its format
+ */
+import { TypeRegistry } from './typeRegistry.js';
+import { DataProcessor } from './dataProcessor.js';
+import { validateBitcoinAddress, validateEthereumAddress, validateLightningInvoice, fromBaseUnits } from './cryptoAddress.js';
+import { validateAiValue, parseDigitalLink } from './gs1.js';
+import { OTP_ALGORITHMS, OTP_DIGITS } from './otp.js';
+
+/**
+ * Splits text on a separator that is not escaped with a backslash
+ * @private
+ * @param {string} text - Escaped text
+ * @param {string} separator - Single separator character
+ * @returns {Array<string>} - Parts, still escaped
+ */
+function splitEscaped(text, separator) {
+    const parts = [''];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+            parts[parts.length - 1] += text[i] + text[++i];
+        } else if (text[i] === separator) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += text[i];
+        }
+    }
+    return parts;
+}
+
+/**
+ * Removes backslash escapes (WIFI: and MECARD: style)
+ * @private
+ * @param {string} value - Escaped value
+ * @returns {string} - Raw value
+ */
+function unescapeBackslashes(value) {
+    return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Reverses Utils.escapeTextValue (vCard and iCalendar TEXT values)
+ * @private
+ * @param {string} value - Escaped value
+ * @returns {string} - Raw value
+ */
+function unescapeTextValue(value) {
+    return value.replace(/\\([nN,;:\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Splits a vCard or iCalendar document into unfolded content lines
+ * @private
+ * @param {string} text - Document text
+ * @returns {Array<Object>} - Lines as { name, params, value } with uppercase property names
+ */
+function parseContentLines(text) {
+    return text
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .filter(line => line.includes(':'))
+        .map(line => {
+            const colon = line.indexOf(':');
+            const [name, ...params] = line.slice(0, colon).split(';');
+            return {
+                // Drop vCard group prefixes like item1.TEL
+                name: name.replace(/^.*\./, '').toUpperCase(),
+                params,
+                value: line.slice(colon + 1)
+            };
+        });
+}
+
+/**
+ * Splits a query string without turning '+' into spaces
+ * @private
+ * @param {string} query - Query string without '?'
+ * @returns {Object} - Decoded parameters keyed by lowercase name
+ */
+function parseQuery(query) {
+    const params = {};
+    (query || '').split('&').filter(Boolean).forEach(pair => {
+        const [key, ...rest] = pair.split('=');
+        params[decodeURIComponent(key).toLowerCase()] = decodeURIComponent(rest.join('='));
+    });
+    return params;
+}
+
+/**
+ * Formats a compact date or date-time (20250310 or 20250310T093000) as a form value
+ * @private
+ * @param {string} value - Compact value
+ * @returns {string} - Value like 2025-03-10 or 2025-03-10T09:30
+ */
+function formatCompactDate(value) {
+    const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2}):?(\d{2}):?(\d{2})?)?/);
+    if (!match) return '';
+
+    const [, year, month, day, hour, minute, second] = match;
+    const date = `${year}-${month}-${day}`;
+    if (hour === undefined) return date;
+
+    return `${date}T${hour}:${minute}${second && second !== '00' ? `:${second}` : ''}`;
+}
+
+/**
+ * Parses a plain web link
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - URL inputs
+ */
+export function parseUrlPayload(text) {
+    if (!/^(https?:\/\/|www\.)\S+$/i.test(text)) return null;
+    // An uppercase scheme means the link was written for alphanumeric mode
+    return /^HTTPS?:\/\//.test(text) ? { url: text, urlUppercase: true } : { url: text };
+}
+
+/**
+ * Parses a mailto: link or a MATMSG: message
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Email inputs
+ */
+export function parseEmailPayload(text) {
+    if (/^MATMSG:/i.test(text)) return parseMatmsg(text);
+
+    const match = text.match(/^mailto:([^?]*)(?:\?(.*))?$/is);
+    if (!match) return null;
+
+    const params = parseQuery(match[2]);
+    return {
+        emailFormat: 'mailto',
+        email: decodeURIComponent(match[1]),
+        emailCc: (params.cc || '').split(',').join(', '),
+        emailBcc: (params.bcc || '').split(',').join(', '),
+        emailSubject: params.subject || '',
+        emailBody: (params.body || '').replace(/\r\n/g, '\n')
+    };
+}
+
+/**
+ * Parses a DoCoMo MATMSG: message
+ * @private
+ * @param {string} text - Pasted text starting with MATMSG:
+ * @returns {Object} - Email inputs
+ */
+function parseMatmsg(text) {
+    const inputs = { emailFormat: 'matmsg' };
+
+    splitEscaped(text.slice(7), ';').filter(Boolean).forEach(part => {
+        const colon = part.indexOf(':');
+        if (colon === -1) return;
+
+        const value = unescapeBackslashes(part.slice(colon + 1));
+        switch (part.slice(0, colon).toUpperCase()) {
+            case 'TO': inputs.email = value; break;
+            case 'SUB': inputs.emailSubject = value; break;
+            case 'BODY': inputs.emailBody = value; break;
+        }
+    });
+
+    return inputs;
+}
+
+/**
+ * Parses a tel: link
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Phone inputs
+ */
+export function parsePhonePayload(text) {
+    const match = text.match(/^tel:([^\r\n]+)$/i);
+    return match ? { phone: decodeURIComponent(match[1]) } : null;
+}
+
+/**
+ * Parses an sms: link in either body separator style, or an SMSTO: message
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - SMS inputs
+ */
+export function parseSmsPayload(text) {
+    const smsto = text.match(/^SMSTO:([^:]*)(?::(.*))?$/is);
+    if (smsto) {
+        return { smsFormat: 'smsto', smsNumber: smsto[1], smsMessage: smsto[2] || '' };
+    }
+
+    const match = text.match(/^sms:([^?&]*)(?:([?&])(.*))?$/is);
+    if (!match) return null;
+
+    return {
+        smsFormat: match[2] === '&' ? 'sms-ios' : 'sms',
+        smsNumber: decodeURIComponent(match[1]),
+        smsMessage: parseQuery(match[3]).body || ''
+    };
+}
+
+/**
+ * Parses a WIFI: network configuration
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - WiFi inputs
+ */
+export function parseWifiPayload(text) {
+    if (!/^WIFI:/i.test(text)) return null;
+
+    const fields = {};
+    splitEscaped(text.slice(5), ';').filter(Boolean).forEach(part => {
+        const colon = part.indexOf(':');
+        if (colon === -1) return;
+
+        const raw = part.slice(colon + 1);
+        // A quoted SSID keeps hex-looking names from being read as bytes
+        const quoted = raw.match(/^"(.*)"$/);
+        fields[part.slice(0, colon).toUpperCase()] = unescapeBackslashes(quoted ? quoted[1] : raw);
+    });
+
+    const securityAliases = { WPA: 'WPA', WPA2: 'WPA', SAE: 'SAE', WPA3: 'SAE', 'WPA2-EAP': 'WPA2-EAP', WEP: 'WEP' };
+    const security = securityAliases[(fields.T || '').toUpperCase()] || 'nopass';
+
+    return {
+        wifiSsid: fields.S || '',
+        wifiSecurity: security,
+        wifiPassword: security === 'nopass' ? '' : fields.P || '',
+        wifiEapMethod: (fields.E || 'PEAP').toUpperCase(),
+        wifiPhase2: (fields.PH2 || 'NONE').toUpperCase(),
+        wifiIdentity: fields.I || '',
+        wifiAnonymousIdentity: fields.A || '',
+        wifiHidden: /^true$/i.test(fields.H || '')
+    };
+}
+
+/**
+ * Parses a vCard 2.1/3.0/4.0 or a MECARD contact
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - vCard inputs
+ */
+export function parseVcardPayload(text) {
+    if (/^MECARD:/i.test(text)) return parseMecard(text);
+    if (!/^BEGIN:VCARD/i.test(text)) return null;
+
+    const inputs = { vcardFormat: 'vcard3' };
+    const phoneSlots = { work: 'vcardPhoneWork', cell: 'vcardPhoneCell', home: 'vcardPhoneHome' };
+    let fullName = '';
+
+    parseContentLines(text).forEach(({ name, params, value }) => {
+        const types = params.flatMap(param => param.replace(/^TYPE=/i, '').split(',')).map(type => type.toLowerCase());
+        const components = splitEscaped(value, ';').map(unescapeTextValue);
+
+        switch (name) {
+            case 'VERSION':
+                if (value.trim() === '4.0') inputs.vcardFormat = 'vcard4';
+                break;
+            case 'N':
+                inputs.vcardLastName = components[0] || '';
+                inputs.vcardFirstName = components[1] || '';
+                break;
+            case 'FN':
+                fullName = unescapeTextValue(value);
+                break;
+            case 'ORG':
+                inputs.vcardOrg = components.filter(Boolean).join(', ');
+                break;
+            case 'TITLE':
+                inputs.vcardTitle = unescapeTextValue(value);
+                break;
+            case 'TEL': {
+                const slot = Object.keys(phoneSlots).find(type => types.includes(type) && !inputs[phoneSlots[type]])
+                    || ['cell', 'work', 'home'].find(type => !inputs[phoneSlots[type]]);
+                if (slot) inputs[phoneSlots[slot]] = value.replace(/^tel:/i, '');
+                break;
+            }
+            case 'EMAIL':
+                inputs.vcardEmail = inputs.vcardEmail || value;
+                break;
+            case 'URL':
+                inputs.vcardUrl = inputs.vcardUrl || value;
+                break;
+            case 'ADR':
+                [, , inputs.vcardStreet, inputs.vcardCity, inputs.vcardRegion, inputs.vcardPostalCode, inputs.vcardCountry] =
+                    components.concat(Array(7).fill('')).map(component => component || '');
+                break;
+            case 'BDAY':
+                inputs.vcardBirthday = formatCompactDate(value).slice(0, 10);
+                break;
+            case 'NOTE':
+                inputs.vcardNote = unescapeTextValue(value);
+                break;
+        }
+    });
+
+    // The display name is only needed when it differs from "First Last"
+    const derivedName = [inputs.vcardFirstName, inputs.vcardLastName].filter(Boolean).join(' ');
+    if (fullName && fullName !== derivedName) {
+        inputs.vcardName = fullName;
+    }
+
+    return inputs;
+}
+
+/**
+ * Parses a MECARD contact
+ * @private
+ * @param {string} text - MECARD text
+ * @returns {Object} - vCard inputs
+ */
+function parseMecard(text) {
+    const inputs = { vcardFormat: 'mecard' };
+    const phones = [];
+
+    splitEscaped(text.slice(7), ';').filter(Boolean).forEach(part => {
+        const colon = part.indexOf(':');
+        if (colon === -1) return;
+
+        const raw = part.slice(colon + 1);
+        const value = unescapeBackslashes(raw);
+
+        switch (part.slice(0, colon).toUpperCase()) {
+            case 'N': {
+                const names = splitEscaped(raw, ',').map(unescapeBackslashes);
+                if (names.length > 1) {
+                    [inputs.vcardLastName, inputs.vcardFirstName] = names;
+                } else {
+                    inputs.vcardName = value;
+                }
+                break;
+            }
+            case 'ORG': inputs.vcardOrg = value; break;
+            case 'TEL': phones.push(value); break;
+            case 'EMAIL': inputs.vcardEmail = value; break;
+            case 'URL': inputs.vcardUrl = value; break;
+            case 'ADR': inputs.vcardStreet = value; break;
+            case 'BDAY': inputs.vcardBirthday = formatCompactDate(value).slice(0, 10); break;
+            case 'NOTE': inputs.vcardNote = value; break;
+        }
+    });
+
+    // MeCard phones carry no type, so fill the slots in the order they are written
+    [inputs.vcardPhoneWork = '', inputs.vcardPhoneCell = '', inputs.vcardPhoneHome = ''] = phones;
+    return inputs;
+}
+
+/**
+ * Parses a social profile link
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Social inputs
+ */
+export function parseSocialPayload(text) {
+    const patterns = {
+        facebook: /^https?:\/\/(?:www\.|m\.)?facebook\.com\/([\w.-]+)\/?$/i,
+        twitter: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(\w+)\/?$/i,
+        instagram: /^https?:\/\/(?:www\.)?instagram\.com\/([\w.]+)\/?$/i,
+        linkedin: /^https?:\/\/(?:[a-z]{2,3}\.|www\.)?linkedin\.com\/in\/([\w-]+)\/?$/i,
+        youtube: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/@([\w.-]+)\/?$/i,
+        tiktok: /^https?:\/\/(?:www\.)?tiktok\.com\/@([\w.]+)\/?$/i
+    };
+
+    for (const [platform, pattern] of Object.entries(patterns)) {
+        const match = text.match(pattern);
+        if (match) return { socialPlatform: platform, socialUsername: match[1] };
+    }
+
+    return null;
+}
+
+/**
+ * Parses an iCalendar VEVENT
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Event inputs
+ */
+export function parseEventPayload(text) {
+    if (!/^BEGIN:(VCALENDAR|VEVENT)/i.test(text)) return null;
+
+    const inputs = { eventAllDay: false, eventTimezone: '' };
+    let inEvent = false;
+    let start = null;
+    let end = null;
+
+    parseContentLines(text).forEach(line => {
+        if (line.name === 'BEGIN' && /^VEVENT$/i.test(line.value)) inEvent = true;
+        if (line.name === 'END' && /^VEVENT$/i.test(line.value)) inEvent = false;
+        if (!inEvent) return;
+
+        switch (line.name) {
+            case 'SUMMARY': inputs.eventTitle = unescapeTextValue(line.value); break;
+            case 'LOCATION': inputs.eventLocation = unescapeTextValue(line.value); break;
+            case 'DESCRIPTION': inputs.eventDescription = unescapeTextValue(line.value); break;
+            case 'DTSTART': start = line; break;
+            case 'DTEND': end = line; break;
+        }
+    });
+
+    if (!start || inputs.eventTitle === undefined) return null;
+
+    const timeZone = start.params.find(param => /^TZID=/i.test(param));
+    if (start.params.some(param => /^VALUE=DATE$/i.test(param)) || /^\d{8}$/.test(start.value)) {
+        const startDate = formatCompactDate(start.value);
+        inputs.eventAllDay = true;
+        inputs.eventStart = `${startDate}T00:00`;
+
+        // DTEND is exclusive for all-day events, so the last day is the one before it
+        if (end) {
+            const last = new Date(`${formatCompactDate(end.value)}T00:00:00Z`);
+            last.setUTCDate(last.getUTCDate() - 1);
+            const lastDate = last.toISOString().slice(0, 10);
+            if (lastDate > startDate) inputs.eventEnd = `${lastDate}T00:00`;
+        }
+    } else {
+        inputs.eventStart = formatCompactDate(start.value);
+        if (end) inputs.eventEnd = formatCompactDate(end.value);
+        if (/Z$/i.test(start.value)) inputs.eventTimezone = 'UTC';
+        if (timeZone) inputs.eventTimezone = timeZone.slice(5);
+    }
+
+    return inputs;
+}
+
+/**
+ * Parses a geo: URI or a map link
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Location inputs
+ */
+export function parseGeoPayload(text) {
+    const isMapLink = /^https?:\/\/((www\.)?google\.[a-z.]+\/maps|maps\.google\.[a-z.]+\/|maps\.apple\.com\/|(www\.)?openstreetmap\.org\/|(www\.)?bing\.com\/maps)/i.test(text);
+    if (!/^geo:/i.test(text) && !isMapLink) return null;
+
+    const coordinates = DataProcessor.parseCoordinates(text);
+    if (!coordinates) return null;
+
+    const label = /^geo:/i.test(text) ? parseQuery(text.split('?')[1]).q || '' : '';
+    return {
+        geoLocation: `${DataProcessor.formatCoordinate(coordinates.lat)}, ${DataProcessor.formatCoordinate(coordinates.lng)}`,
+        geoAltitude: coordinates.alt !== undefined ? String(coordinates.alt) : '',
+        geoLabel: label,
+        geoFormat: isMapLink ? 'maps' : 'geo'
+    };
+}
+
+/**
+ * Parses an EPC (SEPA credit transfer) payload
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - SEPA inputs
+ */
+export function parseSepaPayload(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[0] !== 'BCD' || !/^00[12]$/.test(lines[1]) || lines[3] !== 'SCT') return null;
+
+    const [, , , , bic = '', name = '', iban = '', amount = '', purpose = '', reference = '', remittance = ''] = lines;
+    return {
+        sepaBic: bic,
+        sepaName: name,
+        sepaIban: iban,
+        sepaAmount: amount.replace(/^EUR/i, ''),
+        sepaPurpose: purpose,
+        sepaReference: reference,
+        sepaRemittance: remittance
+    };
+}
+
+/**
+ * Parses a Swiss QR-bill (SPC 0200) payload
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Swiss QR-bill inputs
+ */
+export function parseSwissQrPayload(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[0] !== 'SPC' || lines[1] !== '0200') return null;
+
+    const field = index => lines[index] || '';
+    const address = (prefix, offset) => {
+        const [type, name, line1, line2, postalCode, town, country] = lines.slice(offset, offset + 7).concat(Array(7).fill('')).map(value => value || '');
+        const values = { Name: name, Street: line1, Building: line2, PostalCode: postalCode, Town: town, Country: country };
+
+        // Combined (type K) addresses put "postal code and town" in the second line
+        if (type === 'K') {
+            const [, combinedPostalCode = '', combinedTown = line2] = line2.match(/^(\S+)\s+(.*)$/) || [];
+            Object.assign(values, { Building: '', PostalCode: combinedPostalCode, Town: combinedTown });
+        }
+
+        return Object.fromEntries(Object.entries(values).map(([key, value]) => [`${prefix}${key}`, value]));
+    };
+
+    return {
+        swissIban: field(3),
+        ...address('swissCreditor', 4),
+        swissAmount: field(18),
+        swissCurrency: field(19) || 'CHF',
+        ...address('swissDebtor', 20),
+        swissReference: field(28),
+        swissMessage: field(29)
+    };
+}
+
+/**
+ * Parses an EMVCo merchant-presented payload of a supported scheme
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Merchant QR inputs
+ */
+export function parseEmvcoPayload(text) {
+    if (!text.startsWith('000201')) return null;
+
+    const result = DataProcessor.parseEmvco(text);
+    if (!result.valid) return null;
+
+    const top = id => (result.fields.find(field => field.id === id) || {}).value || '';
+    const child = (field, id) => (field.children.find(item => item.id === id) || {}).value || '';
+    const schemes = { pix: 'br.gov.bcb.pix', promptpay: 'a000000677010111', paynow: 'sg.paynow' };
+
+    let scheme = null;
+    let account = '';
+    for (const field of result.fields.filter(item => item.children && Number(item.id) >= 26 && Number(item.id) <= 51)) {
+        scheme = Object.keys(schemes).find(key => child(field, '00').toLowerCase() === schemes[key]);
+        if (scheme === 'pix') account = child(field, '01');
+        if (scheme === 'paynow') account = child(field, '02');
+        // PromptPay mobile numbers are stored as 0066 plus the number without its trunk 0
+        if (scheme === 'promptpay') account = child(field, '03') || child(field, '02') || child(field, '01').replace(/^0066/, '0');
+        if (scheme) break;
+    }
+    if (!scheme) return null;
+
+    const additional = result.fields.find(field => field.id === '62');
+    const extra = id => (additional && additional.children ? child(additional, id) : '');
+    const reference = extra('05');
+
+    return {
+        emvcoScheme: scheme,
+        emvcoAccount: account,
+        emvcoMerchantName: top('59'),
+        emvcoMerchantCity: top('60'),
+        emvcoInitiation: top('01') === '12' ? 'dynamic' : 'static',
+        emvcoAmount: top('54'),
+        emvcoCurrency: top('53'),
+        emvcoMcc: top('52') === '0000' ? '' : top('52'),
+        emvcoBillNumber: extra('01'),
+        emvcoReference: reference === '***' ? '' : reference,
+        emvcoTerminal: extra('07'),
+        emvcoPurpose: extra('08')
+    };
+}
+
+/**
+ * Parses a BIP21, EIP-681 or lightning: URI, or a bare address or invoice
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - Crypto inputs
+ */
+export function parseCryptoPayload(text) {
+    const [target, query] = text.replace(/^(bitcoin|ethereum|lightning):/i, '').split('?');
+    const scheme = (text.match(/^(bitcoin|ethereum|lightning):/i) || [])[1];
+    const params = parseQuery(query);
+
+    if (/^lightning$/i.test(scheme || '') || (!scheme && validateLightningInvoice(target).valid)) {
+        return { cryptoNetwork: 'lightning', cryptoAddress: target };
+    }
+
+    if (/^bitcoin$/i.test(scheme || '') || (!scheme && validateBitcoinAddress(target).valid)) {
+        return {
+            cryptoNetwork: 'bitcoin',
+            cryptoAddress: target,
+            cryptoAmount: params.amount || '',
+            cryptoLabel: params.label || '',
+            cryptoMessage: params.message || ''
+        };
+    }
+
+    const ethereum = target.match(/^(?:pay-)?(0x[0-9a-fA-F]{40})(?:@(\d+))?(?:\/(\w+))?$/);
+    if (!ethereum || (!scheme && !validateEthereumAddress(ethereum[1]).valid)) return null;
+
+    const [, address, chainId = '', method] = ethereum;
+    if (method && method !== 'transfer') return null;
+
+    // Token amounts are in base units; 18 decimals is the common default and can be corrected in the form
+    const inputs = { cryptoNetwork: 'ethereum', cryptoChainId: chainId, cryptoTokenDecimals: '18' };
+    if (method === 'transfer') {
+        Object.assign(inputs, { cryptoAddress: params.address || '', cryptoToken: address, cryptoAmount: fromBaseUnits(params.uint256 || '', 18) || '' });
+    } else {
+        Object.assign(inputs, { cryptoAddress: address, cryptoToken: '', cryptoAmount: fromBaseUnits(params.value || '', 18) || '' });
+    }
+
+    return inputs;
+}
+
+/**
+ * Parses an otpauth:// provisioning URI
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - 2FA inputs, or null when the algorithm or digits are not ones the form offers
+ */
+export function parseOtpPayload(text) {
+    const match = text.match(/^otpauth:\/\/(totp|hotp)\/([^?]*)(?:\?(.*))?$/i);
+    if (!match) return null;
+
+    const params = parseQuery(match[3]);
+    const algorithm = (params.algorithm || 'SHA1').toUpperCase();
+    const digits = params.digits || '6';
+    if (!OTP_ALGORITHMS[algorithm] || !OTP_DIGITS.includes(digits)) return null;
+    const label = decodeURIComponent(match[2]);
+    const colon = label.indexOf(':');
+
+    return {
+        otpType: match[1].toLowerCase(),
+        otpIssuer: params.issuer || (colon !== -1 ? label.slice(0, colon).trim() : ''),
+        otpAccount: (colon !== -1 ? label.slice(colon + 1) : label).trim(),
+        otpSecret: params.secret || '',
+        otpAlgorithm: algorithm,
+        otpDigits: digits,
+        otpPeriod: params.period || '30',
+        otpCounter: params.counter || '0'
+    };
+}
+
+/**
+ * Parses an uncompressed or compressed GS1 Digital Link that the form can represent
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - GS1 inputs
+ */
+export function parseGs1Payload(text) {
+    if (!/^https?:\/\//i.test(text)) return null;
+
+    let parsed;
+    try {
+        parsed = parseDigitalLink(text);
+    } catch {
+        return null;
+    }
+
+    const { elements } = parsed;
+    const fields = { '01': 'gs1Gtin', '10': 'gs1Batch', '21': 'gs1Serial', '17': 'gs1Expiry', '15': 'gs1BestBefore' };
+    const representable = Object.keys(elements).every(ai => fields[ai] && validateAiValue(ai, elements[ai]).valid);
+    if (!elements['01'] || !representable) return null;
+
+    const inputs = {
+        gs1Domain: parsed.domain === 'https://id.gs1.org' ? '' : parsed.domain,
+        gs1Compress: parsed.compressed
+    };
+    Object.entries(fields).forEach(([ai, name]) => {
+        inputs[name] = elements[ai] || '';
+    });
+
+    return inputs;
+}
+
+/**
+ * Detects the type of a pasted payload and converts it to form inputs
+ * Types with a higher parsePriority are tried first; unrecognized text falls back to the Text type
+ * @param {string} text - Pasted payload
+ * @returns {Object} - { type, inputs, recognized }
+ */
+export function detectPayload(text) {
+    const payload = text.trim();
+    const candidates = TypeRegistry.getAll()
+        .filter(definition => typeof definition.parse === 'function')
+        .sort((a, b) => (b.parsePriority || 0) - (a.parsePriority || 0));
+
+    for (const definition of candidates) {
+        let inputs = null;
+        try {
+            inputs = definition.parse(payload);
+        } catch {
+            // Malformed escapes or percent-encoding just mean "not this type"
+        }
+        if (inputs) return { type: definition.id, inputs, recognized: true };
+    }
+
+    return { type: 'text', inputs: { text: payload }, recognized: false };
+}
@@ -0,0 +1,836 @@
+/**
+ * QR Encoder Module
+ * Self-contained QR code encoder used when the ZXing library cannot be loaded, for example on kiosks that
+ * block the CDN. It follows ZXing-js step by step (single-segment mode choice, version fit, Reed-Solomon
+ * blocks, mask penalties) so both draw the same symbols, and returns matrices with ZXing's BitMatrix interface.
+ * It can also split the text into mixed-mode segments, which ZXing-js cannot, and classifies the modules of
+ * either encoder's symbols for the shared QRMatrix model
+ */
+import { normalizeCharacterSet, encodeText } from './characterSet.js';
+import { MODULE_KINDS, createKindRows } from './qrMatrix.js';
+
+/**
+ * Segment modes in the order ZXing prefers them, with their 4-bit mode indicators
+ */
+export const MODE_INDICATORS = {
+    NUMERIC: 0x1,
+    ALPHANUMERIC: 0x2,
+    BYTE: 0x4,
+    KANJI: 0x8
+};
+
+/**
+ * ZXing-js checks the fit as (bits + 7) / 8 without rounding down, so it only uses a version with at least
+ * 7 data bits to spare; the same rule here keeps both encoders on the same version
+ */
+export const FIT_SPARE_BITS = 7;
+
+const MAX_VERSION = 40;
+const MASK_PATTERN_COUNT = 8;
+const ECI_MODE_INDICATOR = 0x7;
+
+// Character count indicator lengths for versions 1-9, 10-26 and 27-40
+const CHARACTER_COUNT_BITS = {
+    NUMERIC: [10, 12, 14],
+    ALPHANUMERIC: [9, 11, 13],
+    BYTE: [8, 16, 16],
+    KANJI: [8, 10, 12]
+};
+
+const ALPHANUMERIC_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// First version of each range sharing character count indicator lengths
+const VERSION_GROUP_STARTS = [1, 10, 27];
+
+// Data cost per character in sixths of a bit, so 10 bits per 3 digits and 11 bits per 2 alphanumeric
+// characters stay whole numbers; rounding a segment up to whole bits gives its exact length
+const SIXTHS_PER_CHARACTER = { NUMERIC: 20, ALPHANUMERIC: 33, KANJI: 78 };
+
+// ECI designators ZXing writes for each character set (ISO-8859-1 uses designator 1 rather than 3)
+const ECI_DESIGNATORS = { 'UTF-8': 26, 'ISO-8859-1': 1, 'Shift_JIS': 20 };
+
+// Error correction codewords per block and number of blocks for versions 1-40 (ISO/IEC 18004 table 9)
+const EC_CODEWORDS_PER_BLOCK = {
+    L: [7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+const EC_BLOCK_COUNT = {
+    L: [1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Two-bit level indicators written into the format information
+const FORMAT_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const FORMAT_INFO_POLY = 0x537;
+const FORMAT_INFO_MASK = 0x5412;
+const VERSION_INFO_POLY = 0x1F25;
+
+// Format information positions around the top-left finder pattern, most significant bit first
+const FORMAT_INFO_COORDINATES = [
+    [8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8],
+    [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]
+];
+
+// Mask penalty weights (ISO/IEC 18004 section 8.8.2)
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+const generatorCache = new Map();
+
+/**
+ * Boolean matrix with the parts of ZXing's BitMatrix interface the QRMatrix model reads
+ */
+export class BitMatrix {
+    /**
+     * @param {number} width - Width in cells
+     * @param {number} height - Height in cells
+     */
+    constructor(width, height = width) {
+        this.width = width;
+        this.height = height;
+        this.bits = new Uint8Array(width * height);
+    }
+
+    /**
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} - True for dark cells
+     */
+    get(x, y) {
+        return this.bits[y * this.width + x] === 1;
+    }
+
+    /**
+     * Marks a cell dark
+     * @param {number} x - Column
+     * @param {number} y - Row
+     */
+    set(x, y) {
+        this.bits[y * this.width + x] = 1;
+    }
+
+    /**
+     * @returns {number} - Width in cells
+     */
+    getWidth() {
+        return this.width;
+    }
+
+    /**
+     * @returns {number} - Height in cells
+     */
+    getHeight() {
+        return this.height;
+    }
+}
+
+/**
+ * Appends the low bits of a value, most significant first
+ * @param {Array<number>} bits - Bit buffer
+ * @param {number} value - Value to append
+ * @param {number} length - Number of bits
+ */
+export function appendBits(bits, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+    }
+}
+
+/**
+ * Counts the codewords a version holds
+ * @param {number} version - Version 1-40
+ * @returns {number} - Data and error correction codewords
+ */
+export function getTotalCodewords(version) {
+    // Modules left after finder, timing, alignment, format and version patterns, whole bytes only
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        modules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return Math.floor(modules / 8);
+}
+
+/**
+ * Counts the data bits a version holds at an error correction level
+ * @param {number} version - Version 1-40
+ * @param {string} errorCorrection - Error correction level (L, M, Q or H)
+ * @returns {number} - Data bits, including the segment headers
+ */
+export function getDataCapacityBits(version, errorCorrection) {
+    const ecCodewords = EC_CODEWORDS_PER_BLOCK[errorCorrection][version - 1] * EC_BLOCK_COUNT[errorCorrection][version - 1];
+    return 8 * (getTotalCodewords(version) - ecCodewords);
+}
+
+/**
+ * Length of the character count indicator
+ * @param {string} mode - Key of MODE_INDICATORS
+ * @param {number} version - Version 1-40
+ * @returns {number} - Bits
+ */
+export function getCharacterCountBits(mode, version) {
+    return CHARACTER_COUNT_BITS[mode][version <= 9 ? 0 : version <= 26 ? 1 : 2];
+}
+
+/**
+ * Checks whether text is made of Shift_JIS double-byte characters only, as Kanji mode requires
+ * @private
+ * @param {string} data - Text to check
+ * @returns {boolean} - True when every character is a Kanji mode character
+ */
+function isOnlyDoubleByteKanji(data) {
+    const bytes = encodeText(data, 'Shift_JIS');
+    if (bytes.length % 2 !== 0) return false;
+
+    for (let i = 0; i < bytes.length; i += 2) {
+        if ((bytes[i] < 0x81 || bytes[i] > 0x9F) && (bytes[i] < 0xE0 || bytes[i] > 0xEB)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Picks the single mode the whole text is encoded in
+ * @param {string} data - Text to encode
+ * @param {string|null} characterSet - Declared character set, Kanji mode needs Shift_JIS
+ * @returns {string} - Key of MODE_INDICATORS
+ */
+export function chooseMode(data, characterSet = null) {
+    if (characterSet && normalizeCharacterSet(characterSet) === 'Shift_JIS' && isOnlyDoubleByteKanji(data)) {
+        return 'KANJI';
+    }
+
+    let hasNumeric = false;
+    let hasAlphanumeric = false;
+    for (const char of data) {
+        if (char >= '0' && char <= '9') {
+            hasNumeric = true;
+        } else if (ALPHANUMERIC_CHARACTERS.includes(char)) {
+            hasAlphanumeric = true;
+        } else {
+            return 'BYTE';
+        }
+    }
+
+    if (hasAlphanumeric) return 'ALPHANUMERIC';
+    return hasNumeric ? 'NUMERIC' : 'BYTE';
+}
+
+/**
+ * Encodes the data part of a segment
+ * @param {string} data - Text to encode
+ * @param {string} mode - Key of MODE_INDICATORS the text fits
+ * @param {string|null} characterSet - Declared character set; byte mode uses UTF-8 without one
+ * @returns {Object} - { bits, letters }: the data bits and the value of the character count indicator
+ */
+export function encodeSegmentData(data, mode, characterSet = null) {
+    const bits = [];
+
+    switch (mode) {
+        case 'NUMERIC':
+            for (let i = 0; i < data.length; i += 3) {
+                const group = data.slice(i, i + 3);
+                appendBits(bits, Number(group), group.length * 3 + 1);
+            }
+            return { bits, letters: data.length };
+        case 'ALPHANUMERIC':
+            for (let i = 0; i < data.length; i += 2) {
+                const first = ALPHANUMERIC_CHARACTERS.indexOf(data[i]);
+                if (i + 1 < data.length) {
+                    appendBits(bits, first * 45 + ALPHANUMERIC_CHARACTERS.indexOf(data[i + 1]), 11);
+                } else {
+                    appendBits(bits, first, 6);
+                }
+            }
+            return { bits, letters: data.length };
+        case 'KANJI': {
+            const bytes = encodeText(data, 'Shift_JIS');
+            for (let i = 0; i < bytes.length; i += 2) {
+                const code = (bytes[i] << 8) | bytes[i + 1];
+                const offset = code - (code <= 0x9FFC ? 0x8140 : 0xC140);
+                appendBits(bits, (offset >> 8) * 0xC0 + (offset & 0xFF), 13);
+            }
+            return { bits, letters: data.length };
+        }
+        default: {
+            const bytes = encodeText(data, characterSet || 'UTF-8');
+            bytes.forEach(byte => appendBits(bits, byte, 8));
+            return { bits, letters: bytes.length };
+        }
+    }
+}
+
+/**
+ * Finds the smallest version that fits a number of bits
+ * @private
+ * @param {number} bits - Header and data bits
+ * @param {string} level - Error correction level
+ * @returns {number} - Version
+ */
+function chooseVersion(bits, level) {
+    for (let version = 1; version <= MAX_VERSION; version++) {
+        if (bits + FIT_SPARE_BITS <= getDataCapacityBits(version, level)) {
+            return version;
+        }
+    }
+    throw new Error('Data too big for any QR version');
+}
+
+/**
+ * Lists the data cost of one character in each mode
+ * @private
+ * @param {string} char - Single code point
+ * @param {string} encoding - Character set used for byte mode
+ * @param {boolean} kanjiAllowed - Whether Kanji mode may be used
+ * @returns {Object} - Cost in sixths of a bit keyed by mode, Infinity for modes that cannot hold the character
+ */
+function getCharacterCosts(char, encoding, kanjiAllowed) {
+    return {
+        NUMERIC: char >= '0' && char <= '9' ? SIXTHS_PER_CHARACTER.NUMERIC : Infinity,
+        ALPHANUMERIC: ALPHANUMERIC_CHARACTERS.includes(char) ? SIXTHS_PER_CHARACTER.ALPHANUMERIC : Infinity,
+        BYTE: encodeText(char, encoding).length * 8 * 6,
+        KANJI: kanjiAllowed && isOnlyDoubleByteKanji(char) ? SIXTHS_PER_CHARACTER.KANJI : Infinity
+    };
+}
+
+/**
+ * Splits text into the segments with the fewest total bits (ISO/IEC 18004 annex J)
+ * The ECI header is written once and left out
+ * @param {string} data - Text to encode
+ * @param {string|null} characterSet - Declared character set; Kanji segments need Shift_JIS
+ * @param {number} version - Version whose character count indicator lengths are used
+ * @returns {Array<Object>} - Segments { mode, text } in order
+ */
+export function segmentData(data, characterSet, version) {
+    const headerBits = {};
+    Object.keys(MODE_INDICATORS).forEach(mode => {
+        headerBits[mode] = 4 + getCharacterCountBits(mode, version);
+    });
+    return segmentDataWithHeaders(data, characterSet, headerBits);
+}
+
+/**
+ * Splits text into the segments with the fewest total bits for a symbol's segment header lengths
+ * Each step keeps the cheapest way to end in every mode, either continuing that mode's segment or
+ * closing the cheapest segment and opening a new one
+ * @param {string} data - Text to encode
+ * @param {string|null} characterSet - Declared character set; Kanji segments need Shift_JIS
+ * @param {Object} headerBits - Mode and character count indicator bits keyed by mode; modes left out are not used
+ * @returns {Array<Object>|null} - Segments { mode, text } in order, or null when the modes cannot hold the text
+ */
+export function segmentDataWithHeaders(data, characterSet, headerBits) {
+    const modes = Object.keys(MODE_INDICATORS);
+    const encoding = characterSet || 'UTF-8';
+    const kanjiAllowed = normalizeCharacterSet(encoding) === 'Shift_JIS';
+    const headerCosts = modes.map(mode => (mode in headerBits ? headerBits[mode] * 6 : Infinity));
+    const chars = [...data];
+
+    // choices[i][m]: mode of character i on the cheapest path that has mode m open after it
+    const choices = [];
+    let costs = headerCosts.slice();
+    chars.forEach(char => {
+        const characterCosts = getCharacterCosts(char, encoding, kanjiAllowed);
+        const next = modes.map((mode, m) => costs[m] + characterCosts[mode]);
+        const choice = modes.map((mode, m) => (next[m] < Infinity ? mode : null));
+
+        modes.forEach((mode, m) => {
+            modes.forEach((from, f) => {
+                const switched = Math.ceil(next[f] / 6) * 6 + headerCosts[m];
+                if (choice[f] !== null && switched < next[m]) {
+                    next[m] = switched;
+                    choice[m] = from;
+                }
+            });
+        });
+
+        choices.push(choice);
+        costs = next;
+    });
+
+    const totals = costs.map(cost => Math.ceil(cost / 6));
+    if (Math.min(...totals) === Infinity) return null;
+    let mode = modes[totals.indexOf(Math.min(...totals))];
+    const segments = [];
+    for (let i = chars.length - 1; i >= 0; i--) {
+        mode = choices[i][modes.indexOf(mode)];
+        if (segments.length > 0 && segments[0].mode === mode) {
+            segments[0].text = chars[i] + segments[0].text;
+        } else {
+            segments.unshift({ mode, text: chars[i] });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Counts the bits segments take in a version, including the ECI header byte mode needs
+ * @private
+ * @param {Array<Object>} segments - Encoded segments { mode, bits }
+ * @param {number} version - Version
+ * @param {string|null} characterSet - Declared character set
+ * @returns {number} - Bits before terminator and padding
+ */
+function countSegmentBits(segments, version, characterSet) {
+    const eciBits = characterSet && segments.some(segment => segment.mode === 'BYTE') ? 12 : 0;
+    return segments.reduce((bits, segment) => bits + 4 + getCharacterCountBits(segment.mode, version) + segment.bits.length, eciBits);
+}
+
+/**
+ * Plans the segments and version for a text without drawing the symbol
+ * @param {string} data - Text to encode
+ * @param {Object} options - Encoding options
+ * @param {string} options.errorCorrection - Error correction level (L, M, Q or H)
+ * @param {string|null} options.characterSet - Declared character set
+ * @param {number|null} options.version - Exact version, or null for the smallest that fits
+ * @param {string} options.segmentation - single for one segment as ZXing writes it, mixed for the fewest bits
+ * @returns {Object} - { version, bits, segments } where segments hold mode, text, data bits and letters
+ */
+export function planQRSegments(data, { errorCorrection = 'M', characterSet = null, version = null, segmentation = 'single' } = {}) {
+    const encode = segments => segments.map(segment => ({ ...segment, ...encodeSegmentData(segment.text, segment.mode, characterSet) }));
+    const fits = (segments, symbolVersion) =>
+        countSegmentBits(segments, symbolVersion, characterSet) + FIT_SPARE_BITS <= getDataCapacityBits(symbolVersion, errorCorrection);
+
+    let segments;
+    let symbolVersion = version;
+    if (segmentation !== 'mixed') {
+        segments = encode([{ mode: chooseMode(data, characterSet), text: data }]);
+        if (!version) {
+            // The count indicator length depends on the version, so guess with version 1 and check again
+            const bitsIn = candidate => countSegmentBits(segments, candidate, characterSet);
+            symbolVersion = chooseVersion(bitsIn(chooseVersion(bitsIn(1), errorCorrection)), errorCorrection);
+        }
+    } else if (version) {
+        segments = encode(segmentData(data, characterSet, version));
+    } else {
+        // Segments are optimal for one set of count indicator lengths, so plan each version range separately
+        symbolVersion = null;
+        for (const start of VERSION_GROUP_STARTS) {
+            segments = encode(segmentData(data, characterSet, start));
+            const end = VERSION_GROUP_STARTS[VERSION_GROUP_STARTS.indexOf(start) + 1] || MAX_VERSION + 1;
+            for (let candidate = start; candidate < end && !symbolVersion; candidate++) {
+                if (fits(segments, candidate)) symbolVersion = candidate;
+            }
+            if (symbolVersion) break;
+        }
+        if (!symbolVersion) {
+            throw new Error('Data too big for any QR version');
+        }
+    }
+
+    if (version && !fits(segments, version)) {
+        throw new Error('Data too big for requested version');
+    }
+
+    return { version: symbolVersion, bits: countSegmentBits(segments, symbolVersion, characterSet), segments };
+}
+
+/**
+ * Computes Reed-Solomon error correction codewords for one block
+ * @param {Array<number>} data - Data codewords
+ * @param {number} count - Error correction codewords to produce
+ * @returns {Array<number>} - Error correction codewords
+ */
+export function computeErrorCorrection(data, count) {
+    if (!generatorCache.has(count)) {
+        // Generator polynomial (x - a^0)(x - a^1)...(x - a^(count-1)), highest degree first
+        let generator = [1];
+        for (let i = 0; i < count; i++) {
+            const next = new Array(generator.length + 1).fill(0);
+            generator.forEach((coefficient, j) => {
+                next[j] ^= coefficient;
+                if (coefficient !== 0) next[j + 1] ^= GF_EXP[GF_LOG[coefficient] + i];
+            });
+            generator = next;
+        }
+        generatorCache.set(count, generator);
+    }
+
+    const generator = generatorCache.get(count);
+    const remainder = new Array(count).fill(0);
+    for (const codeword of data) {
+        const factor = codeword ^ remainder.shift();
+        remainder.push(0);
+        if (factor !== 0) {
+            for (let i = 0; i < count; i++) {
+                if (generator[i + 1] !== 0) {
+                    remainder[i] ^= GF_EXP[GF_LOG[generator[i + 1]] + GF_LOG[factor]];
+                }
+            }
+        }
+    }
+    return remainder;
+}
+
+/**
+ * Splits data codewords into blocks, adds error correction and interleaves them
+ * @private
+ * @param {Array<number>} codewords - Data codewords
+ * @param {number} version - Version
+ * @param {string} level - Error correction level
+ * @returns {Array<number>} - Final codeword sequence as bits
+ */
+function interleaveBlocks(codewords, version, level) {
+    const blockCount = EC_BLOCK_COUNT[level][version - 1];
+    const ecCount = EC_CODEWORDS_PER_BLOCK[level][version - 1];
+    const total = getTotalCodewords(version);
+    // Blocks of the second group hold one more data codeword
+    const longBlocks = total % blockCount;
+    const shortDataLength = Math.floor(total / blockCount) - ecCount;
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const length = shortDataLength + (i >= blockCount - longBlocks ? 1 : 0);
+        const data = codewords.slice(offset, offset + length);
+        blocks.push({ data, ec: computeErrorCorrection(data, ecCount) });
+        offset += length;
+    }
+
+    const bits = [];
+    for (let i = 0; i <= shortDataLength; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) appendBits(bits, block.data[i], 8);
+        });
+    }
+    for (let i = 0; i < ecCount; i++) {
+        blocks.forEach(block => appendBits(bits, block.ec[i], 8));
+    }
+    return bits;
+}
+
+/**
+ * Computes a BCH code remainder for format and version information
+ * @param {number} value - Value to protect
+ * @param {number} poly - Generator polynomial
+ * @returns {number} - Remainder
+ */
+export function calculateBCHCode(value, poly) {
+    const polyLength = 32 - Math.clz32(poly);
+    let remainder = value << (polyLength - 1);
+    while (32 - Math.clz32(remainder) >= polyLength) {
+        remainder ^= poly << (32 - Math.clz32(remainder) - polyLength);
+    }
+    return remainder;
+}
+
+/**
+ * Lists alignment pattern centers along one axis
+ * @private
+ * @param {number} version - Version
+ * @returns {Array<number>} - Center coordinates
+ */
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+/**
+ * Tells whether a mask pattern flips a module
+ * @param {number} maskPattern - Mask pattern 0-7
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} - True when the module is inverted
+ */
+export function isMasked(maskPattern, x, y) {
+    switch (maskPattern) {
+        case 0: return (y + x) % 2 === 0;
+        case 1: return y % 2 === 0;
+        case 2: return x % 3 === 0;
+        case 3: return (y + x) % 3 === 0;
+        case 4: return (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0;
+        case 5: return (y * x) % 2 + (y * x) % 3 === 0;
+        case 6: return ((y * x) % 2 + (y * x) % 3) % 2 === 0;
+        default: return ((y * x) % 3 + (y + x) % 2) % 2 === 0;
+    }
+}
+
+/**
+ * Places function patterns, format and version information and masked data into a module grid
+ * @private
+ * @param {Array<number>} bits - Interleaved codeword bits
+ * @param {number} version - Version
+ * @param {string} level - Error correction level
+ * @param {number} maskPattern - Mask pattern 0-7
+ * @param {Array<Array<string>>|null} kinds - Rows from createKindRows to mark function patterns in, or null
+ * @returns {Array<Int8Array>} - Rows of 0 (light) and 1 (dark) modules
+ */
+function buildMatrix(bits, version, level, maskPattern, kinds = null) {
+    const size = version * 4 + 17;
+    const rows = Array.from({ length: size }, () => new Int8Array(size).fill(-1));
+    const setModule = (x, y, dark, kind) => {
+        rows[y][x] = dark ? 1 : 0;
+        if (kinds) kinds[y][x] = kind;
+    };
+
+    // Finder patterns with their separators
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+        for (let dy = -1; dy <= 7; dy++) {
+            for (let dx = -1; dx <= 7; dx++) {
+                const x = left + dx;
+                const y = top + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                setModule(x, y, ring !== 2 && ring !== 4, MODULE_KINDS.FINDER);
+            }
+        }
+    });
+
+    // Dark module next to the bottom-left finder
+    setModule(8, size - 8, true, MODULE_KINDS.FORMAT);
+
+    // Alignment patterns, skipping the ones that would overlap finders
+    const positions = getAlignmentPositions(version);
+    positions.forEach(cy => positions.forEach(cx => {
+        if (rows[cy][cx] !== -1) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1, MODULE_KINDS.ALIGNMENT);
+            }
+        }
+    }));
+
+    // Timing patterns
+    for (let i = 8; i < size - 8; i++) {
+        if (rows[6][i] === -1) setModule(i, 6, i % 2 === 0, MODULE_KINDS.TIMING);
+        if (rows[i][6] === -1) setModule(6, i, i % 2 === 0, MODULE_KINDS.TIMING);
+    }
+
+    // Format information: level and mask, BCH protected and masked so it is never all light
+    const formatData = (FORMAT_LEVEL_BITS[level] << 3) | maskPattern;
+    const formatBits = ((formatData << 10) | calculateBCHCode(formatData, FORMAT_INFO_POLY)) ^ FORMAT_INFO_MASK;
+    FORMAT_INFO_COORDINATES.forEach(([x, y], i) => {
+        const dark = ((formatBits >> i) & 1) === 1;
+        setModule(x, y, dark, MODULE_KINDS.FORMAT);
+        if (i < 8) {
+            setModule(size - i - 1, 8, dark, MODULE_KINDS.FORMAT);
+        } else {
+            setModule(8, size - 7 + (i - 8), dark, MODULE_KINDS.FORMAT);
+        }
+    });
+
+    // Version information from version 7 on, next to the top-right and bottom-left finders
+    if (version >= 7) {
+        const versionBits = (version << 12) | calculateBCHCode(version, VERSION_INFO_POLY);
+        let bitIndex = 0;
+        for (let i = 0; i < 6; i++) {
+            for (let j = 0; j < 3; j++) {
+                const dark = ((versionBits >> bitIndex) & 1) === 1;
+                bitIndex++;
+                setModule(i, size - 11 + j, dark, MODULE_KINDS.FORMAT);
+                setModule(size - 11 + j, i, dark, MODULE_KINDS.FORMAT);
+            }
+        }
+    }
+
+    // Data in two-column zigzags from the bottom-right corner, skipping the vertical timing pattern
+    let bitIndex = 0;
+    let direction = -1;
+    let y = size - 1;
+    for (let x = size - 1; x > 0; x -= 2) {
+        if (x === 6) x--;
+        for (; y >= 0 && y < size; y += direction) {
+            for (let i = 0; i < 2; i++) {
+                const column = x - i;
+                if (rows[y][column] !== -1) continue;
+                const bit = bitIndex < bits.length ? bits[bitIndex++] === 1 : false;
+                setModule(column, y, isMasked(maskPattern, column, y) ? !bit : bit, MODULE_KINDS.DATA);
+            }
+        }
+        direction = -direction;
+        y += direction;
+    }
+
+    return rows;
+}
+
+/**
+ * Scores a masked symbol; the lowest penalty wins (ISO/IEC 18004 section 8.8.2)
+ * @private
+ * @param {Array<Int8Array>} rows - Module rows
+ * @returns {number} - Penalty
+ */
+function calculateMaskPenalty(rows) {
+    const size = rows.length;
+    const at = (x, y) => rows[y][x];
+    let penalty = 0;
+
+    // Rule 1: runs of five or more modules of the same color, across and down
+    for (const horizontal of [true, false]) {
+        for (let i = 0; i < size; i++) {
+            let run = 0;
+            let previous = -1;
+            for (let j = 0; j < size; j++) {
+                const module = horizontal ? at(j, i) : at(i, j);
+                if (module === previous) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += PENALTY_N1 + run - 5;
+                    run = 1;
+                    previous = module;
+                }
+            }
+            if (run >= 5) penalty += PENALTY_N1 + run - 5;
+        }
+    }
+
+    // Rule 2: 2x2 blocks of the same color
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const module = at(x, y);
+            if (module === at(x + 1, y) && module === at(x, y + 1) && module === at(x + 1, y + 1)) {
+                penalty += PENALTY_N2;
+            }
+        }
+    }
+
+    // Rule 3: finder-like 1:1:3:1:1 runs with four light modules on either side
+    const finderLike = [1, 0, 1, 1, 1, 0, 1];
+    const isLight = (get, from, to) => {
+        for (let i = Math.max(from, 0); i < Math.min(to, size); i++) {
+            if (get(i) === 1) return false;
+        }
+        return true;
+    };
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (x + 6 < size && finderLike.every((module, i) => at(x + i, y) === module) &&
+                (isLight(i => at(i, y), x - 4, x) || isLight(i => at(i, y), x + 7, x + 11))) {
+                penalty += PENALTY_N3;
+            }
+            if (y + 6 < size && finderLike.every((module, i) => at(x, y + i) === module) &&
+                (isLight(i => at(x, i), y - 4, y) || isLight(i => at(x, i), y + 7, y + 11))) {
+                penalty += PENALTY_N3;
+            }
+        }
+    }
+
+    // Rule 4: dark module share away from 50%, in steps of 5%
+    const dark = rows.reduce((count, row) => count + row.filter(module => module === 1).length, 0);
+    penalty += Math.floor(Math.abs(dark * 2 - size * size) * 10 / (size * size)) * PENALTY_N4;
+
+    return penalty;
+}
+
+/**
+ * Encodes text into a QR code module grid
+ * @param {string} data - Text to encode
+ * @param {Object} options - Encoding options
+ * @param {string} options.errorCorrection - Error correction level (L, M, Q or H)
+ * @param {string|null} options.characterSet - Declared character set, written as an ECI in byte mode
+ * @param {number|null} options.version - Exact version, or null for the smallest that fits
+ * @param {number|null} options.maskPattern - Mask pattern 0-7, or null for the lowest penalty
+ * @param {string} options.segmentation - single for one segment as ZXing writes it, mixed for the fewest bits
+ * @returns {Object} - { version, errorCorrection, maskPattern, mode, segments, matrix } with one matrix cell
+ *                     per module; mode is MIXED when there is more than one segment
+ */
+export function encodeQR(data, { errorCorrection = 'M', characterSet = null, version = null, maskPattern = null, segmentation = 'single' } = {}) {
+    if (!data) {
+        throw new Error('Found empty contents');
+    }
+
+    const level = errorCorrection;
+    const plan = planQRSegments(data, { errorCorrection: level, characterSet, version, segmentation });
+    const symbolVersion = plan.version;
+
+    const bits = [];
+    if (characterSet && plan.segments.some(segment => segment.mode === 'BYTE')) {
+        appendBits(bits, ECI_MODE_INDICATOR, 4);
+        appendBits(bits, ECI_DESIGNATORS[normalizeCharacterSet(characterSet)], 8);
+    }
+    plan.segments.forEach(segment => {
+        const countBits = getCharacterCountBits(segment.mode, symbolVersion);
+        if (segment.letters >= 1 << countBits) {
+            throw new Error(`${segment.letters} is bigger than ${(1 << countBits) - 1}`);
+        }
+        appendBits(bits, MODE_INDICATORS[segment.mode], 4);
+        appendBits(bits, segment.letters, countBits);
+        bits.push(...segment.bits);
+    });
+
+    // Terminator, padding to a whole byte, then alternating pad codewords
+    const capacity = getDataCapacityBits(symbolVersion, level);
+    for (let i = 0; i < 4 && bits.length < capacity; i++) bits.push(0);
+    while (bits.length % 8 !== 0) bits.push(0);
+    for (let pad = 0; bits.length < capacity; pad++) {
+        appendBits(bits, pad % 2 === 0 ? 0xEC : 0x11, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    const finalBits = interleaveBlocks(codewords, symbolVersion, level);
+
+    let chosenMask = maskPattern;
+    if (chosenMask === null || chosenMask === undefined) {
+        let lowestPenalty = Infinity;
+        for (let mask = 0; mask < MASK_PATTERN_COUNT; mask++) {
+            const penalty = calculateMaskPenalty(buildMatrix(finalBits, symbolVersion, level, mask));
+            if (penalty < lowestPenalty) {
+                lowestPenalty = penalty;
+                chosenMask = mask;
+            }
+        }
+    }
+
+    const rows = buildMatrix(finalBits, symbolVersion, level, chosenMask);
+    const matrix = new BitMatrix(rows.length);
+    rows.forEach((row, y) => row.forEach((module, x) => {
+        if (module === 1) matrix.set(x, y);
+    }));
+
+    return {
+        version: symbolVersion,
+        errorCorrection: level,
+        maskPattern: chosenMask,
+        mode: plan.segments.length === 1 ? plan.segments[0].mode : 'MIXED',
+        segments: plan.segments.map(({ mode, text }) => ({ mode, text })),
+        matrix
+    };
+}
+
+/**
+ * Classifies the modules of a QR symbol; the layout depends on the version only, so it holds for
+ * symbols from ZXing as well
+ * @param {number} version - Version 1-40
+ * @returns {Array<Array<string>>} - Rows of MODULE_KINDS values
+ */
+export function classifyQRModules(version) {
+    const size = version * 4 + 17;
+    const kinds = createKindRows(size, size);
+    buildMatrix([], version, 'L', 0, kinds);
+    return kinds;
+}
@@ -0,0 +1,592 @@
+/**
+ * QR Encoding Options Module
+ * Shared ZXing encode hint construction, version and mask pinning, capacity inspection and error reporting,
+ * used by every render path so canvas, SVG and hybrid output stay identical. Without ZXing every path
+ * switches to the built-in encoder in qrEncoder.js, which draws the same symbols
+ */
+import { CHARACTER_SETS, normalizeCharacterSet, installZXingEncoder } from './characterSet.js';
+import {
+    BitMatrix,
+    FIT_SPARE_BITS,
+    encodeQR,
+    planQRSegments,
+    classifyQRModules,
+    encodeSegmentData,
+    getCharacterCountBits,
+    getDataCapacityBits
+} from './qrEncoder.js';
+import { QRMatrix } from './qrMatrix.js';
+
+/**
+ * Supported error correction levels, ordered from lowest to highest recovery
+ */
+export const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+/**
+ * Approximate share of damaged modules each level can recover from
+ */
+export const ERROR_CORRECTION_RECOVERY = {
+    L: '7%',
+    M: '15%',
+    Q: '25%',
+    H: '30%'
+};
+
+/**
+ * Default error correction level
+ */
+export const DEFAULT_ERROR_CORRECTION = 'M';
+
+/**
+ * Version options: auto picks the smallest version that fits, min never goes below
+ * the pinned version, exact always uses it
+ */
+export const VERSION_MODES = ['auto', 'min', 'exact'];
+
+/**
+ * Value of the mask pattern option that lets the encoder pick the lowest-penalty mask
+ */
+export const AUTO_MASK_PATTERN = 'auto';
+
+/**
+ * Segmentation options: single encodes the whole payload in one mode as ZXing does, mixed splits it into
+ * numeric, alphanumeric, byte and Kanji segments with the fewest bits, using the built-in encoder
+ */
+export const SEGMENTATION_MODES = ['single', 'mixed'];
+
+/**
+ * Segmentation used unless the options ask for another one
+ */
+export const DEFAULT_SEGMENTATION = 'single';
+
+/**
+ * Encoding modes the inspector reports capacity for, from densest to most general
+ * unit names what the mode's character count indicator counts
+ */
+export const QR_MODES = {
+    NUMERIC: { label: 'Numeric', unit: 'digits' },
+    ALPHANUMERIC: { label: 'Alphanumeric', unit: 'alphanumeric characters' },
+    BYTE: { label: 'Byte', unit: 'bytes' },
+    KANJI: { label: 'Kanji', unit: 'Kanji characters' }
+};
+
+const MAX_VERSION = 40;
+const MASK_PATTERN_COUNT = 8;
+
+// Segment headers: every mode starts with a 4-bit indicator; an ECI segment adds its own indicator and an
+// 8-bit designator, which covers every character set offered
+const MODE_INDICATOR_BITS = 4;
+const ECI_HEADER_BITS = 12;
+
+// Modes that can hold content the encoder put in a given mode
+const HOLDING_MODES = {
+    NUMERIC: ['NUMERIC', 'ALPHANUMERIC', 'BYTE'],
+    ALPHANUMERIC: ['ALPHANUMERIC', 'BYTE'],
+    BYTE: ['BYTE'],
+    KANJI: ['KANJI', 'BYTE']
+};
+
+/**
+ * Checks whether the ZXing library loaded
+ * @private
+ * @returns {boolean} - False when the CDN script was blocked, so the built-in encoder is used
+ */
+function isZXingAvailable() {
+    return typeof ZXing !== 'undefined';
+}
+
+/**
+ * Checks whether a QR code has to be drawn by the built-in encoder
+ * @private
+ * @param {string} segmentation - Segmentation option
+ * @returns {boolean} - True without ZXing, or for mixed segments, which ZXing cannot write
+ */
+function usesBuiltInEncoder(segmentation) {
+    return !isZXingAvailable() || normalizeSegmentation(segmentation) === 'mixed';
+}
+
+/**
+ * Normalizes a user supplied error correction level
+ * @param {string} level - Requested level (L, M, Q or H)
+ * @returns {string} - Valid level, falling back to the default
+ */
+export function normalizeErrorCorrection(level) {
+    const normalized = String(level || '').toUpperCase();
+    return ERROR_CORRECTION_LEVELS.includes(normalized) ? normalized : DEFAULT_ERROR_CORRECTION;
+}
+
+/**
+ * Normalizes a user supplied QR version number
+ * @param {number|string} version - Requested version
+ * @returns {number|null} - Version 1-40, or null when the value is not a version
+ */
+export function normalizeVersion(version) {
+    const number = parseInt(version, 10);
+    return number >= 1 && number <= MAX_VERSION ? number : null;
+}
+
+/**
+ * Normalizes a user supplied mask pattern
+ * @param {number|string} maskPattern - Requested mask pattern or 'auto'
+ * @returns {number|null} - Mask pattern 0-7, or null to let the encoder choose
+ */
+export function normalizeMaskPattern(maskPattern) {
+    const number = parseInt(maskPattern, 10);
+    return number >= 0 && number < MASK_PATTERN_COUNT ? number : null;
+}
+
+/**
+ * Normalizes a user supplied segmentation option
+ * @param {string} segmentation - Requested segmentation
+ * @returns {string} - Entry of SEGMENTATION_MODES, falling back to the default
+ */
+export function normalizeSegmentation(segmentation) {
+    return SEGMENTATION_MODES.includes(segmentation) ? segmentation : DEFAULT_SEGMENTATION;
+}
+
+/**
+ * Builds the ZXing encode hints map for QR generation
+ * @param {Object} options - Encoding options
+ * @param {string} options.errorCorrection - Error correction level
+ * @param {number} options.margin - Quiet zone in modules
+ * @param {string|null} options.characterSet - Declared character set, or null to encode plain ASCII without ECI
+ * @param {number|null} options.version - Exact version to encode at, or null for the smallest that fits
+ * @returns {Map} - ZXing hints map
+ */
+export function createEncodeHints({ errorCorrection = DEFAULT_ERROR_CORRECTION, margin = 4, characterSet = null, version = null } = {}) {
+    const hints = new Map();
+
+    if (isZXingAvailable() && ZXing.EncodeHintType) {
+        // QRCodeWriter accepts the level name and resolves it internally
+        hints.set(ZXing.EncodeHintType.ERROR_CORRECTION, normalizeErrorCorrection(errorCorrection));
+
+        if (ZXing.EncodeHintType.MARGIN !== undefined) {
+            hints.set(ZXing.EncodeHintType.MARGIN, margin);
+        }
+
+        if (characterSet && ZXing.EncodeHintType.CHARACTER_SET !== undefined) {
+            installZXingEncoder();
+            hints.set(ZXing.EncodeHintType.CHARACTER_SET, CHARACTER_SETS[normalizeCharacterSet(characterSet)].zxingName);
+        }
+
+        if (normalizeVersion(version) && ZXing.EncodeHintType.QR_VERSION !== undefined) {
+            hints.set(ZXing.EncodeHintType.QR_VERSION, normalizeVersion(version));
+        }
+    }
+
+    return hints;
+}
+
+/**
+ * Runs a ZXing encode with the mask pattern pinned
+ * ZXing-js has no mask hint and always takes the lowest-penalty mask, so its chooser is replaced for the duration of the call
+ * @param {number|string} maskPattern - Mask pattern 0-7, or 'auto'
+ * @param {Function} encode - Encoding call
+ * @returns {*} - Result of encode
+ */
+export function withMaskPattern(maskPattern, encode) {
+    const mask = normalizeMaskPattern(maskPattern);
+    if (mask === null || !isZXingAvailable() || !ZXing.QRCodeEncoder) {
+        return encode();
+    }
+
+    const chooseMaskPattern = ZXing.QRCodeEncoder.chooseMaskPattern;
+    ZXing.QRCodeEncoder.chooseMaskPattern = () => mask;
+    try {
+        return encode();
+    } finally {
+        ZXing.QRCodeEncoder.chooseMaskPattern = chooseMaskPattern;
+    }
+}
+
+/**
+ * Encodes data into a QR code model with ZXing, or the built-in encoder when ZXing is missing or mixed segments are asked for
+ * @param {string} data - Data to encode
+ * @param {Object} options - Encoding options (errorCorrection, characterSet, version, maskPattern, segmentation)
+ * @returns {Object} - { version, maskPattern, mode, segments, matrix } where matrix holds one cell per module
+ */
+export function encodeQRCode(data, {
+    errorCorrection = DEFAULT_ERROR_CORRECTION,
+    characterSet = null,
+    version = null,
+    maskPattern = AUTO_MASK_PATTERN,
+    segmentation = DEFAULT_SEGMENTATION
+} = {}) {
+    if (usesBuiltInEncoder(segmentation)) {
+        return encodeQR(data, {
+            errorCorrection: normalizeErrorCorrection(errorCorrection),
+            characterSet,
+            version: normalizeVersion(version),
+            maskPattern: normalizeMaskPattern(maskPattern),
+            segmentation: normalizeSegmentation(segmentation)
+        });
+    }
+
+    const level = ZXing.QRCodeDecoderErrorCorrectionLevel.fromString(normalizeErrorCorrection(errorCorrection));
+    const hints = createEncodeHints({ errorCorrection, characterSet, version });
+    const code = withMaskPattern(maskPattern, () => ZXing.QRCodeEncoder.encode(data, level, hints));
+
+    // ZXing's ByteMatrix stores modules as 0 and 1; copy it so both encoders return the same model
+    const modules = code.getMatrix();
+    const matrix = new BitMatrix(modules.getWidth());
+    for (let y = 0; y < modules.getHeight(); y++) {
+        for (let x = 0; x < modules.getWidth(); x++) {
+            if (modules.get(x, y) === 1) matrix.set(x, y);
+        }
+    }
+
+    return {
+        version: code.getVersion().getVersionNumber(),
+        maskPattern: code.getMaskPattern(),
+        mode: code.getMode().toString(),
+        segments: [{ mode: code.getMode().toString(), text: data }],
+        matrix
+    };
+}
+
+/**
+ * Resolves the version option into the version to pin
+ * @param {string} data - Data to encode
+ * @param {Object} options - Encoding options
+ * @param {string} options.versionMode - auto, min or exact
+ * @param {number} options.version - Version the mode refers to
+ * @returns {number|null} - Version to encode at, or null for the smallest that fits
+ */
+export function resolveVersion(data, {
+    errorCorrection = DEFAULT_ERROR_CORRECTION,
+    characterSet = null,
+    versionMode = 'auto',
+    version = null,
+    segmentation = DEFAULT_SEGMENTATION
+} = {}) {
+    const pinned = normalizeVersion(version);
+    if (!pinned || versionMode === 'auto' || !VERSION_MODES.includes(versionMode)) {
+        return null;
+    }
+    if (versionMode === 'exact') {
+        return pinned;
+    }
+
+    // Minimum: grow to the pinned version only when the data would pick a smaller one
+    const fitting = encodeQRCode(data, { errorCorrection, characterSet, segmentation }).version;
+    return Math.max(fitting, pinned);
+}
+
+/**
+ * Encodes a QR code into the symbol model, honoring version and mask options
+ * @param {string} data - Data to encode
+ * @param {Object} options - Encoding options (margin, errorCorrection, characterSet, versionMode, version, maskPattern, segmentation)
+ * @returns {QRMatrix} - Symbol model with the modules classified
+ */
+export function encodeQRMatrix(data, options = {}) {
+    const {
+        margin = 4,
+        errorCorrection = DEFAULT_ERROR_CORRECTION,
+        characterSet = null,
+        segmentation = DEFAULT_SEGMENTATION
+    } = options;
+    let version = null;
+    let code;
+
+    try {
+        version = resolveVersion(data, options);
+        code = encodeQRCode(data, { ...options, version });
+    } catch (hintError) {
+        // Data that does not fit would not fit without hints either
+        if (isCapacityError(hintError)) {
+            throw createCapacityError(data, errorCorrection, characterSet, version, segmentation);
+        }
+        if (usesBuiltInEncoder(segmentation) || !characterSet) {
+            throw hintError;
+        }
+
+        // Fallback: drop only the character set hint; the level, version and mask may be pinned or mandated
+        // by the payload format, so they are kept and the encode fails rather than change the layout
+        console.warn('Error with the character set hint, trying without:', hintError);
+        try {
+            const fallbackOptions = { ...options, characterSet: null };
+            code = encodeQRCode(data, { ...fallbackOptions, version: resolveVersion(data, fallbackOptions) });
+        } catch (fallbackError) {
+            throw hintError;
+        }
+    }
+
+    return new QRMatrix(code.matrix, { quietZone: margin, kinds: classifyQRModules(code.version) });
+}
+
+/**
+ * Describes the symbol the encoder produces for the current options
+ * @param {string} data - Data to encode
+ * @param {Object} options - Encoding options (errorCorrection, characterSet, versionMode, version, maskPattern, segmentation)
+ * @returns {Object} - { version, modules, maskPattern, mode, segments, versionPinned, maskPinned }
+ */
+export function describeQRCode(data, options = {}) {
+    const version = resolveVersion(data, options);
+    const code = encodeQRCode(data, { ...options, version });
+
+    return {
+        version: code.version,
+        modules: code.matrix.getWidth(),
+        maskPattern: code.maskPattern,
+        mode: code.mode,
+        segments: code.segments,
+        versionPinned: version !== null,
+        maskPinned: normalizeMaskPattern(options.maskPattern) !== null
+    };
+}
+
+/**
+ * Counts the characters a number of data bits holds in a mode
+ * @private
+ * @param {string} mode - Key of QR_MODES
+ * @param {number} bits - Data bits available
+ * @returns {number} - Characters, or bytes in byte mode
+ */
+function countFittingCharacters(mode, bits) {
+    switch (mode) {
+        case 'NUMERIC':
+            // Three digits per 10 bits; a trailing pair takes 7 bits and a single digit 4
+            return 3 * Math.floor(bits / 10) + (bits % 10 >= 7 ? 2 : bits % 10 >= 4 ? 1 : 0);
+        case 'ALPHANUMERIC':
+            return 2 * Math.floor(bits / 11) + (bits % 11 >= 6 ? 1 : 0);
+        case 'BYTE':
+            return Math.floor(bits / 8);
+        default:
+            return Math.floor(bits / 13);
+    }
+}
+
+/**
+ * Counts the characters of each mode that still fit after mixed segments
+ * Appended text either extends the last segment or opens a new one; re-segmenting can only do better,
+ * so the counts are the room that is certain to fit
+ * @private
+ * @param {Array<Object>} segments - Planned segments { mode, bits, letters }
+ * @param {number} version - Version
+ * @param {number} freeBits - Data bits left before the version is full
+ * @param {string|null} characterSet - Declared character set
+ * @returns {Object} - Characters keyed by mode, null for Kanji unless Shift_JIS is declared
+ */
+function countMixedRoom(segments, version, freeBits, characterSet) {
+    const last = segments[segments.length - 1];
+    const declaresEci = characterSet && segments.some(segment => segment.mode === 'BYTE');
+    const remaining = {};
+
+    Object.keys(QR_MODES).forEach(mode => {
+        if (mode === 'KANJI' && !(characterSet && normalizeCharacterSet(characterSet) === 'Shift_JIS')) {
+            remaining[mode] = null;
+            return;
+        }
+
+        const countBits = getCharacterCountBits(mode, version);
+        const eciBits = mode === 'BYTE' && characterSet && !declaresEci ? ECI_HEADER_BITS : 0;
+        let room = Math.min(countFittingCharacters(mode, freeBits - eciBits - MODE_INDICATOR_BITS - countBits), 2 ** countBits - 1);
+        if (last.mode === mode) {
+            room = Math.max(room, Math.min(countFittingCharacters(mode, freeBits + last.bits.length), 2 ** countBits - 1) - last.letters);
+        }
+        remaining[mode] = Math.max(room, 0);
+    });
+
+    // Any character can also go into byte mode, ASCII as one byte and Kanji as two
+    remaining.NUMERIC = Math.max(remaining.NUMERIC, remaining.BYTE);
+    remaining.ALPHANUMERIC = Math.max(remaining.ALPHANUMERIC, remaining.BYTE);
+    if (remaining.KANJI !== null) {
+        remaining.KANJI = Math.max(remaining.KANJI, Math.floor(remaining.BYTE / 2));
+    }
+
+    return remaining;
+}
+
+/**
+ * Compares the smallest versions single-mode and mixed-mode encoding need, ignoring a pinned version
+ * @private
+ * @param {string} data - Data to encode
+ * @param {string} level - Error correction level
+ * @param {string|null} characterSet - Declared character set
+ * @returns {Object} - { singleVersion, mixedVersion, bits }, versions null when nothing fits and bits the data bits mixed segments save
+ */
+function compareSegmentations(data, level, characterSet) {
+    const plan = segmentation => {
+        try {
+            return planQRSegments(data, { errorCorrection: level, characterSet, segmentation });
+        } catch (error) {
+            if (isCapacityError(error)) return null;
+            throw error;
+        }
+    };
+    const single = plan('single');
+    const mixed = plan('mixed');
+
+    return {
+        singleVersion: single ? single.version : null,
+        mixedVersion: mixed ? mixed.version : null,
+        bits: single && mixed ? single.bits - mixed.bits : null
+    };
+}
+
+/**
+ * Measures the bits the data takes and the room left in the chosen version, for the capacity meter
+ * Segments are built the way both encoders write them, so the numbers match the symbol
+ * @param {string} data - Data to encode
+ * @param {Object} options - Encoding options (errorCorrection, characterSet, versionMode, version, maskPattern, segmentation)
+ * @param {number} options.size - Rendered width in pixels, used for the module size
+ * @param {number} options.margin - Quiet zone in modules
+ * @returns {Object} - describeQRCode's fields plus errorCorrection, segmentation, bitsUsed, capacityBits, modulePixels,
+ *                     remaining, the characters each mode still takes (null for modes that cannot hold the data),
+ *                     segments with their letters, and mixedModeSaving from compareSegmentations
+ */
+export function inspectQRCode(data, options = {}) {
+    const { errorCorrection = DEFAULT_ERROR_CORRECTION, characterSet = null, size = null, margin = 4 } = options;
+    const level = normalizeErrorCorrection(errorCorrection);
+    const segmentation = normalizeSegmentation(options.segmentation);
+
+    let symbol;
+    try {
+        symbol = describeQRCode(data, options);
+    } catch (error) {
+        if (isCapacityError(error)) {
+            const pinned = options.versionMode === 'exact' ? normalizeVersion(options.version) : null;
+            throw createCapacityError(data, level, characterSet, pinned, segmentation);
+        }
+        throw error;
+    }
+
+    const capacityBits = getDataCapacityBits(symbol.version, level);
+    const plan = planQRSegments(data, { errorCorrection: level, characterSet, version: symbol.version, segmentation });
+
+    const measure = modeName => {
+        // The character set is declared only in byte mode, where the count is in bytes rather than characters
+        const segment = encodeSegmentData(data, modeName, characterSet);
+        const countBits = getCharacterCountBits(modeName, symbol.version);
+        const headerBits = (modeName === 'BYTE' && characterSet ? ECI_HEADER_BITS : 0) + MODE_INDICATOR_BITS + countBits;
+        const maxLetters = Math.min(countFittingCharacters(modeName, capacityBits - FIT_SPARE_BITS - headerBits), 2 ** countBits - 1);
+
+        return { bits: headerBits + segment.bits.length, remaining: Math.max(maxLetters - segment.letters, 0) };
+    };
+
+    let remaining = {};
+    if (segmentation === 'mixed') {
+        remaining = countMixedRoom(plan.segments, symbol.version, capacityBits - FIT_SPARE_BITS - plan.bits, characterSet);
+    } else {
+        const holdingModes = HOLDING_MODES[symbol.mode] || [symbol.mode];
+        Object.keys(QR_MODES).forEach(mode => {
+            remaining[mode] = holdingModes.includes(mode) ? measure(mode).remaining : null;
+        });
+    }
+
+    const totalModules = symbol.modules + 2 * margin;
+
+    return {
+        ...symbol,
+        errorCorrection: level,
+        segmentation,
+        segments: plan.segments.map(({ mode, letters }) => ({ mode, letters })),
+        mixedModeSaving: compareSegmentations(data, level, characterSet),
+        bitsUsed: plan.bits,
+        capacityBits,
+        remaining,
+        // QRCodeWriter scales by whole pixels and never draws smaller than one pixel per module
+        modulePixels: size ? Math.floor(Math.max(size, totalModules) / totalModules) : null
+    };
+}
+
+/**
+ * Checks whether an encoder error means the data exceeds symbol capacity
+ * @param {Error} error - Error thrown by ZXing
+ * @returns {boolean} - True for capacity errors
+ */
+export function isCapacityError(error) {
+    return Boolean(error && /data too big/i.test(error.message || ''));
+}
+
+/**
+ * Finds the highest error correction level below the requested one that fits the data
+ * @param {string} data - Data to encode
+ * @param {string} errorCorrection - Level that failed
+ * @param {string|null} characterSet - Declared character set
+ * @param {number|null} version - Pinned version, or null for any version
+ * @param {string} segmentation - Segmentation option
+ * @returns {string|null} - Fitting level or null if nothing fits
+ */
+export function findFittingErrorCorrection(data, errorCorrection, characterSet = null, version = null, segmentation = DEFAULT_SEGMENTATION) {
+    const requestedIndex = ERROR_CORRECTION_LEVELS.indexOf(normalizeErrorCorrection(errorCorrection));
+
+    for (let i = requestedIndex - 1; i >= 0; i--) {
+        const level = ERROR_CORRECTION_LEVELS[i];
+        try {
+            planQRSegments(data, { errorCorrection: level, characterSet, version, segmentation: normalizeSegmentation(segmentation) });
+            return level;
+        } catch (error) {
+            if (!isCapacityError(error)) {
+                return null;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Creates a descriptive error for data that does not fit at the requested level
+ * @param {string} data - Data that failed to encode
+ * @param {string} errorCorrection - Requested error correction level
+ * @param {string|null} characterSet - Declared character set
+ * @param {number|null} version - Pinned version, or null when the encoder picked one
+ * @param {string} segmentation - Segmentation option
+ * @returns {Error} - Error explaining which level to drop to
+ */
+export function createCapacityError(data, errorCorrection, characterSet = null, version = null, segmentation = DEFAULT_SEGMENTATION) {
+    const level = normalizeErrorCorrection(errorCorrection);
+
+    if (version) {
+        const pinnedError = createPinnedVersionError(data, level, characterSet, version, segmentation);
+        if (pinnedError) {
+            return pinnedError;
+        }
+    }
+
+    const fittingLevel = findFittingErrorCorrection(data, level, characterSet, null, segmentation);
+
+    if (fittingLevel) {
+        return new Error(
+            `Data is too long for error correction level ${level} (${ERROR_CORRECTION_RECOVERY[level]} recovery). ` +
+            `Drop to level ${fittingLevel} (${ERROR_CORRECTION_RECOVERY[fittingLevel]} recovery) or shorten the content.`
+        );
+    }
+
+    if (level === 'L') {
+        return new Error('Data is too long for a QR code, even at error correction level L. Please shorten the content.');
+    }
+
+    return new Error(
+        `Data is too long for error correction level ${level} and does not fit at any lower level either. ` +
+        'Please shorten the content.'
+    );
+}
+
+
+/**
+ * Creates the error for data that fits a larger version than the pinned one
+ * @private
+ * @param {string} data - Data that failed to encode
+ * @param {string} level - Requested error correction level
+ * @param {string|null} characterSet - Declared character set
+ * @param {number} version - Pinned version
+ * @param {string} segmentation - Segmentation option
+ * @returns {Error|null} - Error naming the version the data needs, or null when no version fits at this level
+ */
+function createPinnedVersionError(data, level, characterSet, version, segmentation) {
+    let neededVersion;
+    try {
+        neededVersion = planQRSegments(data, { errorCorrection: level, characterSet, segmentation: normalizeSegmentation(segmentation) }).version;
+    } catch (error) {
+        return null;
+    }
+
+    const fittingLevel = findFittingErrorCorrection(data, level, characterSet, version, segmentation);
+    const advice = fittingLevel
+        ? `Drop to error correction level ${fittingLevel}, pin version ${neededVersion} or shorten the content.`
+        : `Pin version ${neededVersion} or shorten the content.`;
+
+    return new Error(`Data does not fit in QR version ${version} at error correction level ${level}; it needs version ${neededVersion}. ${advice}`);
+}
@@ -1,19 +1,27 @@
 /**
  * QR Code generator with PNG and SVG support
+ * A payload is encoded once into a QRMatrix (see qrMatrix.js) that the canvas, SVG, optimized and hybrid
+ * renderers all draw from. Other symbologies are rendered through the same paths (see symbology.js)
  */
 import { Utils } from './utils.js';
 import { optimizeSVG, getOptimizationStats } from './svgOptimizer.js';
 import { generateLightweightSVG, getHybridStats } from './svgPngHybrid.js';
 import { optimizeSVGRows, getRowOptimizationStats } from './svgRowOptimizer.js';
+import { encodeQRMatrix, DEFAULT_ERROR_CORRECTION } from './qrEncoding.js';
+import { getSwissCrossGeometry, drawSwissCross, addSwissCrossToSVG } from './swissCross.js';
+import { DEFAULT_SYMBOLOGY, encodeSymbol, getDefaultMargin } from './symbology.js';
 
 export class QRGenerator {
     constructor() {
         this.zxingLoaded = false;
+        this.lastOptimizationStats = null;
         this.checkZXingLibrary();
     }
 
     /**
      * Check if ZXing library is loaded
+     * QR codes fall back to the built-in encoder when it is not, so a blocked CDN only costs Data Matrix,
+     * Aztec and image decoding
      */
     checkZXingLibrary() {
         if (typeof ZXing !== 'undefined') {
@@ -31,12 +39,29 @@ export class QRGenerator {
             setTimeout(() => {
                 if (!this.zxingLoaded) {
                     clearInterval(checkInterval);
-                    throw new Error('ZXing library failed to load');
+                    console.warn('ZXing library failed to load; QR codes use the built-in encoder');
                 }
             }, 5000);
         }
     }
 
+    /**
+     * Encode data into the symbol model every renderer draws from
+     * Render the result with renderCanvas and renderSVG to encode a payload once for several outputs
+     * @param {string} data - Data to encode
+     * @param {Object} options - Generation options (size, margin, errorCorrection, characterSet, symbology, version and mask)
+     * @returns {QRMatrix} - Symbol model
+     */
+    generateMatrix(data, options = {}) {
+        const { size = 300, errorCorrection = DEFAULT_ERROR_CORRECTION, symbology = DEFAULT_SYMBOLOGY, margin = getDefaultMargin(symbology) } = options;
+
+        if (symbology !== DEFAULT_SYMBOLOGY) {
+            return encodeSymbol(data, symbology, { size: Utils.roundToNearest(size, 10), margin, errorCorrection });
+        }
+
+        return encodeQRMatrix(data, options);
+    }
+
     /**
      * Generate QR code as canvas
      * @param {string} data - Data to encode
@@ -44,32 +69,43 @@ export class QRGenerator {
      * @returns {HTMLCanvasElement} - Canvas with QR code
      */
     generateCanvas(data, options = {}) {
-        if (!this.zxingLoaded) {
-            throw new Error('ZXing library is not loaded yet');
-        }
+        return this.renderCanvas(this.generateMatrix(data, options), options);
+    }
 
+    /**
+     * Draw an encoded symbol on a new canvas
+     * @param {QRMatrix} matrix - Symbol model from generateMatrix
+     * @param {Object} options - Generation options
+     * @returns {HTMLCanvasElement} - Canvas with QR code
+     */
+    renderCanvas(matrix, options = {}) {
         const {
             size = 300,
             foregroundColor = '#000000',
             backgroundColor = '#FFFFFF',
             transparent = false,
-            margin = 4
+            swissCross = false
         } = options;
 
         // Ensure size is always a clean multiple of 10
         const cleanSize = Utils.roundToNearest(size, 10);
 
+        // Square for 2D symbols, wider than tall for linear ones
+        const height = matrix.getLayout(cleanSize).height;
+
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         
         canvas.width = cleanSize;
-        canvas.height = cleanSize;
-
-        // Generate QR code bit matrix
-        const bitMatrix = this.generateBitMatrix(data, cleanSize, margin);
+        canvas.height = height;
         
         // Draw QR code on canvas
-        this.drawQRCodeOnCanvas(ctx, bitMatrix, cleanSize, foregroundColor, transparent ? 'transparent' : backgroundColor);
+        this.drawQRCodeOnCanvas(ctx, matrix, cleanSize, height, foregroundColor, transparent ? 'transparent' : backgroundColor);
+
+        // Overlay Swiss cross for QR-bills
+        if (swissCross) {
+            drawSwissCross(ctx, getSwissCrossGeometry(matrix, cleanSize), foregroundColor, transparent ? 'transparent' : backgroundColor);
+        }
         
         return canvas;
     }
@@ -81,16 +117,22 @@ export class QRGenerator {
      * @returns {Promise<string>|string} - Optimized SVG string or Promise for hybrid SVG
      */
     generateSVG(data, options = {}) {
-        if (!this.zxingLoaded) {
-            throw new Error('ZXing library is not loaded yet');
-        }
+        return this.renderSVG(this.generateMatrix(data, options), options);
+    }
 
+    /**
+     * Draw an encoded symbol as SVG with multiple optimization options
+     * @param {QRMatrix} matrix - Symbol model from generateMatrix
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>|string} - Optimized SVG string or Promise for hybrid SVG
+     */
+    renderSVG(matrix, options = {}) {
         const {
             size = 300,
             foregroundColor = '#000000',
             backgroundColor = '#FFFFFF',
             transparent = false,
-            margin = 4,
+            swissCross = false,   // Swiss QR-bill center cross
             optimize = true,      // Path optimization (default)
             rowOptimize = false,  // Block merging optimization (maintains full editability)
             hybrid = false,       // PNG-in-SVG hybrid mode (ultra-lightweight)
@@ -99,141 +141,92 @@ export class QRGenerator {
 
         // Ensure size is always a clean multiple of 10
         const cleanSize = Utils.roundToNearest(size, 10);
+        const background = transparent ? 'transparent' : backgroundColor;
+
+        // Stats of the optimizer applied, shown in the symbol inspector
+        this.lastOptimizationStats = null;
 
         // Use hybrid mode for ultra-lightweight SVGs
         if (hybrid) {
-            return generateLightweightSVG(data, {
+            return generateLightweightSVG(matrix, {
                 size: cleanSize,
                 pngResolution,
                 foregroundColor,
                 backgroundColor,
                 transparent,
-                margin
+                swissCross
             });
         }
 
-        // Generate QR code bit matrix (reusing utility - DRY principle)
-        const bitMatrix = this.generateBitMatrix(data, cleanSize, margin);
-        
-        // Create basic SVG string
-        const basicSVG = this.createSVGString(bitMatrix, cleanSize, foregroundColor, transparent ? 'transparent' : backgroundColor);
+        // Swiss cross is added after optimization so optimizers never merge it into the modules
+        const finalizeSVG = svg => swissCross
+            ? addSwissCrossToSVG(svg, getSwissCrossGeometry(matrix, cleanSize), foregroundColor, background)
+            : svg;
+
+        const renderOptions = { size: cleanSize, foregroundColor, backgroundColor: background };
         
         // Apply block optimization (merges adjacent squares into larger blocks)
         if (rowOptimize) {
-            const blockOptimizedSVG = optimizeSVGRows(basicSVG);
-            
-            // Log block optimization stats
-            if (console && console.log) {
-                const stats = getRowOptimizationStats(basicSVG, blockOptimizedSVG);
-                console.log('SVG Block Optimization Stats:', {
-                    'Original elements': stats.originalElements,
-                    'Optimized elements': stats.optimizedElements,
-                    'Elements reduced': stats.elementsReduced,
-                    'Block merge efficiency': `${stats.blockMergeEfficiency}%`,
-                    'Size reduction': `${stats.reductionPercent}%`
-                });
-            }
+            const blockOptimizedSVG = optimizeSVGRows(matrix, renderOptions);
+            this.lastOptimizationStats = { method: 'block', ...getRowOptimizationStats(matrix, blockOptimizedSVG, renderOptions) };
             
-            return blockOptimizedSVG;
+            return finalizeSVG(blockOptimizedSVG);
         }
         
         // Apply path optimization (merges all rectangles into single path)
         if (optimize) {
-            const optimizedSVG = optimizeSVG(basicSVG);
-            
-            // Log path optimization stats
-            if (console && console.log) {
-                const stats = getOptimizationStats(basicSVG, optimizedSVG);
-                console.log('SVG Path Optimization Stats:', {
-                    'Original size': `${(stats.originalSize / 1024).toFixed(1)}KB`,
-                    'Optimized size': `${(stats.optimizedSize / 1024).toFixed(1)}KB`,
-                    'Size reduction': `${stats.reductionPercent}%`,
-                    'Elements reduced': `${stats.originalElements} → ${stats.optimizedElements}`
-                });
-            }
+            const optimizedSVG = optimizeSVG(matrix, renderOptions);
+            this.lastOptimizationStats = { method: 'path', ...getOptimizationStats(matrix, optimizedSVG, renderOptions) };
             
-            return optimizedSVG;
+            return finalizeSVG(optimizedSVG);
         }
         
-        return basicSVG;
-    }
-
-    /**
-     * Generate bit matrix using ZXing
-     * @private
-     */
-    generateBitMatrix(data, size, margin) {
-        try {
-            const hints = new Map();
-            
-            // Use medium error correction by default
-            if (ZXing.EncodeHintType && ZXing.ErrorCorrectionLevel) {
-                hints.set(ZXing.EncodeHintType.ERROR_CORRECTION, ZXing.ErrorCorrectionLevel.M);
-            }
-            if (ZXing.EncodeHintType && ZXing.EncodeHintType.MARGIN) {
-                hints.set(ZXing.EncodeHintType.MARGIN, margin);
-            }
-
-            const writer = new ZXing.QRCodeWriter();
-            return writer.encode(data, ZXing.BarcodeFormat.QR_CODE, size, size, hints);
-        } catch (hintError) {
-            // Fallback: try without hints
-            console.warn('Error with hints, trying without:', hintError);
-            const writer = new ZXing.QRCodeWriter();
-            return writer.encode(data, ZXing.BarcodeFormat.QR_CODE, size, size);
-        }
+        // Unoptimized output is built only when asked for; one rect per module is what the optimizers avoid
+        return finalizeSVG(this.createSVGString(matrix, cleanSize, foregroundColor, background));
     }
 
     /**
      * Draw QR code on canvas
      * @private
      */
-    drawQRCodeOnCanvas(ctx, bitMatrix, size, foregroundColor, backgroundColor) {
-        const moduleSize = size / bitMatrix.getWidth();
+    drawQRCodeOnCanvas(ctx, matrix, width, height, foregroundColor, backgroundColor) {
+        const { left, top, moduleWidth, moduleHeight } = matrix.getLayout(width);
         
         // Clear canvas
-        ctx.clearRect(0, 0, size, size);
+        ctx.clearRect(0, 0, width, height);
         
         // Set background
         if (backgroundColor !== 'transparent') {
             ctx.fillStyle = backgroundColor;
-            ctx.fillRect(0, 0, size, size);
+            ctx.fillRect(0, 0, width, height);
         }
         
         // Draw QR modules
         ctx.fillStyle = foregroundColor;
-        for (let x = 0; x < bitMatrix.getWidth(); x++) {
-            for (let y = 0; y < bitMatrix.getHeight(); y++) {
-                if (bitMatrix.get(x, y)) {
-                    ctx.fillRect(x * moduleSize, y * moduleSize, moduleSize, moduleSize);
-                }
-            }
+        for (const { x, y } of matrix.getDarkModules()) {
+            ctx.fillRect(left + x * moduleWidth, top + y * moduleHeight, moduleWidth, moduleHeight);
         }
     }
 
     /**
-     * Create SVG string from bit matrix
+     * Create SVG string with one rect per dark module
+     * measureUnoptimizedSVG in svgOptimizer.js mirrors this markup; change both together
      * @private
      */
-    createSVGString(bitMatrix, size, foregroundColor, backgroundColor) {
-        const moduleSize = size / bitMatrix.getWidth();
-        const modules = [];
+    createSVGString(matrix, width, foregroundColor, backgroundColor) {
+        const { height, left, top, moduleWidth, moduleHeight } = matrix.getLayout(width);
         
         // Collect all filled modules
-        for (let x = 0; x < bitMatrix.getWidth(); x++) {
-            for (let y = 0; y < bitMatrix.getHeight(); y++) {
-                if (bitMatrix.get(x, y)) {
-                    modules.push(`<rect x="${x * moduleSize}" y="${y * moduleSize}" width="${moduleSize}" height="${moduleSize}" fill="${foregroundColor}"/>`);
-                }
-            }
-        }
+        const modules = matrix.getDarkModules().map(({ x, y }) =>
+            `<rect x="${left + x * moduleWidth}" y="${top + y * moduleHeight}" width="${moduleWidth}" height="${moduleHeight}" fill="${foregroundColor}"/>`
+        );
         
         // Create SVG
-        let svg = `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">`;
+        let svg = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`;
         
         // Add background if not transparent
         if (backgroundColor !== 'transparent') {
-            svg += `<rect width="${size}" height="${size}" fill="${backgroundColor}"/>`;
+            svg += `<rect width="${width}" height="${height}" fill="${backgroundColor}"/>`;
         }
         
         // Add QR code modules
@@ -286,6 +279,28 @@ export class QRGenerator {
         setTimeout(() => URL.revokeObjectURL(url), 100);
     }
 
+    /**
+     * Generate an SVG whose symbol (quiet zone excluded) has an exact physical size
+     * @param {string} data - Data to encode
+     * @param {Object} options - Generation options
+     * @param {number} symbolSizeMm - Symbol width in millimeters
+     * @returns {string} - SVG string sized in millimeters
+     */
+    generatePhysicalSVG(data, options = {}, symbolSizeMm = 46) {
+        const cleanSize = Utils.roundToNearest(options.size || 300, 10);
+
+        const matrix = this.generateMatrix(data, options);
+        const svg = this.renderSVG(matrix, { ...options, optimize: true, rowOptimize: false, hybrid: false });
+
+        // Scale the whole canvas so the symbol itself lands on the requested width
+        const layout = matrix.getLayout(cleanSize);
+        const symbolWidth = matrix.columns * layout.moduleWidth;
+        const widthMm = Number((symbolSizeMm * layout.width / symbolWidth).toFixed(3));
+        const heightMm = Number((widthMm * layout.height / layout.width).toFixed(3));
+
+        return svg.replace(/<svg width="[^"]*" height="[^"]*"/, `<svg width="${widthMm}mm" height="${heightMm}mm"`);
+    }
+
     /**
      * Generate all SVG optimization versions for comparison
      * @param {string} data - Data to encode
@@ -293,16 +308,22 @@ export class QRGenerator {
      * @returns {Promise<Object>} - Object with all SVG versions and comprehensive stats
      */
     async generateSVGVersions(data, options = {}) {
-        // Generate all versions
-        const basicSVG = this.generateSVG(data, { ...options, optimize: false, rowOptimize: false, hybrid: false });
-        const rowOptimizedSVG = this.generateSVG(data, { ...options, optimize: false, rowOptimize: true, hybrid: false });
-        const pathOptimizedSVG = this.generateSVG(data, { ...options, optimize: true, rowOptimize: false, hybrid: false });
-        const hybridSVG = await this.generateSVG(data, { ...options, hybrid: true });
+        // Generate all versions from one encoding
+        const matrix = this.generateMatrix(data, options);
+        const basicSVG = this.renderSVG(matrix, { ...options, optimize: false, rowOptimize: false, hybrid: false });
+        const rowOptimizedSVG = this.renderSVG(matrix, { ...options, optimize: false, rowOptimize: true, hybrid: false });
+        const pathOptimizedSVG = this.renderSVG(matrix, { ...options, optimize: true, rowOptimize: false, hybrid: false });
+        const hybridSVG = await this.renderSVG(matrix, { ...options, hybrid: true });
         
         // Get comprehensive statistics
-        const rowStats = getRowOptimizationStats(basicSVG, rowOptimizedSVG);
-        const pathStats = getOptimizationStats(basicSVG, pathOptimizedSVG);
-        const hybridStats = await getHybridStats(data, options);
+        const statsOptions = {
+            size: Utils.roundToNearest(options.size || 300, 10),
+            foregroundColor: options.foregroundColor,
+            backgroundColor: options.transparent ? 'transparent' : options.backgroundColor
+        };
+        const rowStats = getRowOptimizationStats(matrix, rowOptimizedSVG, statsOptions);
+        const pathStats = getOptimizationStats(matrix, pathOptimizedSVG, statsOptions);
+        const hybridStats = await getHybridStats(matrix, { ...options, size: Utils.roundToNearest(options.size || 300, 10) });
         
         return {
             basic: basicSVG,
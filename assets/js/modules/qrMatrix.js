@@ -0,0 +1,151 @@
+/**
+ * QR Matrix Module
+ * Immutable module-level model of an encoded symbol: its dark modules, what each module belongs to and the
+ * quiet zone. Every encoder returns it and every renderer and SVG optimizer draws from it, so a payload is
+ * encoded once and no output is ever parsed back to recover the grid
+ */
+
+/**
+ * Parts of a symbol a module can belong to; separators count as finder, the dark module and version
+ * information as format. Symbologies without a known layout (Data Matrix, Aztec, linear) are all data
+ */
+export const MODULE_KINDS = Object.freeze({
+    DATA: 'data',
+    FINDER: 'finder',
+    TIMING: 'timing',
+    ALIGNMENT: 'alignment',
+    FORMAT: 'format'
+});
+
+/**
+ * Creates a classification grid for an encoder to mark its function patterns in
+ * @param {number} width - Columns
+ * @param {number} height - Rows
+ * @returns {Array<Array<string>>} - Rows of MODULE_KINDS values, all data
+ */
+export function createKindRows(width, height) {
+    return Array.from({ length: height }, () => new Array(width).fill(MODULE_KINDS.DATA));
+}
+
+export class QRMatrix {
+    /**
+     * @param {Object} modules - Module grid with get, getWidth and getHeight, one cell per module and no quiet zone
+     * @param {Object} options - Model options
+     * @param {number} options.quietZone - Quiet zone in modules
+     * @param {number} options.verticalQuietZone - Quiet zone above and below, when it differs (linear symbols)
+     * @param {number|null} options.aspectRatio - Height / width for linear symbols, whose bars run the full height
+     * @param {Array<Array<string>>|null} options.kinds - Rows from createKindRows, or null when every module is data
+     */
+    constructor(modules, { quietZone = 4, verticalQuietZone = quietZone, aspectRatio = null, kinds = null } = {}) {
+        this.columns = modules.getWidth();
+        this.rows = modules.getHeight();
+        this.quietZone = quietZone;
+        this.verticalQuietZone = verticalQuietZone;
+        this.aspectRatio = aspectRatio;
+
+        // Flat row-major copies, so later changes to the encoder's grids cannot reach the model
+        const dark = [];
+        const cellKinds = [];
+        const darkModules = [];
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.columns; x++) {
+                const isDark = Boolean(modules.get(x, y));
+                const kind = kinds ? kinds[y][x] : MODULE_KINDS.DATA;
+                dark.push(isDark);
+                cellKinds.push(kind);
+                if (isDark) darkModules.push(Object.freeze({ x, y, kind }));
+            }
+        }
+        this.dark = Object.freeze(dark);
+        this.kinds = Object.freeze(cellKinds);
+        this.darkModules = Object.freeze(darkModules);
+
+        Object.freeze(this);
+    }
+
+    /**
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} - True for dark modules; the quiet zone and anything outside the symbol are light
+     */
+    isDark(x, y) {
+        return x >= 0 && y >= 0 && x < this.columns && y < this.rows && this.dark[y * this.columns + x];
+    }
+
+    /**
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {string} - MODULE_KINDS value of the module
+     */
+    getKind(x, y) {
+        return this.kinds[y * this.columns + x];
+    }
+
+    /**
+     * Lists the dark modules, row by row
+     * @returns {Array<Object>} - Frozen { x, y, kind } entries in module coordinates
+     */
+    getDarkModules() {
+        return this.darkModules;
+    }
+
+    /**
+     * Places the modules in an output of a given width the way ZXing's writers do: whole pixels per module,
+     * centered, with the quiet zone around them; linear symbols are drawn at their aspect ratio
+     * @param {number} width - Output width in pixels
+     * @returns {Object} - { width, height, left, top, moduleWidth, moduleHeight } in pixels, module sizes
+     *                     fractional only when the width has less than a pixel per module
+     */
+    getLayout(width) {
+        const totalWidth = this.columns + 2 * this.quietZone;
+
+        if (this.aspectRatio !== null) {
+            const height = Math.round(width * this.aspectRatio);
+            const moduleWidth = wholePixels(width / totalWidth);
+            // Bars run the full height inside the top and bottom border, which never takes more than half of it
+            const top = Math.min(this.verticalQuietZone * moduleWidth, Math.floor(height / 4));
+            return Object.freeze({
+                width,
+                height,
+                left: alignToPixel((width - this.columns * moduleWidth) / 2, moduleWidth),
+                top,
+                moduleWidth,
+                moduleHeight: height - 2 * top
+            });
+        }
+
+        const totalHeight = this.rows + 2 * this.quietZone;
+        const height = Math.round(width * totalHeight / totalWidth);
+        const moduleSize = wholePixels(Math.min(width / totalWidth, height / totalHeight));
+
+        return Object.freeze({
+            width,
+            height,
+            left: alignToPixel((width - this.columns * moduleSize) / 2, moduleSize),
+            top: alignToPixel((height - this.rows * moduleSize) / 2, moduleSize),
+            moduleWidth: moduleSize,
+            moduleHeight: moduleSize
+        });
+    }
+}
+
+/**
+ * Rounds a module size down to whole pixels unless that would leave no pixel at all
+ * @private
+ * @param {number} size - Pixels per module
+ * @returns {number} - Whole pixels, or the fraction below one
+ */
+function wholePixels(size) {
+    return size >= 1 ? Math.floor(size) : size;
+}
+
+/**
+ * Rounds an offset down to a whole pixel when modules are drawn in whole pixels
+ * @private
+ * @param {number} offset - Offset in pixels
+ * @param {number} moduleSize - Pixels per module
+ * @returns {number} - Pixel offset
+ */
+function alignToPixel(offset, moduleSize) {
+    return Number.isInteger(moduleSize) ? Math.floor(offset) : offset;
+}
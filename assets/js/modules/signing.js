@@ -0,0 +1,339 @@
+/**
+ * Signing Module
+ * Signs payloads with ECDSA P-256 or HMAC-SHA256 via WebCrypto and verifies them offline
+ *
+ * Envelope format, fields separated by ':':
+ *     SIG1:<alg>:<kid>:<signature>:<payload>
+ *
+ *     alg        ES256 (ECDSA P-256 with SHA-256) or HS256 (HMAC with SHA-256)
+ *     kid        first 8 base64url characters of the SHA-256 of the public key (SPKI DER) or HMAC secret
+ *     signature  base64url (unpadded) signature over the UTF-8 bytes of "SIG1:<alg>:<kid>:<payload>";
+ *                64 bytes of raw r || s for ES256, a 32-byte tag for HS256
+ *     payload    the DataProcessor payload, unchanged; it may contain ':' itself
+ */
+import { encodeBase64, decodeBase64, encodeBase64Url, decodeBase64Url } from './binaryText.js';
+
+/**
+ * Envelope prefix and version
+ */
+export const ENVELOPE_PREFIX = 'SIG1';
+
+/**
+ * Supported signature algorithms with their WebCrypto parameters
+ */
+export const SIGNATURE_ALGORITHMS = {
+    ES256: {
+        label: 'ECDSA P-256',
+        keyParams: { name: 'ECDSA', namedCurve: 'P-256' },
+        signParams: { name: 'ECDSA', hash: 'SHA-256' },
+        signatureBytes: 64
+    },
+    HS256: {
+        label: 'HMAC-SHA256',
+        keyParams: { name: 'HMAC', hash: 'SHA-256' },
+        signParams: { name: 'HMAC' },
+        signatureBytes: 32
+    }
+};
+
+const KEY_ID_LENGTH = 8;
+
+/**
+ * Reads the first PEM block of a text
+ * @private
+ * @param {string} text - PEM text
+ * @returns {Object|null} - { label, bytes } or null when there is no PEM block
+ */
+function parsePem(text) {
+    const match = text.match(/-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/);
+    if (!match) return null;
+
+    const bytes = decodeBase64(match[2]);
+    return bytes ? { label: match[1], bytes } : null;
+}
+
+/**
+ * Wraps DER bytes in a PEM block
+ * @private
+ * @param {string} label - PEM label (PRIVATE KEY or PUBLIC KEY)
+ * @param {ArrayBuffer} der - DER bytes
+ * @returns {string} - PEM text
+ */
+function formatPem(label, der) {
+    const body = encodeBase64(new Uint8Array(der)).match(/.{1,64}/g).join('\n');
+    return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----`;
+}
+
+/**
+ * Parses a JSON Web Key
+ * @private
+ * @param {string} text - JWK JSON
+ * @returns {Object|null} - JWK or null when the text is not one
+ */
+function parseJwk(text) {
+    try {
+        const jwk = JSON.parse(text);
+        return jwk && typeof jwk === 'object' && typeof jwk.kty === 'string' ? jwk : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Keeps only the public members of an EC JWK
+ * @private
+ * @param {Object} jwk - EC JWK, private or public
+ * @returns {Object} - Public EC JWK
+ */
+function toPublicJwk({ kty, crv, x, y }) {
+    return { kty, crv, x, y };
+}
+
+/**
+ * Identifies the kind of key in a PEM or JWK text
+ * @private
+ * @param {string} text - Key text
+ * @returns {Object} - { algorithm, kind: 'private'|'public'|'secret', format: 'pkcs8'|'spki'|'jwk', data }
+ */
+function readKey(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) throw new Error('Please paste or generate a key.');
+
+    const pem = parsePem(trimmed);
+    if (pem) {
+        if (pem.label === 'PRIVATE KEY') return { algorithm: 'ES256', kind: 'private', format: 'pkcs8', data: pem.bytes };
+        if (pem.label === 'PUBLIC KEY') return { algorithm: 'ES256', kind: 'public', format: 'spki', data: pem.bytes };
+        if (pem.label === 'EC PRIVATE KEY') {
+            throw new Error('SEC1 "EC PRIVATE KEY" files are not supported. Convert the key to PKCS#8 with: openssl pkcs8 -topk8 -nocrypt -in key.pem');
+        }
+        throw new Error(`PEM blocks of type "${pem.label}" are not supported.`);
+    }
+
+    const jwk = parseJwk(trimmed);
+    if (jwk && jwk.kty === 'EC') {
+        if (jwk.crv !== 'P-256') throw new Error('Only P-256 EC keys are supported.');
+        // Drop key_ops, ext and similar members that would conflict with the usage we import for
+        return jwk.d
+            ? { algorithm: 'ES256', kind: 'private', format: 'jwk', data: { ...toPublicJwk(jwk), d: jwk.d } }
+            : { algorithm: 'ES256', kind: 'public', format: 'jwk', data: toPublicJwk(jwk) };
+    }
+    if (jwk && jwk.kty === 'oct') {
+        if (!decodeBase64Url(jwk.k || '')) throw new Error('The HMAC key has no valid "k" member.');
+        return { algorithm: 'HS256', kind: 'secret', format: 'jwk', data: { kty: 'oct', k: jwk.k } };
+    }
+
+    throw new Error('Unrecognized key. Paste a PEM block or a JWK.');
+}
+
+/**
+ * Computes the key id placed in envelopes
+ * @private
+ * @param {ArrayBuffer} keyBytes - SPKI DER of a public key or raw HMAC secret
+ * @returns {Promise<string>} - Key id
+ */
+async function computeKeyId(keyBytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', keyBytes));
+    return encodeBase64Url(digest).slice(0, KEY_ID_LENGTH);
+}
+
+/**
+ * Imports the public half of an ES256 key, whichever half was pasted
+ * @private
+ * @param {Object} parsed - Result of readKey
+ * @returns {Promise<CryptoKey>} - Extractable public key
+ */
+async function importEcPublicKey(parsed) {
+    const { keyParams } = SIGNATURE_ALGORITHMS.ES256;
+
+    if (parsed.kind === 'public') {
+        return crypto.subtle.importKey(parsed.format, parsed.data, keyParams, true, ['verify']);
+    }
+
+    const privateKey = await crypto.subtle.importKey(parsed.format, parsed.data, keyParams, true, ['sign']);
+    const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+    return crypto.subtle.importKey('jwk', toPublicJwk(jwk), keyParams, true, ['verify']);
+}
+
+/**
+ * Imports an HMAC secret for signing and verifying
+ * @private
+ * @param {Object} parsed - Result of readKey
+ * @returns {Promise<CryptoKey>} - Extractable HMAC key
+ */
+function importHmacKey(parsed) {
+    return crypto.subtle.importKey('jwk', parsed.data, SIGNATURE_ALGORITHMS.HS256.keyParams, true, ['sign', 'verify']);
+}
+
+/**
+ * Imports a private ECDSA key or HMAC secret for signing
+ * @param {string} text - PEM (PKCS#8) or JWK
+ * @returns {Promise<Object>} - { algorithm, key, keyId }
+ */
+export async function importSigningKey(text) {
+    const parsed = readKey(text);
+
+    if (parsed.kind === 'public') {
+        throw new Error('A public key can only verify. Paste the private key to sign.');
+    }
+
+    if (parsed.algorithm === 'HS256') {
+        const key = await importHmacKey(parsed);
+        return { algorithm: 'HS256', key, keyId: await computeKeyId(await crypto.subtle.exportKey('raw', key)) };
+    }
+
+    const key = await crypto.subtle.importKey(parsed.format, parsed.data, SIGNATURE_ALGORITHMS.ES256.keyParams, true, ['sign']);
+    const publicKey = await importEcPublicKey(parsed);
+    return { algorithm: 'ES256', key, keyId: await computeKeyId(await crypto.subtle.exportKey('spki', publicKey)) };
+}
+
+/**
+ * Imports a public ECDSA key or HMAC secret for verification
+ * A private EC key is accepted too; only its public half is used
+ * @param {string} text - PEM (SPKI or PKCS#8) or JWK
+ * @returns {Promise<Object>} - { algorithm, key, keyId }
+ */
+export async function importVerificationKey(text) {
+    const parsed = readKey(text);
+
+    if (parsed.algorithm === 'HS256') {
+        const key = await importHmacKey(parsed);
+        return { algorithm: 'HS256', key, keyId: await computeKeyId(await crypto.subtle.exportKey('raw', key)) };
+    }
+
+    const key = await importEcPublicKey(parsed);
+    return { algorithm: 'ES256', key, keyId: await computeKeyId(await crypto.subtle.exportKey('spki', key)) };
+}
+
+/**
+ * Generates a new signing key
+ * @param {string} algorithm - ES256 or HS256
+ * @param {string} format - 'pem' or 'jwk'; HMAC secrets are always JWK
+ * @returns {Promise<Object>} - { signingKey, verificationKey } as text
+ */
+export async function generateSigningKey(algorithm, format = 'pem') {
+    if (algorithm === 'HS256') {
+        const key = await crypto.subtle.generateKey({ ...SIGNATURE_ALGORITHMS.HS256.keyParams, length: 256 }, true, ['sign', 'verify']);
+        const { kty, k } = await crypto.subtle.exportKey('jwk', key);
+        const secret = JSON.stringify({ kty, k });
+        return { signingKey: secret, verificationKey: secret };
+    }
+
+    const { privateKey, publicKey } = await crypto.subtle.generateKey(SIGNATURE_ALGORITHMS.ES256.keyParams, true, ['sign', 'verify']);
+    return {
+        signingKey: await exportKeyText(privateKey, format),
+        verificationKey: await exportKeyText(publicKey, format)
+    };
+}
+
+/**
+ * Exports an ECDSA key as PEM or JWK text
+ * @private
+ * @param {CryptoKey} key - Extractable key
+ * @param {string} format - 'pem' or 'jwk'
+ * @returns {Promise<string>} - Key text
+ */
+async function exportKeyText(key, format) {
+    const isPrivate = key.type === 'private';
+
+    if (format === 'jwk') {
+        const jwk = await crypto.subtle.exportKey('jwk', key);
+        return JSON.stringify(isPrivate ? { ...toPublicJwk(jwk), d: jwk.d } : toPublicJwk(jwk));
+    }
+
+    return isPrivate
+        ? formatPem('PRIVATE KEY', await crypto.subtle.exportKey('pkcs8', key))
+        : formatPem('PUBLIC KEY', await crypto.subtle.exportKey('spki', key));
+}
+
+/**
+ * Derives the key verifiers need from a signing key
+ * @param {string} text - Private ECDSA key or HMAC secret (PEM or JWK)
+ * @param {string} format - 'pem' or 'jwk' for ECDSA public keys
+ * @returns {Promise<string>} - Public key text, or the secret itself for HMAC
+ */
+export async function exportVerificationKey(text, format = 'pem') {
+    const { algorithm, key } = await importVerificationKey(text);
+    if (algorithm === 'HS256') {
+        const { kty, k } = await crypto.subtle.exportKey('jwk', key);
+        return JSON.stringify({ kty, k });
+    }
+    return exportKeyText(key, format);
+}
+
+/**
+ * Signs a payload and wraps it in an envelope
+ * @param {string} payload - Payload to sign
+ * @param {string} signingKeyText - Private ECDSA key or HMAC secret (PEM or JWK)
+ * @param {string|null} expectedAlgorithm - Algorithm the key must be for, or null to accept either
+ * @returns {Promise<string>} - SIG1 envelope
+ */
+export async function signPayload(payload, signingKeyText, expectedAlgorithm = null) {
+    const { algorithm, key, keyId } = await importSigningKey(signingKeyText);
+    if (expectedAlgorithm && algorithm !== expectedAlgorithm) {
+        throw new Error(`The signing key is an ${SIGNATURE_ALGORITHMS[algorithm].label} key, not ${SIGNATURE_ALGORITHMS[expectedAlgorithm].label}.`);
+    }
+    const header = `${ENVELOPE_PREFIX}:${algorithm}:${keyId}`;
+
+    const signature = await crypto.subtle.sign(
+        SIGNATURE_ALGORITHMS[algorithm].signParams,
+        key,
+        new TextEncoder().encode(`${header}:${payload}`)
+    );
+
+    return `${header}:${encodeBase64Url(new Uint8Array(signature))}:${payload}`;
+}
+
+/**
+ * Splits an envelope into its fields
+ * @param {string} text - Envelope text
+ * @returns {Object|null} - { algorithm, keyId, signature, payload } or null when text is not an envelope
+ */
+export function parseEnvelope(text) {
+    const match = String(text).match(new RegExp(`^${ENVELOPE_PREFIX}:([A-Z0-9]+):([A-Za-z0-9_-]*):([A-Za-z0-9_-]+):([\\s\\S]*)$`));
+    if (!match) return null;
+
+    const [, algorithm, keyId, signature, payload] = match;
+    return { algorithm, keyId, signature, payload };
+}
+
+/**
+ * Verifies an envelope against a key
+ * @param {string} text - Envelope text
+ * @param {string} keyText - Public ECDSA key or HMAC secret (PEM or JWK)
+ * @returns {Promise<Object>} - { valid, message, payload, keyId }
+ */
+export async function verifyEnvelope(text, keyText) {
+    const envelope = parseEnvelope(text);
+    if (!envelope) {
+        return { valid: false, message: `This is not a signed payload. Signed payloads start with ${ENVELOPE_PREFIX}:.` };
+    }
+
+    const { algorithm, keyId, signature, payload } = envelope;
+    const definition = SIGNATURE_ALGORITHMS[algorithm];
+    if (!definition) {
+        return { valid: false, message: `Unsupported signature algorithm "${algorithm}".`, payload, keyId };
+    }
+
+    let key;
+    try {
+        key = await importVerificationKey(keyText);
+    } catch (error) {
+        return { valid: false, message: error.message, payload, keyId };
+    }
+
+    if (key.algorithm !== algorithm) {
+        return { valid: false, message: `The payload is signed with ${algorithm}, but this is an ${key.algorithm} key.`, payload, keyId };
+    }
+    if (keyId !== key.keyId) {
+        return { valid: false, message: `The payload was signed with key ${keyId || '(none)'}, not with this key (${key.keyId}).`, payload, keyId };
+    }
+
+    const signatureBytes = decodeBase64Url(signature);
+    const verified = Boolean(signatureBytes) &&
+        signatureBytes.length === definition.signatureBytes &&
+        await crypto.subtle.verify(definition.signParams, key.key, signatureBytes, new TextEncoder().encode(`${ENVELOPE_PREFIX}:${algorithm}:${keyId}:${payload}`));
+
+    return verified
+        ? { valid: true, message: `Valid ${definition.label} signature from key ${keyId}. The payload has not been changed.`, payload, keyId }
+        : { valid: false, message: 'The signature does not match. The payload was changed or signed with a different key.', payload, keyId };
+}
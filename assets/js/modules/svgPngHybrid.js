@@ -3,37 +3,40 @@
  * Creates ultra-lightweight SVGs by embedding high-resolution PNGs inside SVG <image> elements
  * This approach maintains vector scalability while avoiding thousands of <rect> elements
  */
+import { getSwissCrossGeometry, drawSwissCross } from './swissCross.js';
+import { measureUnoptimizedSVG } from './svgOptimizer.js';
 
 /**
  * Generates a lightweight SVG containing an embedded high-resolution PNG
- * @param {string} data - Data to encode in QR code
+ * @param {QRMatrix} matrix - Symbol model, drawn at the PNG resolution without encoding the payload again
  * @param {Object} options - Generation options
  * @returns {Promise<string>} - Promise resolving to SVG string with embedded PNG
  */
-export async function generateLightweightSVG(data, options = {}) {
+export async function generateLightweightSVG(matrix, options = {}) {
     const {
         size = 300,
         pngResolution = 1024, // High resolution for crisp quality
         foregroundColor = '#000000',
         backgroundColor = '#FFFFFF',
         transparent = false,
-        margin = 4,
+        swissCross = false,
         compressionQuality = 0.95 // PNG quality (0.0 - 1.0)
     } = options;
 
     try {
         // Generate high-resolution PNG data URL
-        const pngDataUrl = await generateHighResPNG(data, {
+        const png = await generateHighResPNG(matrix, {
             size: pngResolution,
             foregroundColor,
             backgroundColor,
             transparent,
-            margin,
+            swissCross,
             quality: compressionQuality
         });
 
-        // Create lightweight SVG wrapper
-        const svgContent = createSVGWrapper(pngDataUrl, size, transparent ? 'transparent' : backgroundColor);
+        // Create lightweight SVG wrapper with the symbol's proportions
+        const height = Math.round(size * png.height / png.width);
+        const svgContent = createSVGWrapper(png.dataUrl, size, height, transparent ? 'transparent' : backgroundColor);
 
         return svgContent;
 
@@ -45,31 +48,28 @@ export async function generateLightweightSVG(data, options = {}) {
 /**
  * Generates high-resolution PNG as data URL
  * @private
- * @param {string} data - QR code data
+ * @param {QRMatrix} matrix - Symbol model
  * @param {Object} options - PNG generation options
- * @returns {Promise<string>} - Promise resolving to PNG data URL
+ * @returns {Promise<Object>} - Promise resolving to { dataUrl, width, height }
  */
-async function generateHighResPNG(data, options) {
+async function generateHighResPNG(matrix, options) {
     return new Promise((resolve, reject) => {
         try {
-            if (typeof ZXing === 'undefined') {
-                reject(new Error('ZXing library not loaded'));
-                return;
-            }
-
-            const { size, foregroundColor, backgroundColor, transparent, margin, quality } = options;
+            const { size, foregroundColor, backgroundColor, transparent, swissCross, quality } = options;
 
-            // Generate bit matrix using ZXing
-            const bitMatrix = generateBitMatrix(data, size, margin);
-            
             // Create high-resolution canvas
-            const canvas = createHighResCanvas(bitMatrix, size, foregroundColor, transparent ? null : backgroundColor);
+            const canvas = createHighResCanvas(matrix, size, foregroundColor, transparent ? null : backgroundColor);
+
+            // Overlay Swiss cross for QR-bills
+            if (swissCross) {
+                drawSwissCross(canvas.getContext('2d'), getSwissCrossGeometry(matrix, size), foregroundColor, transparent ? 'transparent' : backgroundColor);
+            }
             
             // Convert to PNG data URL with specified quality
             const mimeType = transparent ? 'image/png' : 'image/jpeg';
             const dataUrl = canvas.toDataURL(mimeType, quality);
             
-            resolve(dataUrl);
+            resolve({ dataUrl, width: canvas.width, height: canvas.height });
 
         } catch (error) {
             reject(error);
@@ -78,82 +78,41 @@ async function generateHighResPNG(data, options) {
 }
 
 /**
- * Generates ZXing bit matrix (reusable utility - follows DRY principle)
+ * Creates high-resolution canvas from the symbol model
  * @private
- * @param {string} data - Data to encode
- * @param {number} size - Matrix size
- * @param {number} margin - Margin size
- * @returns {Object} - ZXing bit matrix
- */
-function generateBitMatrix(data, size, margin) {
-    if (typeof ZXing === 'undefined') {
-        throw new Error('ZXing library not loaded');
-    }
-
-    const hints = new Map();
-    
-    // Set error correction and margin (same logic as main generator)
-    if (ZXing.EncodeHintType && ZXing.ErrorCorrectionLevel) {
-        hints.set(ZXing.EncodeHintType.ERROR_CORRECTION, ZXing.ErrorCorrectionLevel.M);
-    }
-    if (ZXing.EncodeHintType && ZXing.EncodeHintType.MARGIN) {
-        hints.set(ZXing.EncodeHintType.MARGIN, margin);
-    }
-
-    try {
-        const writer = new ZXing.QRCodeWriter();
-        return writer.encode(data, ZXing.BarcodeFormat.QR_CODE, size, size, hints);
-    } catch (hintError) {
-        // Fallback without hints (consistent with main generator)
-        console.warn('Generating QR without hints:', hintError.message);
-        const writer = new ZXing.QRCodeWriter();
-        return writer.encode(data, ZXing.BarcodeFormat.QR_CODE, size, size);
-    }
-}
-
-/**
- * Creates high-resolution canvas from bit matrix
- * @private
- * @param {Object} bitMatrix - ZXing bit matrix
- * @param {number} size - Canvas size
+ * @param {QRMatrix} matrix - Symbol model
+ * @param {number} size - Canvas width
  * @param {string} foregroundColor - QR code color
  * @param {string|null} backgroundColor - Background color (null for transparent)
  * @returns {HTMLCanvasElement} - High-resolution canvas
  */
-function createHighResCanvas(bitMatrix, size, foregroundColor, backgroundColor) {
+function createHighResCanvas(matrix, size, foregroundColor, backgroundColor) {
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
+    const { width, height, left, top, moduleWidth, moduleHeight } = matrix.getLayout(size);
     
     // Set canvas dimensions
-    canvas.width = size;
-    canvas.height = size;
-    
-    // Calculate module size
-    const moduleSize = size / bitMatrix.getWidth();
+    canvas.width = width;
+    canvas.height = height;
     
     // Clear canvas
-    ctx.clearRect(0, 0, size, size);
+    ctx.clearRect(0, 0, width, height);
     
     // Set background if not transparent
     if (backgroundColor) {
         ctx.fillStyle = backgroundColor;
-        ctx.fillRect(0, 0, size, size);
+        ctx.fillRect(0, 0, width, height);
     }
     
     // Draw QR modules with pixel-perfect precision
     ctx.fillStyle = foregroundColor;
     ctx.imageSmoothingEnabled = false; // Crisp pixel rendering
     
-    for (let x = 0; x < bitMatrix.getWidth(); x++) {
-        for (let y = 0; y < bitMatrix.getHeight(); y++) {
-            if (bitMatrix.get(x, y)) {
-                const pixelX = Math.round(x * moduleSize);
-                const pixelY = Math.round(y * moduleSize);
-                const pixelSize = Math.round(moduleSize);
-                
-                ctx.fillRect(pixelX, pixelY, pixelSize, pixelSize);
-            }
-        }
+    for (const { x, y } of matrix.getDarkModules()) {
+        const pixelX = Math.round(left + x * moduleWidth);
+        const pixelY = Math.round(top + y * moduleHeight);
+        
+        ctx.fillRect(pixelX, pixelY, Math.round(left + (x + 1) * moduleWidth) - pixelX, Math.round(top + (y + 1) * moduleHeight) - pixelY);
     }
     
     return canvas;
@@ -163,15 +122,16 @@ function createHighResCanvas(bitMatrix, size, foregroundColor, backgroundColor)
  * Creates SVG wrapper with embedded PNG
  * @private
  * @param {string} pngDataUrl - PNG data URL
- * @param {number} size - SVG display size
+ * @param {number} width - SVG display width
+ * @param {number} height - SVG display height
  * @param {string} backgroundColor - Background color
  * @returns {string} - Complete SVG string
  */
-function createSVGWrapper(pngDataUrl, size, backgroundColor) {
-    const viewBox = `0 0 ${size} ${size}`;
+function createSVGWrapper(pngDataUrl, width, height, backgroundColor) {
+    const viewBox = `0 0 ${width} ${height}`;
     
     // Create minimal SVG structure
-    let svg = `<svg width="${size}" height="${size}" viewBox="${viewBox}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">`;
+    let svg = `<svg width="${width}" height="${height}" viewBox="${viewBox}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">`;
     
     // Add background if not transparent
     if (backgroundColor !== 'transparent') {
@@ -179,7 +139,7 @@ function createSVGWrapper(pngDataUrl, size, backgroundColor) {
     }
     
     // Embed high-resolution PNG
-    svg += `\n  <image x="0" y="0" width="${size}" height="${size}" xlink:href="${pngDataUrl}" style="image-rendering: -webkit-optimize-contrast; image-rendering: crisp-edges; image-rendering: pixelated;"/>`;
+    svg += `\n  <image x="0" y="0" width="${width}" height="${height}" xlink:href="${pngDataUrl}" style="image-rendering: -webkit-optimize-contrast; image-rendering: crisp-edges; image-rendering: pixelated;"/>`;
     
     svg += '\n</svg>';
     
@@ -188,21 +148,26 @@ function createSVGWrapper(pngDataUrl, size, backgroundColor) {
 
 /**
  * Gets file size statistics for different approaches
- * @param {string} data - QR code data
+ * @param {QRMatrix} matrix - Symbol model
  * @param {Object} options - Generation options
  * @returns {Promise<Object>} - Size comparison statistics
  */
-export async function getHybridStats(data, options = {}) {
+export async function getHybridStats(matrix, options = {}) {
     try {
         // Generate lightweight SVG
-        const lightweightSVG = await generateLightweightSVG(data, options);
+        const lightweightSVG = await generateLightweightSVG(matrix, options);
         
         // Calculate sizes
         const svgSize = new Blob([lightweightSVG]).size;
         const pngDataSize = estimatePNGDataSize(lightweightSVG);
         
-        // Estimate traditional SVG size (approximate)
-        const estimatedTraditionalSize = estimateTraditionalSVGSize(data, options);
+        // Size of the traditional one-rect-per-module SVG
+        const traditional = measureUnoptimizedSVG(matrix, {
+            size: options.size,
+            foregroundColor: options.foregroundColor,
+            backgroundColor: options.transparent ? 'transparent' : options.backgroundColor
+        });
+        const estimatedTraditionalSize = traditional.size;
         
         return {
             lightweightSVG: {
@@ -213,7 +178,7 @@ export async function getHybridStats(data, options = {}) {
             },
             estimatedTraditional: {
                 totalSize: estimatedTraditionalSize,
-                elements: estimatedTraditionalSize / 100 // rough estimate
+                elements: traditional.elements // background rect + one rect per dark module
             },
             savings: {
                 bytes: Math.max(0, estimatedTraditionalSize - svgSize),
@@ -242,63 +207,6 @@ function estimatePNGDataSize(svgContent) {
     return 0;
 }
 
-/**
- * Estimates traditional SVG size based on QR complexity
- * @private
- * @param {string} data - QR code data
- * @param {Object} options - Generation options
- * @returns {number} - Estimated size in bytes
- */
-function estimateTraditionalSVGSize(data, options) {
-    // Rough estimation: longer data = more modules = larger SVG
-    const baseSize = 2000; // Base SVG overhead
-    const dataComplexity = data.length * 50; // Approximate bytes per character
-    const sizeMultiplier = (options.size || 300) / 300; // Size scaling factor
-    
-    return Math.round((baseSize + dataComplexity) * sizeMultiplier);
-}
-
-/**
- * Validates that the hybrid SVG renders correctly
- * @param {string} svgContent - SVG content to validate
- * @returns {boolean} - True if SVG appears valid
- */
-export function validateHybridSVG(svgContent) {
-    try {
-        // Basic structural validation
-        if (!svgContent.includes('<svg') || !svgContent.includes('</svg>')) {
-            return false;
-        }
-        
-        // Check for embedded image
-        if (!svgContent.includes('<image') || !svgContent.includes('data:image/')) {
-            return false;
-        }
-        
-        // Parse as DOM to check for errors
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(svgContent, 'image/svg+xml');
-        
-        if (doc.documentElement.nodeName === 'parsererror') {
-            return false;
-        }
-        
-        // Check for required attributes
-        const svgEl = doc.documentElement;
-        const imageEl = svgEl.querySelector('image');
-        
-        if (!imageEl || !imageEl.getAttribute('xlink:href')) {
-            return false;
-        }
-        
-        return true;
-        
-    } catch (error) {
-        console.warn('Hybrid SVG validation failed:', error.message);
-        return false;
-    }
-}
-
 /**
  * Utility function to download hybrid SVG
  * @param {string} svgContent - SVG content
@@ -316,32 +224,32 @@ export function downloadHybridSVG(svgContent, filename) {
 
 /**
  * Generates multiple format options for comparison
- * @param {string} data - QR code data
+ * @param {QRMatrix} matrix - Symbol model
  * @param {Object} options - Base generation options
  * @returns {Promise<Object>} - Object with different format versions
  */
-export async function generateAllFormats(data, options = {}) {
+export async function generateAllFormats(matrix, options = {}) {
     try {
         // Generate hybrid SVG
-        const hybridSVG = await generateLightweightSVG(data, options);
+        const hybridSVG = await generateLightweightSVG(matrix, options);
         
         // Generate high-res PNG for standalone use
-        const pngDataUrl = await generateHighResPNG(data, {
+        const png = await generateHighResPNG(matrix, {
             size: options.pngResolution || 1024,
             foregroundColor: options.foregroundColor || '#000000',
             backgroundColor: options.backgroundColor || '#FFFFFF',
             transparent: options.transparent || false,
-            margin: options.margin || 4,
+            swissCross: options.swissCross || false,
             quality: options.compressionQuality || 0.95
         });
         
         return {
             hybridSVG,
-            standalonePNG: pngDataUrl,
-            stats: await getHybridStats(data, options)
+            standalonePNG: png.dataUrl,
+            stats: await getHybridStats(matrix, options)
         };
         
     } catch (error) {
         throw new Error(`Failed to generate all formats: ${error.message}`);
     }
-}
\ No newline at end of file
+}
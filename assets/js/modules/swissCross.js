@@ -0,0 +1,108 @@
+/**
+ * Swiss Cross Module
+ * Draws the Swiss cross mandated for Swiss QR-bill codes in the center of the symbol
+ * The cross measures 7 x 7 mm on a 46 x 46 mm symbol (quiet zone excluded)
+ */
+
+/**
+ * Ratio between the cross and the symbol side length (7 mm / 46 mm)
+ */
+export const SWISS_CROSS_RATIO = 7 / 46;
+
+/**
+ * Physical symbol size required by the Swiss QR-bill specification
+ */
+export const SWISS_QR_SIZE_MM = 46;
+
+/**
+ * Computes where the cross goes in output coordinates
+ * @param {QRMatrix} matrix - Symbol model
+ * @param {number} size - Output size in pixels
+ * @returns {Object} - Geometry with x, y and size of the cross
+ */
+export function getSwissCrossGeometry(matrix, size) {
+    const { left, top, moduleWidth, moduleHeight } = matrix.getLayout(size);
+
+    // The module grid is the symbol without quiet zone
+    const width = matrix.columns * moduleWidth;
+    const height = matrix.rows * moduleHeight;
+    const crossSize = width * SWISS_CROSS_RATIO;
+
+    return {
+        x: left + width / 2 - crossSize / 2,
+        y: top + height / 2 - crossSize / 2,
+        size: crossSize
+    };
+}
+
+/**
+ * Splits the cross into rectangles: a light border, a dark square and a light cross
+ * The cross follows the federal proportions (arms 1/6 longer than wide)
+ * @private
+ * @param {Object} geometry - Geometry from getSwissCrossGeometry
+ * @returns {Array} - Rectangles with a dark flag
+ */
+function getSwissCrossParts(geometry) {
+    const { x, y, size } = geometry;
+    const inset = size / 14;                  // 0.5 mm light border
+    const square = size - inset * 2;          // 6 mm dark square
+    const armWidth = square * 6 / 32;
+    const armLength = square * 20 / 32;
+    const center = size / 2;
+
+    return [
+        { x, y, width: size, height: size, dark: false },
+        { x: x + inset, y: y + inset, width: square, height: square, dark: true },
+        { x: x + center - armWidth / 2, y: y + center - armLength / 2, width: armWidth, height: armLength, dark: false },
+        { x: x + center - armLength / 2, y: y + center - armWidth / 2, width: armLength, height: armWidth, dark: false }
+    ];
+}
+
+/**
+ * Resolves the light color used inside the cross
+ * @private
+ * @param {string} backgroundColor - Background color or 'transparent'
+ * @returns {string} - Opaque light color
+ */
+function getLightColor(backgroundColor) {
+    return !backgroundColor || backgroundColor === 'transparent' ? '#FFFFFF' : backgroundColor;
+}
+
+/**
+ * Draws the Swiss cross on a canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} geometry - Geometry from getSwissCrossGeometry
+ * @param {string} foregroundColor - Dark color
+ * @param {string} backgroundColor - Light color or 'transparent'
+ */
+export function drawSwissCross(ctx, geometry, foregroundColor, backgroundColor) {
+    const lightColor = getLightColor(backgroundColor);
+
+    for (const part of getSwissCrossParts(geometry)) {
+        ctx.fillStyle = part.dark ? foregroundColor : lightColor;
+        ctx.fillRect(part.x, part.y, part.width, part.height);
+    }
+}
+
+/**
+ * Adds the Swiss cross to an SVG string
+ * Applied after optimization so the optimizers never merge the cross into the modules
+ * @param {string} svgString - SVG string
+ * @param {Object} geometry - Geometry from getSwissCrossGeometry
+ * @param {string} foregroundColor - Dark color
+ * @param {string} backgroundColor - Light color or 'transparent'
+ * @returns {string} - SVG string with the cross
+ */
+export function addSwissCrossToSVG(svgString, geometry, foregroundColor, backgroundColor) {
+    const lightColor = getLightColor(backgroundColor);
+    const round = value => Number(value.toFixed(3));
+
+    const rects = getSwissCrossParts(geometry).map(part =>
+        `<rect x="${round(part.x)}" y="${round(part.y)}" width="${round(part.width)}" height="${round(part.height)}" fill="${part.dark ? foregroundColor : lightColor}"/>`
+    );
+
+    const cross = `<g id="swiss-cross">${rects.join('')}</g>`;
+    const closingIndex = svgString.lastIndexOf('</svg>');
+
+    return svgString.slice(0, closingIndex) + cross + svgString.slice(closingIndex);
+}
@@ -0,0 +1,209 @@
+/**
+ * Symbology Module
+ * Barcode symbologies offered next to QR, their per-symbology validation, and encoding into
+ * the same QRMatrix model QR codes use, so every renderer and SVG optimizer
+ * handles them unchanged. Data Matrix and Aztec come from ZXing's writers and need the library;
+ * Micro QR and rMQR from microQrEncoder.js, PDF417 from pdf417Encoder.js, Code 128 and EAN-13 from linearBarcodes.js
+ */
+import { encodeCode128, encodeEan13, computeGtinCheckDigit } from './linearBarcodes.js';
+import { findUnrepresentable, installZXingEncoder } from './characterSet.js';
+import { normalizeErrorCorrection } from './qrEncoding.js';
+import { BitMatrix } from './qrEncoder.js';
+import { encodeMicroQR, encodeRMQR } from './microQrEncoder.js';
+import { encodePDF417 } from './pdf417Encoder.js';
+import { QRMatrix } from './qrMatrix.js';
+
+/**
+ * Symbology used unless the user picks another one
+ */
+export const DEFAULT_SYMBOLOGY = 'qr';
+
+/**
+ * Border spacing in modules unless the user picks another one
+ */
+export const DEFAULT_MARGIN = 4;
+
+/**
+ * Selectable symbologies
+ * linear symbols are drawn at aspectRatio (height / width) with at least quietZone modules left and right;
+ * errorCorrection, characterSet and versionAndMask tell which customization options apply and errorCorrectionLevels
+ * which levels are accepted; zxing marks symbologies written by the ZXing library, defaultMargin a border spacing
+ * other than DEFAULT_MARGIN
+ */
+export const SYMBOLOGIES = {
+    qr: { label: 'QR Code', linear: false, errorCorrection: true, characterSet: true, versionAndMask: true },
+    microqr: { label: 'Micro QR', linear: false, defaultMargin: 2, errorCorrection: true, errorCorrectionLevels: ['L', 'M', 'Q'], characterSet: false, versionAndMask: false, encodingLabel: 'ISO-8859-1 (Micro QR default)' },
+    rmqr: { label: 'rMQR', linear: false, defaultMargin: 2, errorCorrection: true, characterSet: false, versionAndMask: false, encodingLabel: 'ISO-8859-1 (rMQR default)' },
+    datamatrix: { label: 'Data Matrix', linear: false, zxing: true, errorCorrection: false, characterSet: false, versionAndMask: false, encodingLabel: 'ISO-8859-1 (Data Matrix default)' },
+    aztec: { label: 'Aztec', linear: false, zxing: true, errorCorrection: true, characterSet: false, versionAndMask: false, encodingLabel: 'ISO-8859-1 (Aztec default)' },
+    pdf417: { label: 'PDF417', linear: false, defaultMargin: 2, errorCorrection: true, characterSet: false, versionAndMask: false, encodingLabel: 'ISO-8859-1 (PDF417 default)' },
+    code128: { label: 'Code 128', linear: true, aspectRatio: 0.4, quietZone: 10, errorCorrection: false, characterSet: false, versionAndMask: false, encodingLabel: 'ASCII' },
+    ean13: { label: 'EAN-13', linear: true, aspectRatio: 0.7, quietZone: 11, errorCorrection: false, characterSet: false, versionAndMask: false, encodingLabel: 'Digits' }
+};
+
+// Share of Aztec codewords spent on error correction for each QR level (ZXing's default is 33%)
+const AZTEC_ERROR_CORRECTION = { L: 10, M: 23, Q: 36, H: 50 };
+
+// Longest Code 128 content common handheld scanners accept
+const CODE128_MAX_LENGTH = 80;
+
+/**
+ * Normalizes a user supplied symbology
+ * @param {string} symbology - Requested symbology
+ * @returns {string} - Key of SYMBOLOGIES, falling back to QR
+ */
+export function normalizeSymbology(symbology) {
+    return Object.prototype.hasOwnProperty.call(SYMBOLOGIES, symbology) ? symbology : DEFAULT_SYMBOLOGY;
+}
+
+/**
+ * Border spacing a symbology uses unless the user picks another one
+ * @param {string} symbology - Key of SYMBOLOGIES
+ * @returns {number} - Quiet zone in modules; Micro QR and rMQR need 2 instead of QR's 4
+ */
+export function getDefaultMargin(symbology) {
+    return SYMBOLOGIES[normalizeSymbology(symbology)].defaultMargin || DEFAULT_MARGIN;
+}
+
+/**
+ * Lists unsupported characters for an error message
+ * @private
+ * @param {Array<string>} chars - Unsupported characters
+ * @returns {string} - Quoted list
+ */
+function describeCharacters(chars) {
+    return `${chars.slice(0, 10).map(char => `"${char}"`).join(', ')}${chars.length > 10 ? ' and more' : ''}`;
+}
+
+/**
+ * Checks that a payload can be encoded in a symbology
+ * @param {string} data - Payload
+ * @param {string} symbology - Key of SYMBOLOGIES
+ * @returns {Object} - Validation result
+ */
+export function validateSymbologyData(data, symbology) {
+    const { label } = SYMBOLOGIES[normalizeSymbology(symbology)];
+
+    switch (normalizeSymbology(symbology)) {
+        case 'microqr':
+        case 'rmqr':
+        case 'datamatrix':
+        case 'aztec':
+        case 'pdf417': {
+            const missing = findUnrepresentable(data, 'ISO-8859-1');
+            return missing.length === 0
+                ? { valid: true }
+                : { valid: false, message: `${label} holds ISO-8859-1 (Latin-1) text only; ${describeCharacters(missing)} cannot be encoded. Use a QR code instead.` };
+        }
+        case 'code128': {
+            const missing = [...new Set([...data].filter(char => char.charCodeAt(0) > 0x7F))];
+            if (missing.length > 0) {
+                return { valid: false, message: `Code 128 holds ASCII characters only; ${describeCharacters(missing)} cannot be encoded.` };
+            }
+            if (data.length > CODE128_MAX_LENGTH) {
+                return { valid: false, message: `Code 128 content is limited to ${CODE128_MAX_LENGTH} characters (this payload has ${data.length}). Use Data Matrix or a QR code instead.` };
+            }
+            return { valid: true };
+        }
+        case 'ean13': {
+            if (!/^\d{12,13}$/.test(data)) {
+                return { valid: false, message: 'EAN-13 needs 12 digits, or 13 digits including the check digit, and nothing else.' };
+            }
+            const expected = computeGtinCheckDigit(data.slice(0, 12));
+            if (data.length === 13 && Number(data[12]) !== expected) {
+                return { valid: false, message: `The EAN-13 check digit should be ${expected}, not ${data[12]}. Enter the first 12 digits to have it calculated.` };
+            }
+            return { valid: true };
+        }
+        default:
+            return { valid: true };
+    }
+}
+
+/**
+ * Encodes a payload into its module grid, one cell per module and no quiet zone
+ * @private
+ * @param {string} data - Payload
+ * @param {string} symbology - Key of SYMBOLOGIES other than qr
+ * @param {string} errorCorrection - QR level, mapped to a percentage for Aztec and a level for PDF417
+ * @param {number} maxWidth - Widest symbol in modules the output can draw; PDF417 picks fewer columns to fit it
+ * @returns {Object} - { matrix, kinds } with a BitMatrix and, for Micro QR and rMQR, the module classification
+ */
+function encodeModules(data, symbology, errorCorrection, maxWidth) {
+    switch (symbology) {
+        case 'microqr':
+            return encodeMicroQR(data, { errorCorrection: normalizeErrorCorrection(errorCorrection) });
+        case 'rmqr':
+            return encodeRMQR(data, { errorCorrection: normalizeErrorCorrection(errorCorrection) });
+        case 'pdf417':
+            return encodePDF417(data, { errorCorrection: normalizeErrorCorrection(errorCorrection), maxWidth });
+        case 'datamatrix': {
+            // Rectangular symbols are picked for some lengths otherwise; labels and scanners expect square ones
+            const hints = new Map([[ZXing.EncodeHintType.DATA_MATRIX_SHAPE, ZXing.DataMatrixSymbolShapeHint.FORCE_SQUARE]]);
+            return { matrix: new ZXing.DataMatrixWriter().encode(data, ZXing.BarcodeFormat.DATA_MATRIX, 0, 0, hints), kinds: null };
+        }
+        case 'aztec': {
+            // ZXing encodes every string as UTF-8 unless its custom encoder supplies the Latin-1 bytes Aztec declares
+            installZXingEncoder();
+            const hints = new Map([
+                [ZXing.EncodeHintType.ERROR_CORRECTION, AZTEC_ERROR_CORRECTION[normalizeErrorCorrection(errorCorrection)]],
+                [ZXing.EncodeHintType.CHARACTER_SET, 'ISO-8859-1']
+            ]);
+            return { matrix: new ZXing.AztecCodeWriter().encodeWithHints(data, ZXing.BarcodeFormat.AZTEC, 0, 0, hints), kinds: null };
+        }
+        default: {
+            const bars = symbology === 'ean13' ? encodeEan13(data) : encodeCode128(data);
+            const matrix = new BitMatrix(bars.length, 1);
+            bars.forEach((bar, x) => {
+                if (bar) matrix.set(x, 0);
+            });
+            return { matrix, kinds: null };
+        }
+    }
+}
+
+/**
+ * Encodes a payload into the symbol model with its quiet zone
+ * 2D symbols keep their own proportions, PDF417 with rows three modules high; linear symbols are drawn at the symbology's aspect ratio
+ * @param {string} data - Payload
+ * @param {string} symbology - Key of SYMBOLOGIES other than qr
+ * @param {Object} options - Encoding options
+ * @param {number} options.size - Width in pixels the symbol has to fit
+ * @param {number} options.margin - Quiet zone in modules, raised to the symbology's minimum left and right of linear symbols
+ * @param {string} options.errorCorrection - Error correction level
+ * @returns {QRMatrix} - Symbol model
+ */
+export function encodeSymbol(data, symbology, { size, margin = getDefaultMargin(symbology), errorCorrection } = {}) {
+    const definition = SYMBOLOGIES[normalizeSymbology(symbology)];
+    if (definition.zxing && typeof ZXing === 'undefined') {
+        throw new Error(`${definition.label} needs the ZXing library, which could not be loaded. Check the network connection or use a QR code instead.`);
+    }
+    const levels = definition.errorCorrectionLevels;
+    if (levels && !levels.includes(normalizeErrorCorrection(errorCorrection))) {
+        throw new Error(`${definition.label} offers error correction levels ${levels.slice(0, -1).join(', ')} and ${levels[levels.length - 1]} only. Pick one of them.`);
+    }
+
+    let modules;
+    try {
+        modules = encodeModules(data, symbology, errorCorrection, size - 2 * margin);
+    } catch (error) {
+        // ZXing reports oversized content with a variety of messages
+        throw new Error(`The content does not fit in a ${definition.label} symbol: ${error.message}`);
+    }
+
+    const quietZone = definition.linear ? Math.max(margin, definition.quietZone) : margin;
+    const totalWidth = modules.matrix.getWidth() + 2 * quietZone;
+    if (totalWidth > size) {
+        throw new Error(
+            `This ${definition.label} symbol is ${totalWidth} modules wide including its quiet zone, ` +
+            `more than the ${size}px size can draw. Increase the size or shorten the content.`
+        );
+    }
+
+    return new QRMatrix(modules.matrix, {
+        quietZone,
+        verticalQuietZone: margin,
+        aspectRatio: definition.linear ? definition.aspectRatio : null,
+        kinds: modules.kinds
+    });
+}
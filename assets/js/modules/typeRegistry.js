@@ -0,0 +1,135 @@
+/**
+ * Type Registry
+ * Central list of QR content types. Each type declares its form fields and how to build
+ * and validate its payload; the UI renders buttons and forms from these declarations
+ *
+ * A type definition looks like:
+ * {
+ *     id: 'wifi',                          // unique type id, also used for the form id (wifi-input)
+ *     label: 'WiFi',                       // button text
+ *     icon: 'fas fa-wifi',                 // Font Awesome classes for the button
+ *     fields: [{
+ *         name: 'wifiSsid',                // key in the inputs object, unique across all types
+ *         kind: 'text',                    // text, textarea, url, email, tel, number, password,
+ *                                          // date, datetime-local, select or checkbox
+ *         label: 'Network Name (SSID):',
+ *         required: true,                  // checked before validate() runs
+ *         requiredMessage: 'Please enter a WiFi network name.',
+ *         placeholder: 'WiFi Network Name',
+ *         sample: 'MyWiFiNetwork',         // filled in on double-click
+ *         value: '',                       // initial value
+ *         options: [{ value, label }],     // select options
+ *         attributes: { maxlength: 32 },   // extra element attributes
+ *         datalist: 'id',                  // id of an empty <datalist> to attach
+ *         visibleWhen: inputs => true      // show the field only when this returns true
+ *     }],
+ *     help: 'Short help text under the form',
+ *     byteCount: true,                     // show a live payload byte counter
+ *     encoding: { errorCorrection: 'M' },  // generation options the type forces
+ *                                          // (declareCharacterSet: false keeps the payload's own UTF-8 undeclared,
+ *                                          // symbology: 'qr' for formats defined only as QR codes)
+ *     build: inputs => 'payload',
+ *     validate: inputs => ({ valid: true }),
+ *     finalize: async (payload, inputs) => payload, // optional asynchronous step after build, such as encryption
+ *     finalizesWhen: inputs => true,       // whether finalize changes the payload, for live previews that skip it
+ *     parse: text => ({ wifiSsid: '...' }), // optional reverse of build, null when text is not this type
+ *     parsePriority: 0,                    // parsers with higher priority are tried first when detecting
+ *     mount: container => {}               // optional hook to add extra widgets to the form
+ * }
+ */
+
+const FIELD_KINDS = ['text', 'textarea', 'url', 'email', 'tel', 'number', 'password', 'date', 'datetime-local', 'select', 'checkbox'];
+
+const types = new Map();
+const listeners = new Set();
+
+export class TypeRegistry {
+    /**
+     * Register a QR content type
+     * @param {Object} definition - Type definition
+     * @returns {Object} - Normalized definition
+     */
+    static register(definition) {
+        if (!definition || !/^[a-z][a-z0-9-]*$/.test(definition.id || '')) {
+            throw new Error('Type definitions need an id of lowercase letters, digits and dashes.');
+        }
+        if (types.has(definition.id)) {
+            throw new Error(`QR code type "${definition.id}" is already registered.`);
+        }
+        if (typeof definition.build !== 'function') {
+            throw new Error(`QR code type "${definition.id}" needs a build(inputs) function.`);
+        }
+
+        const usedNames = new Set(this.getAll().flatMap(type => type.fields.map(field => field.name)));
+        const fields = (definition.fields || []).map(field => {
+            const kind = field.kind || 'text';
+            if (!field.name || usedNames.has(field.name)) {
+                throw new Error(`Field "${field.name}" of type "${definition.id}" is missing or already used by another type.`);
+            }
+            if (!FIELD_KINDS.includes(kind)) {
+                throw new Error(`Field "${field.name}" has unknown kind "${kind}".`);
+            }
+            usedNames.add(field.name);
+
+            return { ...field, kind, id: field.id || this.toElementId(field.name) };
+        });
+
+        const normalized = Object.freeze({
+            label: definition.id,
+            icon: 'fas fa-qrcode',
+            encoding: {},
+            ...definition,
+            fields
+        });
+
+        types.set(normalized.id, normalized);
+        listeners.forEach(listener => listener(normalized));
+        return normalized;
+    }
+
+    /**
+     * Get a registered type
+     * @param {string} id - Type id
+     * @returns {Object|undefined} - Type definition
+     */
+    static get(id) {
+        return types.get(id);
+    }
+
+    /**
+     * Get all registered types in registration order
+     * @returns {Array<Object>} - Type definitions
+     */
+    static getAll() {
+        return [...types.values()];
+    }
+
+    /**
+     * Subscribe to types registered from now on
+     * @param {Function} listener - Called with each new definition
+     * @returns {Function} - Unsubscribe function
+     */
+    static onRegister(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Check whether a field is shown for the current inputs
+     * @param {Object} field - Field definition
+     * @param {Object} inputs - Input values
+     * @returns {boolean} - True when visible
+     */
+    static isFieldVisible(field, inputs) {
+        return typeof field.visibleWhen !== 'function' || field.visibleWhen(inputs);
+    }
+
+    /**
+     * Derive a DOM id from a field name (wifiSsid -> wifi-ssid)
+     * @param {string} name - Field name
+     * @returns {string} - Element id
+     */
+    static toElementId(name) {
+        return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    }
+}
@@ -2,6 +2,7 @@
  * UI Controller for QR Code Generator
  */
 import { Utils } from './utils.js';
+import { TypeRegistry } from './typeRegistry.js';
 
 export class UIController {
     constructor() {
@@ -15,44 +16,76 @@ export class UIController {
      * Initialize DOM elements
      */
     initializeElements() {
-        // Type selector buttons
-        this.typeButtons = document.querySelectorAll('.type-btn');
-        
-        // Input containers
-        this.inputContainers = {
-            url: document.getElementById('url-input'),
-            text: document.getElementById('text-input'),
-            email: document.getElementById('email-input'),
-            phone: document.getElementById('phone-input'),
-            sms: document.getElementById('sms-input'),
-            wifi: document.getElementById('wifi-input'),
-            vcard: document.getElementById('vcard-input'),
-            social: document.getElementById('social-input')
+        // Type buttons and input forms are rendered from the type registry
+        this.typeSelector = document.querySelector('.type-selector');
+        this.typeForms = document.getElementById('type-forms');
+        this.typeButtons = [];
+        this.inputContainers = {};
+        this.inputs = {};
+        this.fieldWrappers = {};
+        this.byteCounters = {};
+
+        TypeRegistry.getAll().forEach(definition => this.renderType(definition));
+        TypeRegistry.onRegister(definition => this.renderType(definition));
+        this.switchType(this.currentType);
+
+        // Smart paste of existing payloads
+        this.smartPaste = {
+            input: document.getElementById('smart-paste'),
+            button: document.getElementById('smart-paste-btn'),
+            result: document.getElementById('smart-paste-result')
+        };
+
+        // EMVCo payload inspector
+        this.emvcoInspector = {
+            input: document.getElementById('emvco-inspect'),
+            button: document.getElementById('emvco-inspect-btn'),
+            result: document.getElementById('emvco-inspect-result')
+        };
+
+        // One-time password secret generator and live code preview
+        this.otpControls = {
+            generate: document.getElementById('otp-generate-btn'),
+            preview: document.getElementById('otp-preview')
+        };
+
+        // GS1 Digital Link compress/uncompress converter
+        this.gs1Converter = {
+            input: document.getElementById('gs1-convert'),
+            button: document.getElementById('gs1-convert-btn'),
+            result: document.getElementById('gs1-convert-result')
+        };
+
+        // Payload signing options and key management
+        this.signing = {
+            algorithm: document.getElementById('signature-algorithm'),
+            keys: document.getElementById('signing-keys'),
+            key: document.getElementById('signing-key'),
+            format: document.getElementById('key-format'),
+            generate: document.getElementById('generate-key-btn'),
+            verificationKey: document.getElementById('verification-key')
+        };
+
+        // Offline signature verifier
+        this.verifier = {
+            payload: document.getElementById('verify-payload'),
+            image: document.getElementById('verify-image'),
+            key: document.getElementById('verify-key'),
+            button: document.getElementById('verify-btn'),
+            result: document.getElementById('verify-result')
         };
 
-        // Input elements
-        this.inputs = {
-            url: document.getElementById('url'),
-            text: document.getElementById('text'),
-            email: document.getElementById('email'),
-            emailSubject: document.getElementById('email-subject'),
-            emailBody: document.getElementById('email-body'),
-            phone: document.getElementById('phone'),
-            smsNumber: document.getElementById('sms-number'),
-            smsMessage: document.getElementById('sms-message'),
-            wifiSsid: document.getElementById('wifi-ssid'),
-            wifiPassword: document.getElementById('wifi-password'),
-            wifiSecurity: document.getElementById('wifi-security'),
-            wifiHidden: document.getElementById('wifi-hidden'),
-            vcardName: document.getElementById('vcard-name'),
-            vcardOrg: document.getElementById('vcard-org'),
-            vcardPhone: document.getElementById('vcard-phone'),
-            vcardEmail: document.getElementById('vcard-email'),
-            vcardUrl: document.getElementById('vcard-url'),
-            socialPlatform: document.getElementById('social-platform'),
-            socialUsername: document.getElementById('social-username')
+        // Decryption of passphrase-protected text
+        this.decryptor = {
+            payload: document.getElementById('decrypt-payload'),
+            passphrase: document.getElementById('decrypt-passphrase'),
+            button: document.getElementById('decrypt-btn'),
+            result: document.getElementById('decrypt-result')
         };
 
+        // Live symbol inspector
+        this.inspector = document.getElementById('symbol-inspector');
+
         // Customization elements
         this.customization = {
             size: document.getElementById('size'),
@@ -61,17 +94,32 @@ export class UIController {
             backgroundColor: document.getElementById('background-color'),
             transparentBg: document.getElementById('transparent-bg'),
             margin: document.getElementById('margin'),
-            marginValue: document.getElementById('margin-value')
+            marginValue: document.getElementById('margin-value'),
+            errorCorrection: document.getElementById('error-correction'),
+            characterSet: document.getElementById('character-set'),
+            symbology: document.getElementById('symbology'),
+            versionMode: document.getElementById('version-mode'),
+            version: document.getElementById('qr-version'),
+            maskPattern: document.getElementById('mask-pattern'),
+            segmentation: document.getElementById('segmentation')
         };
 
         // Control elements
         this.generateBtn = document.getElementById('generate-btn');
         this.downloadPngBtn = document.getElementById('download-png-btn');
         this.downloadSvgBtn = document.getElementById('download-svg-btn');
+        this.downloadPhysicalBtn = document.getElementById('download-physical-btn');
+        this.physicalSize = document.getElementById('physical-size');
         this.qrDisplay = document.getElementById('qr-code-display');
         this.downloadSection = document.getElementById('download-section');
         this.qrData = document.getElementById('qr-data');
         this.qrSize = document.getElementById('qr-size');
+        this.qrSymbology = document.getElementById('qr-symbology');
+        this.qrVersionInfo = document.getElementById('qr-version-info');
+        this.qrVersionText = document.getElementById('qr-version-text');
+        this.qrEncoding = document.getElementById('qr-encoding');
+        this.qrEncodingWarning = document.getElementById('qr-encoding-warning');
+
     }
 
     /**
@@ -79,18 +127,25 @@ export class UIController {
      */
     bindEvents() {
         // Type selector events
-        this.typeButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.switchType(e.target.dataset.type);
-            });
+        this.typeSelector.addEventListener('click', (e) => {
+            const button = e.target.closest('.type-btn');
+            if (button) {
+                this.switchType(button.dataset.type);
+            }
         });
 
         // Size control events
         this.setupSizeControls();
 
-        // Margin control events
+        // Margin control events; once moved, the margin no longer follows the symbology's default
         this.customization.margin.addEventListener('input', (e) => {
             this.customization.marginValue.textContent = e.target.value;
+            this.marginEdited = true;
+        });
+
+        // The version number only applies once a version is pinned
+        this.customization.versionMode.addEventListener('change', (e) => {
+            this.customization.version.disabled = e.target.value === 'auto';
         });
 
         // Transparent background toggle
@@ -98,13 +153,9 @@ export class UIController {
             this.toggleBackgroundColor(e.target.checked);
         });
 
-        // Auto-clear errors on input
-        Object.values(this.inputs).forEach(input => {
-            if (input) {
-                input.addEventListener('input', () => {
-                    this.clearErrors();
-                });
-            }
+        // Key fields are only relevant while signing
+        this.signing.algorithm.addEventListener('change', (e) => {
+            this.signing.keys.classList.toggle('hidden', e.target.value === 'none');
         });
 
         // Keyboard shortcuts
@@ -115,8 +166,8 @@ export class UIController {
             }
         });
 
-        // Sample data on double-click
-        this.setupSampleData();
+        // Time zone suggestions for events
+        this.populateTimeZones();
 
         // Tooltips
         this.setupTooltips();
@@ -144,6 +195,122 @@ export class UIController {
         });
     }
 
+    /**
+     * Render the type button and input form of a registered type
+     * @param {Object} definition - Type definition from the registry
+     */
+    renderType(definition) {
+        const button = document.createElement('button');
+        button.className = 'type-btn';
+        button.dataset.type = definition.id;
+        button.innerHTML = `<i class="${definition.icon}"></i>`;
+        button.append(` ${definition.label}`);
+        this.typeSelector.appendChild(button);
+        this.typeButtons.push(button);
+
+        const container = document.createElement('div');
+        container.className = 'input-group hidden';
+        container.id = `${definition.id}-input`;
+        definition.fields.forEach(field => container.appendChild(this.renderField(field)));
+
+        if (definition.byteCount) {
+            const counter = document.createElement('small');
+            counter.className = 'help-text';
+            counter.innerHTML = `Payload size: <span id="${definition.id}-byte-count">0</span> bytes`;
+            container.appendChild(counter);
+            this.byteCounters[definition.id] = counter.querySelector('span');
+        }
+
+        if (definition.help) {
+            const help = document.createElement('small');
+            help.className = 'help-text';
+            help.textContent = definition.help;
+            container.appendChild(help);
+        }
+
+        this.typeForms.appendChild(container);
+        this.inputContainers[definition.id] = container;
+
+        if (typeof definition.mount === 'function') {
+            definition.mount(container);
+        }
+
+        // Auto-clear errors and re-evaluate conditional fields on input
+        const refresh = () => {
+            this.clearErrors();
+            this.updateFieldVisibility(definition);
+        };
+        container.addEventListener('input', refresh);
+        container.addEventListener('change', refresh);
+        this.updateFieldVisibility(definition);
+    }
+
+    /**
+     * Create the label and control for one field
+     * @param {Object} field - Field definition
+     * @returns {HTMLElement} - Field wrapper
+     */
+    renderField(field) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-field';
+
+        let control;
+        if (field.kind === 'textarea' || field.kind === 'select') {
+            control = document.createElement(field.kind);
+        } else {
+            control = document.createElement('input');
+            control.type = field.kind;
+        }
+        control.id = field.id;
+
+        (field.options || []).forEach(option => {
+            control.appendChild(new Option(option.label, option.value));
+        });
+        if (field.placeholder) control.placeholder = field.placeholder;
+        Object.entries(field.attributes || {}).forEach(([name, value]) => control.setAttribute(name, value));
+        if (field.value !== undefined) control.value = field.value;
+
+        const label = document.createElement('label');
+        if (field.kind === 'checkbox') {
+            label.append(control, ` ${field.label}`);
+            wrapper.appendChild(label);
+        } else {
+            label.htmlFor = field.id;
+            label.textContent = field.label;
+            wrapper.append(label, control);
+        }
+
+        if (field.datalist) {
+            control.setAttribute('list', field.datalist);
+            const datalist = document.createElement('datalist');
+            datalist.id = field.datalist;
+            wrapper.appendChild(datalist);
+        }
+
+        // Sample data on double-click
+        if (field.sample !== undefined) {
+            control.addEventListener('dblclick', () => {
+                control.value = field.sample;
+                control.dispatchEvent(new Event('input', { bubbles: true }));
+            });
+        }
+
+        this.inputs[field.name] = control;
+        this.fieldWrappers[field.name] = wrapper;
+        return wrapper;
+    }
+
+    /**
+     * Show only the fields of a type whose visibleWhen condition holds
+     * @param {Object} definition - Type definition from the registry
+     */
+    updateFieldVisibility(definition) {
+        const inputs = this.getInputValues();
+        definition.fields.forEach(field => {
+            this.fieldWrappers[field.name].classList.toggle('hidden', !TypeRegistry.isFieldVisible(field, inputs));
+        });
+    }
+
     /**
      * Switch QR code type
      * @param {string} type - QR code type
@@ -172,6 +339,31 @@ export class UIController {
         this.clearErrors();
     }
 
+    /**
+     * Switch to a type and fill its form, resetting fields that have no value to their defaults
+     * @param {string} type - QR code type
+     * @param {Object} values - Input values keyed by field name
+     */
+    fillInputs(type, values) {
+        const definition = TypeRegistry.get(type);
+        if (!definition) return;
+
+        this.switchType(type);
+        definition.fields.forEach(field => {
+            const input = this.inputs[field.name];
+            if (field.kind === 'checkbox') {
+                input.checked = Boolean(values[field.name]);
+            } else {
+                input.value = values[field.name] ?? field.value ?? (field.options ? field.options[0].value : '');
+            }
+        });
+
+        // Let visibility rules, byte counters and previews catch up
+        const container = this.inputContainers[type];
+        container.dispatchEvent(new Event('input'));
+        container.dispatchEvent(new Event('change'));
+    }
+
     /**
      * Toggle background color input based on transparent checkbox
      * @param {boolean} isTransparent - Whether transparent is checked
@@ -192,6 +384,58 @@ export class UIController {
         this.customization.marginValue.textContent = this.customization.margin.value;
     }
 
+    /**
+     * Lock a customization selector to the value the current type requires, or release it
+     * The user's own choice is kept on the element and restored on release
+     * @param {HTMLSelectElement} select - Selector to lock
+     * @param {string|null} value - Required value, or null to unlock
+     */
+    lockSelect(select, value) {
+        if (value) {
+            if (!select.disabled) {
+                select.dataset.userValue = select.value;
+            }
+            select.value = value;
+            select.disabled = true;
+        } else if (select.disabled) {
+            select.value = select.dataset.userValue || select.value;
+            select.disabled = false;
+        }
+    }
+
+    /**
+     * Hide the error correction, version and character set options when the symbology has no use for them
+     * @param {Object} symbology - Entry of SYMBOLOGIES
+     */
+    showSymbologyOptions(symbology) {
+        this.customization.errorCorrection.closest('.customization-category').classList.toggle('hidden', !symbology.errorCorrection);
+        this.customization.versionMode.closest('.customization-category').classList.toggle('hidden', !symbology.versionAndMask);
+        this.customization.characterSet.closest('.customization-category').classList.toggle('hidden', !symbology.characterSet);
+    }
+
+    /**
+     * Move the border spacing to a symbology's default unless the user has set it
+     * @param {number} margin - Default quiet zone in modules
+     */
+    applyDefaultMargin(margin) {
+        if (this.marginEdited) return;
+        this.customization.margin.value = margin;
+        this.customization.marginValue.textContent = margin;
+    }
+
+    /**
+     * Show or hide the physical size download button
+     * @param {number|null} sizeMm - Required symbol size in millimeters, or null to hide
+     */
+    togglePhysicalDownload(sizeMm) {
+        if (!this.downloadPhysicalBtn) return;
+
+        this.downloadPhysicalBtn.classList.toggle('hidden', !sizeMm);
+        if (sizeMm) {
+            this.physicalSize.textContent = sizeMm;
+        }
+    }
+
     /**
      * Get current input values
      * @returns {Object} - Current input values
@@ -216,7 +460,14 @@ export class UIController {
             foregroundColor: this.customization.foregroundColor.value,
             backgroundColor: this.customization.backgroundColor.value,
             transparent: this.customization.transparentBg.checked,
-            margin: parseInt(this.customization.margin.value)
+            margin: parseInt(this.customization.margin.value),
+            errorCorrection: this.customization.errorCorrection.value,
+            characterSet: this.customization.characterSet.value,
+            symbology: this.customization.symbology.value,
+            versionMode: this.customization.versionMode.value,
+            version: parseInt(this.customization.version.value),
+            maskPattern: this.customization.maskPattern.value,
+            segmentation: this.customization.segmentation.value
         };
     }
 
@@ -233,14 +484,274 @@ export class UIController {
     /**
      * Update QR code info display
      * @param {string} data - QR code data
-     * @param {number} size - QR code size
+     * @param {string} symbology - Symbology label
+     * @param {number} width - Image width
+     * @param {number} height - Image height
      */
-    updateQRInfo(data, size) {
+    updateQRInfo(data, symbology, width, height) {
         this.qrData.textContent = Utils.truncateText(data, 50);
-        this.qrSize.textContent = `${size} × ${size}px (Square)`;
+        this.qrSymbology.textContent = symbology;
+        this.qrSize.textContent = `${width} × ${height}px${width === height ? ' (Square)' : ''}`;
         this.downloadSection.classList.remove('hidden');
     }
 
+    /**
+     * Show the QR version and mask pattern the code was encoded with
+     * @param {string|null} description - Version and mask description, or null to hide the line
+     */
+    updateVersionInfo(description) {
+        this.qrVersionText.textContent = description || '';
+        this.qrVersionInfo.classList.toggle('hidden', !description);
+    }
+
+    /**
+     * Show the character set the QR code was encoded with
+     * @param {string} description - Character set description
+     * @param {string|null} warning - Warning about lost characters, or null
+     */
+    updateEncodingInfo(description, warning) {
+        this.qrEncoding.textContent = description;
+        this.qrEncodingWarning.textContent = warning || '';
+        this.qrEncodingWarning.classList.toggle('hidden', !warning);
+    }
+
+    /**
+     * Show how the payload fits its symbol in the symbol inspector
+     * @param {Object} report - Inspector report
+     * @param {boolean} [report.valid] - False when the payload cannot be encoded, omitted while there is nothing to inspect
+     * @param {string} [report.message] - Status or error message
+     * @param {string} [report.note] - Remark about what the report leaves out
+     * @param {Object} [report.meter] - { used, capacity } data bits for the capacity meter
+     * @param {Array<Array<string>>} [report.rows] - Label and value pairs
+     * @param {string} [report.payload] - Payload, shown in full with control characters escaped
+     * @param {number} [report.byteLength] - Encoded payload size in bytes
+     * @param {string} [report.encoding] - Character set the byte length is counted in
+     */
+    showInspection(report) {
+        const container = this.inspector;
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.classList.remove('valid', 'invalid');
+        if (report.valid !== undefined) {
+            container.classList.add(report.valid ? 'valid' : 'invalid');
+        }
+
+        const addParagraph = (text, className = null) => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            if (className) paragraph.classList.add(className);
+            container.appendChild(paragraph);
+        };
+
+        if (report.message) {
+            addParagraph(report.message);
+        }
+        if (report.note) {
+            addParagraph(report.note, 'inspector-note');
+        }
+
+        if (report.meter) {
+            const { used, capacity } = report.meter;
+            const share = Math.min(used / capacity, 1);
+            const meter = document.createElement('div');
+            meter.className = 'capacity-meter';
+            const fill = document.createElement('div');
+            fill.className = 'capacity-fill';
+            fill.classList.toggle('nearly-full', share >= 0.9);
+            fill.style.width = `${(share * 100).toFixed(1)}%`;
+            meter.appendChild(fill);
+            container.appendChild(meter);
+            addParagraph(`${used} of ${capacity} data bits used (${Math.round(share * 100)}%)`);
+        }
+
+        if (report.rows && report.rows.length > 0) {
+            const list = document.createElement('ul');
+            report.rows.forEach(([label, value]) => {
+                const item = document.createElement('li');
+                const name = document.createElement('strong');
+                name.textContent = `${label}:`;
+                item.appendChild(name);
+                item.appendChild(document.createTextNode(` ${value}`));
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+
+        if (report.payload !== undefined) {
+            addParagraph(`Payload (${report.byteLength} bytes, ${report.encoding}):`);
+            const payload = document.createElement('pre');
+            payload.textContent = Utils.escapeControlCharacters(report.payload);
+            container.appendChild(payload);
+        }
+    }
+
+    /**
+     * Update the live payload byte counter for a type
+     * @param {string} type - QR code type
+     * @param {number} bytes - Payload size in bytes
+     */
+    updateByteCount(type, bytes) {
+        const counter = this.byteCounters[type];
+        if (counter) {
+            counter.textContent = bytes;
+        }
+    }
+
+    /**
+     * Show decoded EMVCo fields
+     * @param {Object} result - Result from DataProcessor.parseEmvco
+     */
+    showEmvcoResult(result) {
+        const container = this.emvcoInspector.result;
+        container.innerHTML = '';
+        container.classList.remove('hidden', 'valid', 'invalid');
+        container.classList.add(result.valid ? 'valid' : 'invalid');
+
+        const status = document.createElement('p');
+        status.textContent = result.message;
+        container.appendChild(status);
+
+        const renderFields = fields => {
+            const list = document.createElement('ul');
+            fields.forEach(field => {
+                const item = document.createElement('li');
+                const id = document.createElement('code');
+                id.textContent = field.id;
+                item.appendChild(id);
+                item.appendChild(document.createTextNode(` ${field.name}: ${field.children ? '' : field.value}`));
+                if (field.children) {
+                    item.appendChild(renderFields(field.children));
+                }
+                list.appendChild(item);
+            });
+            return list;
+        };
+
+        if (result.fields.length > 0) {
+            container.appendChild(renderFields(result.fields));
+        }
+    }
+
+    /**
+     * Show what smart paste detected
+     * @param {Object} result - { valid, message }, valid is false when the payload fell back to text
+     */
+    showImportResult(result) {
+        const container = this.smartPaste.result;
+        container.textContent = result.message;
+        container.classList.remove('hidden', 'valid', 'invalid');
+        container.classList.add(result.valid ? 'valid' : 'invalid');
+    }
+
+    /**
+     * Get current payload signing options
+     * @returns {Object} - { algorithm, key, format } with algorithm 'none' when signing is off
+     */
+    getSigningOptions() {
+        return {
+            algorithm: this.signing.algorithm.value,
+            key: this.signing.key.value,
+            format: this.signing.format.value
+        };
+    }
+
+    /**
+     * Show a signing key and the key verifiers need
+     * @param {string|null} signingKey - New signing key, or null to keep the current one
+     * @param {string} verificationKey - Public key or HMAC secret, empty when unknown
+     */
+    showSigningKeys(signingKey, verificationKey) {
+        if (signingKey !== null) {
+            this.signing.key.value = signingKey;
+        }
+        this.signing.verificationKey.value = verificationKey;
+    }
+
+    /**
+     * Show the outcome of a signature check
+     * @param {Object} result - Result from verifyEnvelope
+     */
+    showVerifyResult(result) {
+        const container = this.verifier.result;
+        container.innerHTML = '';
+        container.classList.remove('hidden', 'valid', 'invalid');
+        container.classList.add(result.valid ? 'valid' : 'invalid');
+
+        const status = document.createElement('p');
+        status.textContent = result.message;
+        container.appendChild(status);
+
+        if (result.payload !== undefined) {
+            const payload = document.createElement('code');
+            payload.textContent = result.payload;
+            container.appendChild(payload);
+        }
+    }
+
+    /**
+     * Show decrypted text or why decryption failed
+     * @param {Object} result - Result from decryptText
+     */
+    showDecryptResult(result) {
+        const container = this.decryptor.result;
+        container.innerHTML = '';
+        container.classList.remove('hidden', 'valid', 'invalid');
+        container.classList.add(result.valid ? 'valid' : 'invalid');
+
+        const status = document.createElement('p');
+        status.textContent = result.message;
+        container.appendChild(status);
+
+        if (result.text !== undefined) {
+            const text = document.createElement('pre');
+            text.textContent = result.text;
+            container.appendChild(text);
+        }
+    }
+
+    /**
+     * Show the result of a Digital Link conversion
+     * @param {Object} result - Result from DataProcessor.convertDigitalLink
+     */
+    showDigitalLinkConversion(result) {
+        const container = this.gs1Converter.result;
+        container.innerHTML = '';
+        container.classList.remove('hidden', 'valid', 'invalid');
+        container.classList.add(result.valid ? 'valid' : 'invalid');
+
+        const status = document.createElement('p');
+        status.textContent = result.message;
+        container.appendChild(status);
+
+        if (result.uri) {
+            const uri = document.createElement('code');
+            uri.textContent = result.uri;
+            container.appendChild(uri);
+        }
+    }
+
+    /**
+     * Show the current one-time code so it can be compared with an authenticator app
+     * @param {string|null} code - Current code, or null to hide the preview
+     * @param {string} detail - Counter or expiry description
+     */
+    showOtpPreview(code, detail = '') {
+        const preview = this.otpControls.preview;
+        if (!preview) return;
+
+        if (!code) {
+            preview.classList.add('hidden');
+            return;
+        }
+
+        // Group digits like authenticator apps do (123 456)
+        const middle = Math.ceil(code.length / 2);
+        preview.textContent = `Current code: ${code.slice(0, middle)} ${code.slice(middle)} (${detail})`;
+        preview.classList.remove('hidden', 'invalid');
+        preview.classList.add('valid');
+    }
+
     /**
      * Show loading state
      */
@@ -292,29 +803,16 @@ export class UIController {
     }
 
     /**
-     * Setup sample data for testing
+     * Populate time zone suggestions for the event form
      */
-    setupSampleData() {
-        const sampleData = {
-            url: 'https://github.com',
-            text: 'Hello, World! This is a sample QR code.',
-            email: 'example@email.com',
-            phone: '+1234567890',
-            'wifi-ssid': 'MyWiFiNetwork',
-            'vcard-name': 'John Doe',
-            'vcard-org': 'Example Company',
-            'social-username': 'johndoe'
-        };
+    populateTimeZones() {
+        const datalist = document.getElementById('event-timezones');
+        if (!datalist || typeof Intl.supportedValuesOf !== 'function') {
+            return;
+        }
 
-        Object.entries(sampleData).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.addEventListener('dblclick', () => {
-                    element.value = value;
-                    element.dispatchEvent(new Event('input'));
-                });
-            }
-        });
+        const zones = [...new Set(['UTC', ...Intl.supportedValuesOf('timeZone')])];
+        datalist.innerHTML = zones.map(zone => `<option value="${zone}"></option>`).join('');
     }
 
     /**
@@ -322,9 +820,15 @@ export class UIController {
      */
     setupTooltips() {
         const tooltips = {
-            'margin': 'White space around the QR code (in modules)',
+            'margin': 'White space around the code (in modules); Micro QR, rMQR and PDF417 start at 2',
             'transparent-bg': 'Make background transparent (useful for overlaying on images)',
-            'size-input': 'QR code dimensions (always square)'
+            'size-input': 'Image width; 2D codes are square, linear barcodes are wider than tall',
+            'error-correction': 'How much of the code can be damaged and still scan',
+            'character-set': 'Character set used for the encoded text',
+            'symbology': 'Barcode format to generate',
+            'qr-version': 'QR version 1 (21 × 21 modules) to 40 (177 × 177 modules)',
+            'mask-pattern': 'Pattern XORed over the data modules; auto picks the one with the fewest scanning problems',
+            'segmentation': 'Split the content into numeric, alphanumeric, byte and Kanji segments when that gives a smaller code'
         };
 
         Object.entries(tooltips).forEach(([id, text]) => {
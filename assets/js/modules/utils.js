@@ -32,12 +32,120 @@ export class Utils {
      * @returns {string} - URL with protocol
      */
     static ensureProtocol(url) {
-        if (url && !url.startsWith('http://') && !url.startsWith('https://')) {
+        if (url && !/^https?:\/\//i.test(url)) {
             return 'https://' + url;
         }
         return url;
     }
 
+    /**
+     * Computes an ISO 7064 mod 97-10 remainder, mapping letters A-Z to 10-35
+     * @param {string} value - Uppercase alphanumeric string
+     * @returns {number} - Remainder modulo 97
+     */
+    static mod97(value) {
+        let remainder = 0;
+        for (const char of value) {
+            const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+            for (const digit of digits) {
+                remainder = (remainder * 10 + parseInt(digit)) % 97;
+            }
+        }
+        return remainder;
+    }
+
+    /**
+     * Normalizes an IBAN or reference by removing spaces and uppercasing
+     * @param {string} value - Raw value
+     * @returns {string} - Normalized value
+     */
+    static normalizeAccountString(value) {
+        return (value || '').replace(/\s+/g, '').toUpperCase();
+    }
+
+    /**
+     * Validates an IBAN including its mod 97 checksum
+     * @param {string} iban - IBAN to validate
+     * @returns {boolean} - True if valid IBAN
+     */
+    static isValidIban(iban) {
+        const normalized = this.normalizeAccountString(iban);
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(normalized)) {
+            return false;
+        }
+        return this.mod97(normalized.slice(4) + normalized.slice(0, 4)) === 1;
+    }
+
+    /**
+     * Validates an ISO 11649 structured creditor reference (RF...)
+     * @param {string} reference - Reference to validate
+     * @returns {boolean} - True if valid reference
+     */
+    static isValidCreditorReference(reference) {
+        const normalized = this.normalizeAccountString(reference);
+        if (!/^RF\d{2}[A-Z0-9]{1,21}$/.test(normalized)) {
+            return false;
+        }
+        return this.mod97(normalized.slice(4) + normalized.slice(0, 4)) === 1;
+    }
+
+    /**
+     * Checks whether an IBAN is a Swiss QR-IBAN (institution ID 30000-31999)
+     * @param {string} iban - IBAN to check
+     * @returns {boolean} - True if QR-IBAN
+     */
+    static isQrIban(iban) {
+        const normalized = this.normalizeAccountString(iban);
+        const institutionId = parseInt(normalized.slice(4, 9));
+        return /^(CH|LI)/.test(normalized) && institutionId >= 30000 && institutionId <= 31999;
+    }
+
+    /**
+     * Validates a Swiss QR reference (27 digits, mod 10 recursive check digit)
+     * @param {string} reference - Reference to validate
+     * @returns {boolean} - True if valid QR reference
+     */
+    static isValidQrReference(reference) {
+        const normalized = this.normalizeAccountString(reference);
+        if (!/^\d{27}$/.test(normalized)) {
+            return false;
+        }
+
+        const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+        let carry = 0;
+        for (const digit of normalized.slice(0, 26)) {
+            carry = table[(carry + parseInt(digit)) % 10];
+        }
+
+        return (10 - carry) % 10 === parseInt(normalized[26]);
+    }
+
+    /**
+     * Validates a BIC (SWIFT code)
+     * @param {string} bic - BIC to validate
+     * @returns {boolean} - True if valid BIC
+     */
+    static isValidBic(bic) {
+        return /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(this.normalizeAccountString(bic));
+    }
+
+    /**
+     * Computes a CRC-16/CCITT-FALSE checksum (polynomial 0x1021, initial value 0xFFFF)
+     * @param {string} text - Text to checksum (UTF-8 encoded)
+     * @returns {string} - Four uppercase hex digits
+     */
+    static crc16Ccitt(text) {
+        let crc = 0xFFFF;
+        for (const byte of new TextEncoder().encode(text)) {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+                crc &= 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
     /**
      * Rounds value to nearest multiple
      * @param {number} value - Value to round
@@ -67,6 +175,73 @@ export class Utils {
         return Date.now().toString();
     }
 
+    /**
+     * Escapes a TEXT property value for iCalendar (RFC 5545) and vCard (RFC 6350)
+     * @param {string} text - Raw value
+     * @returns {string} - Escaped value
+     */
+    static escapeTextValue(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Makes control and invisible characters in a payload readable, such as \n, \x1D or \u200B
+     * @param {string} text - Raw payload
+     * @returns {string} - Payload with a backslash escape for each such character
+     */
+    static escapeControlCharacters(text) {
+        const named = { '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+        return String(text).replace(/[\\\x00-\x1F\x7F-\xA0\xAD\u200B-\u200F\u2028\u2029\u2060\uFEFF]/g, char => {
+            if (named[char]) return named[char];
+            const code = char.charCodeAt(0).toString(16).toUpperCase();
+            return code.length <= 2 ? `\\x${code.padStart(2, '0')}` : `\\u${code.padStart(4, '0')}`;
+        });
+    }
+
+    /**
+     * Folds a content line at 75 octets without splitting UTF-8 characters
+     * @param {string} line - Unfolded content line
+     * @param {number} limit - Maximum octets per physical line
+     * @returns {string} - Folded line joined with CRLF + space
+     */
+    static foldLine(line, limit = 75) {
+        const encoder = new TextEncoder();
+        const lines = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            // Continuation lines lose one octet to the leading space
+            const max = lines.length === 0 ? limit : limit - 1;
+
+            if (currentBytes + charBytes > max) {
+                lines.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+
+            current += char;
+            currentBytes += charBytes;
+        }
+
+        lines.push(current);
+        return lines.join('\r\n ');
+    }
+
+    /**
+     * Counts UTF-8 bytes of a string
+     * @param {string} text - Text to measure
+     * @returns {number} - Byte length
+     */
+    static getByteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
     /**
      * Truncates text to specified length
      * @param {string} text - Text to truncate
@@ -76,4 +251,20 @@ export class Utils {
     static truncateText(text, length) {
         return text.length > length ? text.substring(0, length) + '...' : text;
     }
+
+    /**
+     * Delays a function until calls to it have stopped for a while
+     * @param {Function} callback - Function to run
+     * @param {number} delay - Quiet time in milliseconds
+     * @returns {Function} - Debounced function, with cancel() to drop a pending call
+     */
+    static debounce(callback, delay) {
+        let timer = null;
+        const debounced = (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => callback(...args), delay);
+        };
+        debounced.cancel = () => clearTimeout(timer);
+        return debounced;
+    }
 }
\ No newline at end of file
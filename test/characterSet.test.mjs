@@ -0,0 +1,47 @@
+/**
+ * Character set tests
+ * ZXing's string encoding is routed through the byte encoders for the character sets the app declares;
+ * every other character set ZXing asks for has to keep ZXing's own bytes
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as ZXingLibrary from '@zxing/library';
+
+// The app loads ZXing as a global from the CDN
+globalThis.ZXing = ZXingLibrary;
+
+const { normalizeCharacterSet, encodeText, installZXingEncoder } = await import('../assets/js/modules/characterSet.js');
+
+describe('character sets', () => {
+    it('recognizes the spellings ZXing uses', () => {
+        assert.equal(normalizeCharacterSet('UTF8'), 'UTF-8');
+        assert.equal(normalizeCharacterSet('ISO8859_1'), 'ISO-8859-1');
+        assert.equal(normalizeCharacterSet('SJIS'), 'Shift_JIS');
+        assert.equal(normalizeCharacterSet('Cp437'), null);
+    });
+
+    it('rejects character sets it has no encoder for', () => {
+        assert.throws(() => encodeText('abc', 'Cp437'), /unsupported character set "Cp437"/i);
+    });
+
+    it('supplies ZXing with bytes in the declared character set', () => {
+        installZXingEncoder();
+        assert.deepEqual([...ZXing.ZXingStringEncoding.encode('é', 'ISO-8859-1')], [0xE9]);
+        assert.deepEqual([...ZXing.ZXingStringEncoding.encode('漢', 'SJIS')], [0x8A, 0xBF]);
+        assert.deepEqual([...ZXing.ZXingStringEncoding.encode('é', 'UTF-8')], [0xC3, 0xA9]);
+    });
+
+    it('leaves other character sets to ZXing', () => {
+        installZXingEncoder();
+        const hook = ZXing.ZXingStringEncoding.customEncoder;
+        const withHook = ZXing.ZXingStringEncoding.encode('Ω é', 'Cp437');
+        assert.equal(ZXing.ZXingStringEncoding.customEncoder, hook);
+
+        ZXing.ZXingStringEncoding.customEncoder = undefined;
+        try {
+            assert.deepEqual([...withHook], [...ZXing.ZXingStringEncoding.encode('Ω é', 'Cp437')]);
+        } finally {
+            ZXing.ZXingStringEncoding.customEncoder = hook;
+        }
+    });
+});
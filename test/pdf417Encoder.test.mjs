@@ -0,0 +1,96 @@
+/**
+ * PDF417 encoder tests
+ * ZXing-js has no PDF417 writer to compare against, so every symbol is read back with its PDF417 reader,
+ * including after damage its error correction has to repair
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as ZXing from '@zxing/library';
+
+// Outside a browser ZXing-js decodes ISO-8859-1 through decodeURIComponent, which fails on bytes above 0x7F
+ZXing.ZXingStringEncoding.customDecoder = (bytes, encodingName) => new TextDecoder(encodingName).decode(bytes);
+
+const { encodePDF417, encodePDF417Codewords, computePDF417ErrorCorrection } = await import('../assets/js/modules/pdf417Encoder.js');
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Text, numeric and byte compaction and the switches between them
+const PAYLOADS = [
+    'A',
+    'hello world',
+    'Hello, World!',
+    'Order #4711: 3x widget @ $19.99 (incl. VAT) {ok} [x] ~y~ "q" |p| <a>; ok?',
+    'line one\nline two\ttabbed\r\n',
+    '01234567890123456789',
+    'Invoice 1234567890123456 due',
+    'café crème',
+    'Grüße aus Köln',
+    'ÿþ\u0001\u0002\u0003\u0004',
+    '9'.repeat(500),
+    'x'.repeat(800)
+];
+
+/**
+ * Decodes a module grid with ZXing's PDF417 reader
+ * @param {Object} matrix - BitMatrix from the encoder
+ * @returns {string} - Decoded text
+ */
+function decode(matrix) {
+    const quietZone = 2;
+    const scale = 2;
+    const width = (matrix.getWidth() + 2 * quietZone) * scale;
+    const height = (matrix.getHeight() + 2 * quietZone) * scale;
+    const luminances = new Uint8ClampedArray(width * height).fill(255);
+    for (let y = 0; y < matrix.getHeight() * scale; y++) {
+        for (let x = 0; x < matrix.getWidth() * scale; x++) {
+            if (matrix.get(Math.floor(x / scale), Math.floor(y / scale))) {
+                luminances[(y + quietZone * scale) * width + x + quietZone * scale] = 0;
+            }
+        }
+    }
+
+    const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(new ZXing.RGBLuminanceSource(luminances, width, height)));
+    return new ZXing.PDF417Reader().decode(bitmap).getText();
+}
+
+describe('PDF417 encoder', () => {
+    for (const data of PAYLOADS) {
+        for (const errorCorrection of ERROR_CORRECTION_LEVELS) {
+            it(`decodes ${JSON.stringify(data.length > 24 ? `${data.slice(0, 24)}...` : data)} at ${errorCorrection}`, () => {
+                assert.equal(decode(encodePDF417(data, { errorCorrection }).matrix), data);
+            });
+        }
+    }
+
+    it('raises the error correction level with the requested QR level', () => {
+        const levels = ERROR_CORRECTION_LEVELS.map(errorCorrection => encodePDF417('hello world', { errorCorrection }).level);
+        assert.deepEqual(levels, [2, 3, 4, 5]);
+    });
+
+    it('produces codewords its error correction can repair', () => {
+        const body = encodePDF417Codewords('PDF417');
+        const data = [body.length + 1, ...body];
+        const received = Int32Array.from([...data, ...computePDF417ErrorCorrection(data, 2)]);
+        received[1] = (received[1] + 5) % 929;
+        received[3] = 0;
+        assert.equal(new ZXing.PDF417DecoderErrorCorrection().decode(received, 8, new Int32Array(0)), 2);
+        assert.deepEqual([...received.slice(0, data.length)], data);
+    });
+
+    it('keeps rows three modules high and the symbol wider than tall', () => {
+        const { rows, columns, matrix } = encodePDF417('https://example.com/tracking/1234567890');
+        assert.equal(matrix.getWidth(), 17 * columns + 69);
+        assert.equal(matrix.getHeight(), 3 * rows);
+        assert.ok(matrix.getWidth() > matrix.getHeight());
+    });
+
+    it('narrows the symbol to fit the available width', () => {
+        const { columns, matrix } = encodePDF417('x'.repeat(300), { maxWidth: 150 });
+        assert.ok(matrix.getWidth() <= 150);
+        assert.ok(columns <= 4);
+    });
+
+    it('rejects data beyond 928 codewords', () => {
+        assert.throws(() => encodePDF417('ÿ'.repeat(1200)), /data too big/i);
+    });
+});
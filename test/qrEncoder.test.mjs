@@ -0,0 +1,155 @@
+/**
+ * Built-in QR encoder tests
+ * The built-in encoder stands in for ZXing when the CDN is blocked, so for every payload, error correction
+ * level and character set its symbols must match ZXing's module for module and decode back to the payload
+ */
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as ZXingLibrary from '@zxing/library';
+
+// The app loads ZXing as a global from the CDN
+globalThis.ZXing = ZXingLibrary;
+
+// Outside a browser ZXing-js decodes ISO-8859-1 through decodeURIComponent, which fails on bytes above 0x7F
+ZXing.ZXingStringEncoding.customDecoder = (bytes, encodingName) => new TextDecoder(encodingName).decode(bytes);
+
+const { encodeQR } = await import('../assets/js/modules/qrEncoder.js');
+const { createEncodeHints, withMaskPattern } = await import('../assets/js/modules/qrEncoding.js');
+const { findUnrepresentable } = await import('../assets/js/modules/characterSet.js');
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// No character set declared, then each one the app offers
+const CHARACTER_SETS = [null, 'UTF-8', 'ISO-8859-1', 'Shift_JIS'];
+
+const PAYLOADS = [
+    '1',
+    '01234567890123456789',
+    'HELLO WORLD',
+    'HTTPS://EXAMPLE.COM/ITEM/42',
+    'hello world',
+    'https://example.com/path?query=1&page=2',
+    'WIFI:T:WPA;S:Office;P:correct horse;;',
+    'line one\nline two\ttabbed',
+    '9'.repeat(500),
+    'x'.repeat(1000),
+    'café crème',
+    'Grüße aus Köln',
+    '日本語のテキスト',
+    '漢字テスト',
+    'Ünïcödé 🎉'
+];
+
+/**
+ * Encodes with ZXing the way qrEncoding.js does
+ * @param {string} data - Data to encode
+ * @param {Object} options - errorCorrection, characterSet, version and maskPattern
+ * @returns {Object} - { version, maskPattern, matrix } with ZXing's ByteMatrix
+ */
+function encodeWithZXing(data, { errorCorrection, characterSet = null, version = null, maskPattern = 'auto' }) {
+    const level = ZXing.QRCodeDecoderErrorCorrectionLevel.fromString(errorCorrection);
+    const hints = createEncodeHints({ errorCorrection, characterSet, version });
+    const code = withMaskPattern(maskPattern, () => ZXing.QRCodeEncoder.encode(data, level, hints));
+    return { version: code.getVersion().getVersionNumber(), maskPattern: code.getMaskPattern(), matrix: code.getMatrix() };
+}
+
+/**
+ * Lists the modules of a grid as rows of 0 and 1
+ * @param {Object} matrix - BitMatrix or ZXing ByteMatrix
+ * @returns {Array<string>} - One string per row
+ */
+function toRows(matrix) {
+    const rows = [];
+    for (let y = 0; y < matrix.getHeight(); y++) {
+        let row = '';
+        for (let x = 0; x < matrix.getWidth(); x++) {
+            row += matrix.get(x, y) === true || matrix.get(x, y) === 1 ? '1' : '0';
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Decodes a module grid with ZXing's QR reader
+ * @param {Object} matrix - BitMatrix from the built-in encoder
+ * @returns {string} - Decoded text
+ */
+function decode(matrix) {
+    const quietZone = 4;
+    const scale = 3;
+    const size = matrix.getWidth();
+    const width = (size + 2 * quietZone) * scale;
+    const luminances = new Uint8ClampedArray(width * width).fill(255);
+    for (let y = 0; y < size * scale; y++) {
+        for (let x = 0; x < size * scale; x++) {
+            if (matrix.get(Math.floor(x / scale), Math.floor(y / scale))) {
+                luminances[(y + quietZone * scale) * width + x + quietZone * scale] = 0;
+            }
+        }
+    }
+
+    const hints = new Map([[ZXing.DecodeHintType.PURE_BARCODE, true]]);
+    const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(new ZXing.RGBLuminanceSource(luminances, width, width)));
+    return new ZXing.QRCodeReader().decode(bitmap, hints).getText();
+}
+
+/**
+ * Lists the payload, level and character set combinations both encoders can write
+ * Without a declared character set only ASCII is compared: ZXing then guesses an encoding for the bytes
+ * @returns {Array<Object>} - { data, errorCorrection, characterSet }
+ */
+function listCases() {
+    const cases = [];
+    PAYLOADS.forEach(data => ERROR_CORRECTION_LEVELS.forEach(errorCorrection => CHARACTER_SETS.forEach(characterSet => {
+        const representable = characterSet ? findUnrepresentable(data, characterSet).length === 0 : /^[\x00-\x7F]*$/.test(data);
+        if (representable) cases.push({ data, errorCorrection, characterSet });
+    })));
+    return cases;
+}
+
+describe('built-in QR encoder', () => {
+    before(() => assert.ok(listCases().length > 100));
+
+    for (const { data, errorCorrection, characterSet } of listCases()) {
+        const name = `${JSON.stringify(data.length > 24 ? `${data.slice(0, 24)}...` : data)} at ${errorCorrection}, ${characterSet || 'no character set'}`;
+
+        it(`matches ZXing for ${name}`, () => {
+            const expected = encodeWithZXing(data, { errorCorrection, characterSet });
+            const actual = encodeQR(data, { errorCorrection, characterSet });
+
+            assert.equal(actual.version, expected.version);
+            assert.equal(actual.maskPattern, expected.maskPattern);
+            assert.deepEqual(toRows(actual.matrix), toRows(expected.matrix));
+        });
+
+        it(`decodes ${name}`, () => {
+            assert.equal(decode(encodeQR(data, { errorCorrection, characterSet }).matrix), data);
+        });
+    }
+
+    it('matches ZXing with a pinned version and mask pattern', () => {
+        for (const [version, maskPattern] of [[5, 0], [12, 3], [27, 6], [40, 7]]) {
+            const expected = encodeWithZXing('https://example.com/', { errorCorrection: 'Q', version, maskPattern });
+            const actual = encodeQR('https://example.com/', { errorCorrection: 'Q', version, maskPattern });
+
+            assert.equal(actual.version, version);
+            assert.equal(actual.maskPattern, maskPattern);
+            assert.deepEqual(toRows(actual.matrix), toRows(expected.matrix));
+        }
+    });
+
+    it('decodes mixed-mode segments', () => {
+        for (const data of ['https://example.com/order/12345678901234567890', 'ABC123abc日本語0000000000', 'Total: 1234567890 JPY']) {
+            for (const characterSet of [null, 'UTF-8', 'Shift_JIS']) {
+                if (characterSet ? findUnrepresentable(data, characterSet).length > 0 : /[^\x00-\x7F]/.test(data)) continue;
+                const code = encodeQR(data, { errorCorrection: 'M', characterSet, segmentation: 'mixed' });
+                assert.equal(decode(code.matrix), data);
+            }
+        }
+    });
+
+    it('rejects data beyond version 40', () => {
+        assert.throws(() => encodeQR('x'.repeat(3000), { errorCorrection: 'L' }), /data too big/i);
+    });
+});